@@ -16,8 +16,10 @@ const ParticleApp = (function() {
   // Private variables and state
   const state = {
     activeLayerId: null,
+    selectedLayerIds: [], // Layers picked for align, distribute and the bulk actions; always includes the active layer
     layers: [],
     nextLayerId: 1,
+    nextSamplingJobId: 1,
     isProcessing: false,
     renderer: null,
     scene: null,
@@ -26,14 +28,48 @@ const ParticleApp = (function() {
     composer: null,
     bloomPass: null,
     simplex: null,
-    mousePosition: new THREE.Vector3(),
-    mouseMoved: false,
+    pointers: new Map(), // pointerId -> { position, radiusScale }, one interaction source per active pointer
+    pointerGestures: new Map(), // pointerId -> press being watched for a click or hold
+    pointerEffects: [], // Running bursts and ripples: { type, origin, startTime }
+    gather: null, // Press-and-hold gather: { pointerId, position, startTime, releaseTime, controlsEnabled }
+    animationFrame: 0, // Incremented per particle update; spatial hashes are rebuilt once per frame
     lastFrameTime: 0,
     frameCounter: 0,
     fps: 0,
     fpsUpdateTime: 0,
     particleCount: 0,
-    userPresets: {}
+    userPresets: {},
+    layerSettingDefaults: {}, // Global values of the layerSettingKeys settings, used by layers that link to them
+    forceFields: [],
+    nextForceFieldId: 1,
+    forceFieldGizmos: null,
+    transformControls: null, // On-canvas handles for the active layer (null when TransformControls is unavailable)
+    transformMode: 'off', // 'off', 'translate', 'rotate' or 'scale'
+    timeline: {
+      duration: 10, // Seconds
+      loop: true,
+      playing: false,
+      time: 0, // Playhead position in seconds
+      tracks: [],
+      nextTrackId: 1,
+      selectedKey: null, // { trackId, index } of the keyframe the easing controls edit
+      applying: false // True while the timeline writes values, so per-edit work like code export is skipped
+    },
+    history: {
+      entries: [], // Undo steps, oldest first: { label, snapshot }
+      index: -1, // Entry the scene currently matches
+      pendingLabel: null, // Label of the step being recorded at the end of the current action
+      restoring: false, // True while a step is being restored, so the restore itself isn't recorded
+      view: null // Camera and background as the last opened project (or the start) set them: { camera, background }
+    },
+    quality: {
+      level: 0, // Index into qualityLevels
+      slowWindows: 0, // Consecutive FPS measurements below target
+      fastWindows: 0, // Consecutive FPS measurements with headroom
+      windowsSinceChange: 0,
+      raiseAfter: 8, // Fast measurements needed before raising quality again
+      lastChange: null
+    }
   };
 
   // Fixed references to DOM elements
@@ -41,6 +77,12 @@ const ParticleApp = (function() {
     sceneContainer: document.getElementById('scene-container'),
     svgInput: document.getElementById('svg-input'),
     svgFileName: document.getElementById('svg-file-name'),
+    layoutModeSelect: document.getElementById('layout-mode'),
+    documentLayoutControls: document.getElementById('document-layout-controls'),
+    layerOffsetX: document.getElementById('layer-offset-x'),
+    layerOffsetY: document.getElementById('layer-offset-y'),
+    samplingModeSelect: document.getElementById('sampling-mode'),
+    splitGroupsCheckbox: document.getElementById('split-groups'),
     generateBtn: document.getElementById('generate-btn'),
     resetBtn: document.getElementById('reset-btn'),
     resetCameraBtn: document.getElementById('reset-camera-btn'),
@@ -63,10 +105,66 @@ const ParticleApp = (function() {
     sandEffectCheckbox: document.getElementById('sand-effect'),
     enableOrbitCheckbox: document.getElementById('enable-orbit'),
     addSvgBtn: document.getElementById('add-svg-btn'),
+    addTextBtn: document.getElementById('add-text-btn'),
+    textLayerPanel: document.getElementById('text-layer-panel'),
+    textContentInput: document.getElementById('text-content'),
+    textFontSizeInput: document.getElementById('text-font-size'),
+    textLetterSpacingInput: document.getElementById('text-letter-spacing'),
+    textLineHeightInput: document.getElementById('text-line-height'),
+    textAlignSelect: document.getElementById('text-align'),
+    textFontFamilySelect: document.getElementById('text-font-family'),
+    textFontInput: document.getElementById('text-font-input'),
+    renderModeSelect: document.getElementById('render-mode'),
+    spriteControls: document.getElementById('sprite-controls'),
+    spriteShapeSelect: document.getElementById('sprite-shape'),
+    spriteGlyphInput: document.getElementById('sprite-glyph-input'),
+    spriteGlyphName: document.getElementById('sprite-glyph-name'),
+    qualityStatus: document.getElementById('quality-status'),
+    qualityLevel: document.getElementById('quality-level'),
+    textFontName: document.getElementById('text-font-name'),
     layersList: document.getElementById('layers-list'),
     emptyLayersMessage: document.querySelector('.empty-layers-message'),
     layerTemplate: document.getElementById('layer-template'),
+    forceFieldTemplate: document.getElementById('force-field-template'),
+    forceFieldsList: document.getElementById('force-fields-list'),
+    forceFieldTypeSelect: document.getElementById('force-field-type'),
+    addForceFieldBtn: document.getElementById('add-force-field-btn'),
+    showForceGizmosCheckbox: document.getElementById('show-force-gizmos'),
+    emptyForceFieldsMessage: document.querySelector('.empty-force-fields-message'),
+    replayTransitionBtn: document.getElementById('replay-transition-btn'),
+    morphControls: document.getElementById('morph-controls'),
+    morphSourceSelect: document.getElementById('morph-source'),
+    morphTargetSelect: document.getElementById('morph-target'),
+    morphBtn: document.getElementById('morph-btn'),
+    layerProperties: document.getElementById('layer-properties'),
+    layerOpacityInput: document.getElementById('layer-opacity'),
+    layerOpacityValue: document.getElementById('layer-opacity-value'),
+    layerBlendModeSelect: document.getElementById('layer-blend-mode'),
+    layerBulkButtons: document.querySelectorAll('#layer-bulk-actions .chip-btn'),
+    layerTransformPanel: document.getElementById('layer-transform-panel'),
+    layerTransformInputs: document.querySelectorAll('.layer-transform-input'),
+    transformModeButtons: document.querySelectorAll('#transform-mode-buttons .chip-btn'),
+    resetTransformBtn: document.getElementById('reset-transform-btn'),
+    alignButtons: document.querySelectorAll('#align-buttons .chip-btn'),
+    distributeButtons: document.querySelectorAll('#distribute-buttons .chip-btn'),
+    timelinePlayBtn: document.getElementById('timeline-play-btn'),
+    timelineStopBtn: document.getElementById('timeline-stop-btn'),
+    timelineScrub: document.getElementById('timeline-scrub'),
+    timelineTimeDisplay: document.getElementById('timeline-time'),
+    timelineDurationInput: document.getElementById('timeline-duration'),
+    timelineDurationValue: document.getElementById('timeline-duration-value'),
+    timelineLoopCheckbox: document.getElementById('timeline-loop'),
+    timelinePropertySelect: document.getElementById('timeline-property'),
+    timelineSettingOptions: document.getElementById('timeline-setting-options'),
+    addTimelineTrackBtn: document.getElementById('add-timeline-track-btn'),
+    timelineTracksList: document.getElementById('timeline-tracks'),
+    timelineTrackTemplate: document.getElementById('timeline-track-template'),
+    emptyTimelineMessage: document.querySelector('.empty-timeline-message'),
+    exportVideoBtn: document.getElementById('export-video-btn'),
     presetSelector: document.getElementById('preset-selector'),
+    undoBtn: document.getElementById('undo-btn'),
+    redoBtn: document.getElementById('redo-btn'),
+    historyList: document.getElementById('history-list'),
     savePresetBtn: document.getElementById('save-preset-btn'),
     deletePresetBtn: document.getElementById('delete-preset-btn'),
     confirmSavePresetBtn: document.getElementById('confirm-save-preset-btn'),
@@ -75,16 +173,150 @@ const ParticleApp = (function() {
     presetDescriptionInput: document.getElementById('preset-description'),
     fpsCounter: document.getElementById('fps-counter'),
     particleCounter: document.getElementById('particle-counter'),
-    screenshotBtn: document.getElementById('screenshot-btn')
+    screenshotBtn: document.getElementById('screenshot-btn'),
+    saveProjectBtn: document.getElementById('save-project-btn'),
+    openProjectBtn: document.getElementById('open-project-btn'),
+    projectInput: document.getElementById('project-input')
   };
 
   // Reusable geometries and materials cache
   const resourceCache = {
     particleGeometry: null,
     materialCache: new Map(), // Cache materials by color hex
+    fontFaces: new Map(), // Loaded user fonts by family name
+    samplingWorker: null, // Off-thread pixel scanner (false when unavailable)
+    samplingJobs: new Map(), // Pending worker scans by job id
+    motionUniforms: null, // Uniforms shared by the instanced motion shader
+    spriteGlyph: null, // User-supplied sprite image: { texture, fileName }
     disposables: [] // Track resources that need disposal
   };
 
+  // Steps the auto-quality controller walks down (and back up) as the frame rate allows
+  const qualityLevels = [
+    { label: 'Full', pixelRatioCap: Infinity, bloom: true, segments: 16, particleFraction: 1 },
+    { label: 'Pixel ratio 1x', pixelRatioCap: 1, bloom: true, segments: 16, particleFraction: 1 },
+    { label: 'Bloom off', pixelRatioCap: 1, bloom: false, segments: 16, particleFraction: 1 },
+    { label: 'Low-poly spheres', pixelRatioCap: 1, bloom: false, segments: 8, particleFraction: 1 },
+    { label: '60% of particles', pixelRatioCap: 1, bloom: false, segments: 8, particleFraction: 0.6 },
+    { label: 'Pixel ratio 0.75x', pixelRatioCap: 0.75, bloom: false, segments: 8, particleFraction: 0.6 },
+    { label: '35% of particles', pixelRatioCap: 0.75, bloom: false, segments: 6, particleFraction: 0.35 }
+  ];
+
+  // A press becomes a hold after holdDelay ms, and stops being a click once it moves clickTolerance px
+  const pointerGestureLimits = { holdDelay: 350, clickTolerance: 6 };
+
+  // Shape of the click effects, in world units
+  const pointerEffectShape = {
+    burstFalloff: 150, // Distance at which a burst pushes half as hard
+    rippleReach: 400, // How far the ripple ring travels over its lifetime
+    rippleWidth: 30 // Width of the ripple ring
+  };
+
+  // Force field types with their gizmo color and starting values
+  const forceFieldTypes = {
+    attractor: { label: 'Attractor', color: '#22d3ee', strength: 20, radius: 150, direction: null },
+    repeller: { label: 'Repeller', color: '#f97316', strength: 20, radius: 150, direction: null },
+    vortex: { label: 'Vortex', color: '#a855f7', strength: 15, radius: 200, direction: { x: 0, y: 0, z: 1 } },
+    wind: { label: 'Wind', color: '#60a5fa', strength: 10, radius: 400, direction: { x: 1, y: 0, z: 0 } },
+    gravity: { label: 'Gravity', color: '#facc15', strength: 15, radius: 400, direction: { x: 0, y: -1, z: 0 } },
+    turbulence: { label: 'Turbulence', color: '#34d399', strength: 10, radius: 200, direction: null }
+  };
+  const forceFalloffs = ['constant', 'linear', 'smooth', 'quadratic'];
+
+  // Easing curves for morphs and timeline keyframes, mapping elapsed fraction to progress
+  const easingCurves = {
+    linear: t => t,
+    'ease-in': t => t * t * t,
+    'ease-out': t => 1 - Math.pow(1 - t, 3),
+    'ease-in-out': t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2
+  };
+
+  // Layer properties the timeline can animate; transforms apply to the layer's group
+  const timelineLayerProperties = {
+    'position-x': { label: 'Position X' },
+    'position-y': { label: 'Position Y' },
+    'position-z': { label: 'Position Z' },
+    'rotation-x': { label: 'Rotation X' },
+    'rotation-y': { label: 'Rotation Y' },
+    'rotation-z': { label: 'Rotation Z' },
+    'scale': { label: 'Scale' },
+    'visible': { label: 'Visible' }
+  };
+
+  // Setting inputs the exported runtime can animate (it reads these every frame), by settings key
+  const runtimeTimelineSettings = {
+    'animation-speed': 'animationSpeed',
+    'noise-scale': 'noiseScale',
+    'interaction-radius': 'interactionRadius',
+    'interaction-strength': 'interactionStrength',
+    'sand-strength': 'sandStrength',
+    'sand-return': 'sandReturn',
+    'svg-scale': 'svgScale',
+    'bloom-strength': 'bloomStrength',
+    'bloom-radius': 'bloomRadius',
+    'bloom-threshold': 'bloomThreshold'
+  };
+
+  // Setting inputs each layer can override, by settings key; the rest apply to the whole scene
+  const layerSettingKeys = {
+    'particle-count': 'particleCount',
+    'particle-density': 'particleDensity',
+    'distribution': 'distribution',
+    'min-size': 'minSize',
+    'max-size': 'maxSize',
+    'use-gradient': 'useGradient',
+    'particle-color': 'color',
+    'gradient-color1': 'gradientColor1',
+    'gradient-color2': 'gradientColor2',
+    'preserve-colors': 'preserveColors',
+    'image-weighting': 'imageWeighting',
+    'invert-image': 'invertImage',
+    'include-strokes': 'includeStrokes',
+    'stroke-width': 'strokeWidth',
+    'stroke-detail': 'strokeDetail',
+    'animation-speed': 'animationSpeed',
+    'noise-movement': 'noiseMovement',
+    'noise-scale': 'noiseScale',
+    'mouse-interaction': 'mouseInteraction',
+    'repel-effect': 'repelEffect',
+    'interaction-radius': 'interactionRadius',
+    'interaction-strength': 'interactionStrength',
+    'sand-effect': 'sandEffect',
+    'sand-strength': 'sandStrength',
+    'sand-return': 'sandReturn'
+  };
+
+  // Per-layer settings the instanced motion shader reads from its shared uniforms
+  const layerMotionSettings = [
+    'animationSpeed', 'noiseMovement', 'noiseScale', 'mouseInteraction',
+    'repelEffect', 'interactionRadius', 'interactionStrength'
+  ];
+
+  // Three.js blending for each layer blend mode
+  const layerBlendModes = {
+    normal: THREE.NormalBlending,
+    additive: THREE.AdditiveBlending,
+    multiply: THREE.MultiplyBlending
+  };
+
+  // Undo steps kept before the oldest are dropped
+  const maxHistoryEntries = 50;
+
+  // Project file format; files written by a newer version are refused
+  const projectFileFormat = 'partycle-project';
+  const projectFileVersion = 1;
+
+  // Starting values for new text layers
+  const textLayerDefaults = {
+    content: 'Partycle',
+    fontSize: 120,
+    letterSpacing: 0,
+    lineHeight: 1.2,
+    align: 'center',
+    fontFamily: 'sans-serif',
+    customFont: null // { name, dataUrl, fileName } for a user-supplied font file
+  };
+
   /**
    * Initialize the application
    */
@@ -101,6 +333,9 @@ const ParticleApp = (function() {
     // Load user presets from localStorage
     loadUserPresets();
     
+    // The starting state is the first undo step
+    recordHistory('Start');
+    
     // Start animation loop
     requestAnimationFrame(animate);
     
@@ -150,6 +385,9 @@ const ParticleApp = (function() {
     state.controls.maxDistance = 500;
     updateOrbitControls();
     
+    // Drag handles for the active layer
+    setupTransformControls();
+    
     // Create reusable particle geometry (sphere for 3D look)
     resourceCache.particleGeometry = new THREE.SphereGeometry(1, 16, 16);
     resourceCache.disposables.push(resourceCache.particleGeometry);
@@ -248,17 +486,54 @@ const ParticleApp = (function() {
     const files = dt.files;
     
     if (files.length) {
-      // Check if file is SVG
+      // Check if file is an SVG or a supported bitmap
       const file = files[0];
-      if (file.type === 'image/svg+xml' || file.name.toLowerCase().endsWith('.svg')) {
+      if (isProjectFile(file)) {
+        openProjectFile(file);
+      } else if (isSVGFile(file) || isBitmapFile(file)) {
         dom.svgFileName.textContent = file.name;
-        readSVGFile(file);
+        readLayerFile(file);
       } else {
-        showNotification('Please upload an SVG file.', 'warning');
+        showNotification('Please upload an SVG, PNG, JPG or WebP file.', 'warning');
       }
     }
   }
 
+  /**
+   * Check whether a file is an SVG
+   */
+  function isSVGFile(file) {
+    return file.type === 'image/svg+xml' || file.name.toLowerCase().endsWith('.svg');
+  }
+
+  /**
+   * Check whether a file is a saved project
+   */
+  function isProjectFile(file) {
+    return file.type === 'application/json' || file.name.toLowerCase().endsWith('.json');
+  }
+
+  /**
+   * Check whether a file is a supported bitmap image
+   */
+  function isBitmapFile(file) {
+    return ['image/png', 'image/jpeg', 'image/webp'].includes(file.type) ||
+      /\.(png|jpe?g|webp)$/i.test(file.name);
+  }
+
+  /**
+   * Read a dropped or uploaded file as a new layer source
+   */
+  function readLayerFile(file) {
+    if (isSVGFile(file)) {
+      readSVGFile(file);
+    } else if (isBitmapFile(file)) {
+      readImageFile(file);
+    } else {
+      showNotification('Unsupported file type.', 'warning');
+    }
+  }
+
   /**
    * Setup all event listeners for application controls
    */
@@ -286,13 +561,215 @@ const ParticleApp = (function() {
       dom.svgInput.addEventListener('change', () => {
         if (dom.svgInput.files.length > 0) {
           dom.svgFileName.textContent = dom.svgInput.files[0].name;
-          readSVGFile(dom.svgInput.files[0]);
+          readLayerFile(dom.svgInput.files[0]);
         } else {
           dom.svgFileName.textContent = 'No file selected';
         }
       });
     }
     
+    // Sampling mode applies to the active layer (and to layers added afterwards)
+    if (dom.samplingModeSelect) {
+      dom.samplingModeSelect.addEventListener('change', () => {
+        const layer = state.layers.find(l => l.id === state.activeLayerId);
+        if (!layer || layer.locked) return;
+        
+        layer.samplingMode = dom.samplingModeSelect.value;
+        processLayerSVG(layer);
+        recordHistory(`Change sampling of ${layer.name}`);
+      });
+    }
+    
+    // Layout mode shows the document space controls
+    if (dom.layoutModeSelect) {
+      dom.layoutModeSelect.addEventListener('change', updateLayoutControlsVisibility);
+    }
+    
+    // Sprite render mode shows the shape controls
+    if (dom.renderModeSelect) {
+      dom.renderModeSelect.addEventListener('change', updateSpriteControlsVisibility);
+    }
+    
+    if (dom.spriteGlyphInput) {
+      dom.spriteGlyphInput.addEventListener('change', () => {
+        if (dom.spriteGlyphInput.files.length > 0) {
+          loadSpriteGlyph(dom.spriteGlyphInput.files[0]);
+          dom.spriteGlyphInput.value = '';
+        }
+      });
+    }
+    
+    // Document offset of the active layer; every layer is re-placed since the artboard may grow
+    [dom.layerOffsetX, dom.layerOffsetY].forEach(input => {
+      if (!input) return;
+      input.addEventListener('change', () => {
+        const layer = state.layers.find(l => l.id === state.activeLayerId);
+        if (!layer || layer.locked) return;
+        
+        layer.offset = {
+          x: parseFloat(dom.layerOffsetX.value) || 0,
+          y: parseFloat(dom.layerOffsetY.value) || 0
+        };
+        scheduleUpdate();
+        recordHistory(`Move ${layer.name} in the document`);
+      });
+    });
+    
+    // Force fields
+    if (dom.addForceFieldBtn) {
+      dom.addForceFieldBtn.addEventListener('click', addForceField);
+    }
+    
+    if (dom.showForceGizmosCheckbox) {
+      dom.showForceGizmosCheckbox.addEventListener('change', updateForceFieldGizmosVisibility);
+    }
+    
+    // Layer transitions
+    if (dom.replayTransitionBtn) {
+      dom.replayTransitionBtn.addEventListener('click', replayLayerTransitions);
+    }
+    
+    // Layer morphs
+    if (dom.morphBtn) {
+      dom.morphBtn.addEventListener('click', morphSelectedLayers);
+    }
+    
+    // Layer opacity, blend mode and bulk actions apply to the selected layers
+    if (dom.layerOpacityInput) {
+      dom.layerOpacityInput.addEventListener('input', () => {
+        const opacity = parseFloat(dom.layerOpacityInput.value);
+        if (dom.layerOpacityValue) {
+          dom.layerOpacityValue.textContent = formatValue(opacity, 0.05);
+        }
+        setSelectedLayersLook({ opacity });
+      });
+      dom.layerOpacityInput.addEventListener('change', () => recordHistory('Change layer opacity'));
+    }
+    
+    if (dom.layerBlendModeSelect) {
+      dom.layerBlendModeSelect.addEventListener('change', () => {
+        setSelectedLayersLook({ blendMode: dom.layerBlendModeSelect.value });
+        recordHistory('Change blend mode');
+      });
+    }
+    
+    dom.layerBulkButtons.forEach(button => {
+      button.addEventListener('click', () => runBulkLayerAction(button.dataset.action));
+    });
+    
+    // Layer transforms
+    dom.layerTransformInputs.forEach(input => {
+      input.addEventListener('change', () => {
+        const layer = state.layers.find(l => l.id === state.activeLayerId);
+        const value = parseFloat(input.value);
+        if (!layer || layer.locked || !Number.isFinite(value)) {
+          updateLayerTransformPanel();
+          return;
+        }
+        
+        layer.transform[input.dataset.property][input.dataset.axis] = value;
+        applyLayerTransform(layer);
+        generateCode();
+        recordHistory(`Transform ${layer.name}`);
+      });
+    });
+    
+    dom.transformModeButtons.forEach(button => {
+      button.addEventListener('click', () => setTransformMode(button.dataset.mode));
+    });
+    
+    if (dom.resetTransformBtn) {
+      dom.resetTransformBtn.addEventListener('click', () => {
+        const layer = state.layers.find(l => l.id === state.activeLayerId);
+        if (!layer || layer.locked) return;
+        
+        layer.transform = createLayerTransform();
+        applyLayerTransform(layer);
+        updateLayerTransformPanel();
+        generateCode();
+        recordHistory(`Reset transform of ${layer.name}`);
+      });
+    }
+    
+    dom.alignButtons.forEach(button => {
+      button.addEventListener('click', () => alignSelectedLayers(button.dataset.align));
+    });
+    
+    dom.distributeButtons.forEach(button => {
+      button.addEventListener('click', () => distributeSelectedLayers(button.dataset.distribute));
+    });
+    
+    // Undo and redo
+    if (dom.undoBtn) dom.undoBtn.addEventListener('click', undo);
+    if (dom.redoBtn) dom.redoBtn.addEventListener('click', redo);
+    
+    // Ctrl+Z undoes, Ctrl+Shift+Z or Ctrl+Y redoes; text fields keep their own undo
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest('textarea, input[type="text"], input[type="number"]')) return;
+      
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    });
+    
+    // W, E and R switch the canvas handles between move, rotate and scale
+    document.addEventListener('keydown', (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      if (e.target.closest('input, textarea, select')) return;
+      
+      const modes = { w: 'translate', e: 'rotate', r: 'scale' };
+      const mode = modes[e.key.toLowerCase()];
+      if (mode && state.activeLayerId !== null) setTransformMode(mode);
+    });
+    
+    // Timeline
+    populateTimelineSettingOptions();
+    renderTimelineTracks();
+    updateTimelineTransport();
+    
+    if (dom.timelinePlayBtn) {
+      dom.timelinePlayBtn.addEventListener('click', () => {
+        if (state.timeline.playing) {
+          pauseTimeline();
+        } else {
+          playTimeline();
+        }
+      });
+    }
+    
+    if (dom.timelineStopBtn) {
+      dom.timelineStopBtn.addEventListener('click', stopTimeline);
+    }
+    
+    if (dom.timelineScrub) {
+      dom.timelineScrub.addEventListener('input', () => {
+        seekTimeline(parseFloat(dom.timelineScrub.value));
+      });
+    }
+    
+    if (dom.timelineDurationInput) {
+      dom.timelineDurationInput.addEventListener('input', () => {
+        setTimelineDuration(parseFloat(dom.timelineDurationInput.value));
+      });
+    }
+    
+    if (dom.timelineLoopCheckbox) {
+      dom.timelineLoopCheckbox.addEventListener('change', () => {
+        state.timeline.loop = dom.timelineLoopCheckbox.checked;
+        generateCode();
+      });
+    }
+    
+    if (dom.addTimelineTrackBtn) {
+      dom.addTimelineTrackBtn.addEventListener('click', addTimelineTrack);
+    }
+    
     // Add SVG layer button
     if (dom.addSvgBtn) {
       dom.addSvgBtn.addEventListener('click', () => {
@@ -305,13 +782,6 @@ const ParticleApp = (function() {
     if (dom.resetBtn) dom.resetBtn.addEventListener('click', resetSettings);
     if (dom.resetCameraBtn) dom.resetCameraBtn.addEventListener('click', resetCamera);
     
-    // Sand effect mode toggle
-    if (dom.sandEffectCheckbox) {
-      dom.sandEffectCheckbox.addEventListener('change', function() {
-        updateAllLayers();
-      });
-    }
-    
     // Orbit controls toggle
     if (dom.enableOrbitCheckbox) {
       dom.enableOrbitCheckbox.addEventListener('change', updateOrbitControls);
@@ -340,6 +810,11 @@ const ParticleApp = (function() {
       dom.exportGifBtn.addEventListener('click', exportGif);
     }
     
+    // Video export
+    if (dom.exportVideoBtn) {
+      dom.exportVideoBtn.addEventListener('click', exportVideo);
+    }
+    
     // Preset system
     if (dom.presetSelector) {
       dom.presetSelector.addEventListener('change', applySelectedPreset);
@@ -390,19 +865,13 @@ const ParticleApp = (function() {
     
     // Toggle gradient controls visibility
     if (dom.useGradientCheckbox) {
-      dom.useGradientCheckbox.addEventListener('change', () => {
-        if (dom.useGradientCheckbox.checked) {
-          dom.solidColorControl.style.display = 'none';
-          dom.gradientControls.style.display = 'block';
-        } else {
-          dom.solidColorControl.style.display = 'block';
-          dom.gradientControls.style.display = 'none';
-        }
-        
-        updateAllLayers();
-      });
+      dom.useGradientCheckbox.addEventListener('change', updateColorModeControls);
     }
     
+    // Per-layer settings start out linked to the values the panel loads with
+    captureLayerSettingDefaults();
+    setupLayerSettingLinks();
+    
     // Set up live updates for range inputs
     const liveInputs = document.querySelectorAll('[data-live="true"]');
     liveInputs.forEach(input => {
@@ -417,6 +886,7 @@ const ParticleApp = (function() {
           // Update value on input
           input.addEventListener('input', () => {
             valueEl.textContent = formatValue(input.value, step);
+            storeLayerSetting(input.id);
             
             // Special cases for direct updates
             if (input.id === 'svg-scale') {
@@ -432,30 +902,49 @@ const ParticleApp = (function() {
               updateOrbitControls();
             }
             else {
-              scheduleUpdate();
+              handleSettingChange(input.id);
             }
           });
         }
       } else {
         // For other inputs (checkbox, color, etc)
         input.addEventListener('change', (e) => {
+          storeLayerSetting(e.target.id);
+          
           // Special case for glow effect
           if (e.target.id === 'glow-effect') {
             updateBloomSettings();
           } else if (e.target.id === 'enable-orbit' || e.target.id.startsWith('orbit-')) {
             updateOrbitControls();
           } else {
-            scheduleUpdate();
+            handleSettingChange(e.target.id);
           }
         });
       }
+      
+      // One undo step per committed edit (sliders report it when released)
+      input.addEventListener('change', () => recordHistory(`Change ${getSettingLabel(input.id)}`));
     });
     
-    // Mouse tracking for interaction
+    // Pointer tracking for interaction (mouse, pen and multi-touch)
     if (state.renderer && state.renderer.domElement) {
-      state.renderer.domElement.addEventListener('mousemove', updateMousePosition);
-      state.renderer.domElement.addEventListener('touchmove', updateTouchPosition);
-      state.renderer.domElement.addEventListener('mouseleave', clearMousePosition);
+      const canvas = state.renderer.domElement;
+      
+      // Keep touches on the canvas from scrolling the page
+      canvas.style.touchAction = 'none';
+      
+      canvas.addEventListener('pointerdown', updatePointer);
+      canvas.addEventListener('pointermove', updatePointer);
+      canvas.addEventListener('pointerup', removePointer);
+      canvas.addEventListener('pointercancel', removePointer);
+      canvas.addEventListener('pointerleave', removePointer);
+      
+      // Click and press-and-hold effects
+      canvas.addEventListener('pointerdown', startPointerGesture);
+      canvas.addEventListener('pointermove', updatePointerGesture);
+      canvas.addEventListener('pointerup', endPointerGesture);
+      canvas.addEventListener('pointercancel', endPointerGesture);
+      canvas.addEventListener('pointerleave', endPointerGesture);
     }
     
     // Screenshot button
@@ -463,12 +952,83 @@ const ParticleApp = (function() {
       dom.screenshotBtn.addEventListener('click', takeScreenshot);
     }
     
+    // Project files
+    if (dom.saveProjectBtn) {
+      dom.saveProjectBtn.addEventListener('click', saveProject);
+    }
+    if (dom.openProjectBtn && dom.projectInput) {
+      dom.openProjectBtn.addEventListener('click', () => dom.projectInput.click());
+      dom.projectInput.addEventListener('change', () => {
+        if (dom.projectInput.files.length > 0) {
+          openProjectFile(dom.projectInput.files[0]);
+        }
+        // Let the same file be opened again
+        dom.projectInput.value = '';
+      });
+    }
+    
     // Theme buttons
     document.querySelectorAll('.theme-btn').forEach(btn => {
       btn.addEventListener('click', () => {
         applyColorTheme(btn.dataset.theme);
       });
     });
+    
+    // Text layers
+    setupTextLayerControls();
+  }
+
+  /**
+   * Setup the add-text button and the text layer editing panel
+   */
+  function setupTextLayerControls() {
+    if (dom.addTextBtn) {
+      dom.addTextBtn.addEventListener('click', createTextLayer);
+    }
+    
+    // Typing and sliders re-sample the active text layer after a short pause
+    [
+      dom.textContentInput,
+      dom.textFontSizeInput,
+      dom.textLetterSpacingInput,
+      dom.textLineHeightInput
+    ].forEach(input => {
+      if (!input) return;
+      input.addEventListener('input', () => {
+        updateTextLayerValueLabels();
+        scheduleTextLayerUpdate();
+      });
+    });
+    
+    if (dom.textAlignSelect) {
+      dom.textAlignSelect.addEventListener('change', scheduleTextLayerUpdate);
+    }
+    
+    // Picking a system family replaces any uploaded font
+    if (dom.textFontFamilySelect) {
+      dom.textFontFamilySelect.addEventListener('change', () => {
+        const layer = getActiveTextLayer();
+        if (layer) layer.text.customFont = null;
+        scheduleTextLayerUpdate();
+      });
+    }
+    
+    if (dom.textFontInput) {
+      dom.textFontInput.addEventListener('change', () => {
+        if (dom.textFontInput.files.length > 0) {
+          loadTextLayerFont(dom.textFontInput.files[0]);
+          dom.textFontInput.value = '';
+        }
+      });
+    }
+  }
+
+  /**
+   * Show the artboard and offset controls only in document layout mode
+   */
+  function updateLayoutControlsVisibility() {
+    if (!dom.layoutModeSelect || !dom.documentLayoutControls) return;
+    dom.documentLayoutControls.style.display = dom.layoutModeSelect.value === 'document' ? 'block' : 'none';
   }
 
   /**
@@ -489,24 +1049,56 @@ const ParticleApp = (function() {
   }
 
   /**
-   * Track mouse position for particle interaction
+   * Track every active pointer (mouse, pen, each finger) as its own interaction source
    */
-  function updateMousePosition(event) {
+  function updatePointer(event) {
     // Only update if mouse interaction is enabled
     const mouseInteractionEl = document.getElementById('mouse-interaction');
     if (!mouseInteractionEl || !mouseInteractionEl.checked) return;
     
     // Don't update if orbit controls are being used with mouse button down
-    if (state.controls && state.controls.enabled && event.buttons > 0) {
+    if (event.pointerType === 'mouse' && state.controls && state.controls.enabled && event.buttons > 0) {
       return;
     }
     
-    // Calculate normalized device coordinates
-    const sensitivity = parseInt(document.getElementById('interaction-sensitivity')?.value || 5) / 5;
+    const position = getPointerScenePosition(event.clientX, event.clientY);
+    if (position) {
+      state.pointers.set(event.pointerId, {
+        position,
+        radiusScale: getPointerRadiusScale(event)
+      });
+    }
+  }
+
+  /**
+   * Interaction radius multiplier for a pointer: larger touch contacts disturb a wider area
+   */
+  function getPointerRadiusScale(event) {
+    // Mice and most pens report a 1x1 contact
+    const contact = Math.max(event.width || 0, event.height || 0);
+    if (event.pointerType === 'mouse' || contact <= 1) return 1;
+    
+    return THREE.MathUtils.clamp(contact / 40, 0.5, 2);
+  }
+
+  /**
+   * Stop tracking a pointer when it lifts or leaves the canvas
+   */
+  function removePointer(event) {
+    // The mouse keeps interacting after a click; only leaving the canvas ends it
+    if (event.type === 'pointerup' && event.pointerType === 'mouse') return;
     
+    state.pointers.delete(event.pointerId);
+  }
+
+  /**
+   * Project a pointer's screen position onto the z=0 plane
+   */
+  function getPointerScenePosition(clientX, clientY) {
+    // Calculate normalized device coordinates
     const rect = state.renderer.domElement.getBoundingClientRect();
-    const x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-    const y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    const x = ((clientX - rect.left) / rect.width) * 2 - 1;
+    const y = -((clientY - rect.top) / rect.height) * 2 + 1;
     
     // Create raycaster for 3D coordinates
     const raycaster = new THREE.Raycaster();
@@ -517,145 +1109,474 @@ const ParticleApp = (function() {
     
     // Calculate intersection
     const intersection = new THREE.Vector3();
-    if (raycaster.ray.intersectPlane(plane, intersection)) {
-      state.mousePosition.copy(intersection);
-      state.mouseMoved = true;
+    return raycaster.ray.intersectPlane(plane, intersection) ? intersection : null;
+  }
+
+  /**
+   * Start watching a press for a click or a press-and-hold
+   */
+  function startPointerGesture(event) {
+    // Dragging a layer's canvas handles isn't a click or a hold
+    if (state.transformControls && state.transformControls.dragging) return;
+    
+    const settings = getSettings();
+    const gesture = {
+      startX: event.clientX,
+      startY: event.clientY,
+      clientX: event.clientX,
+      clientY: event.clientY,
+      moved: false,
+      holdTimer: null
+    };
+    
+    if (settings.holdGather && !state.gather) {
+      gesture.holdTimer = setTimeout(() => {
+        gesture.holdTimer = null;
+        startGather(event.pointerId, gesture);
+      }, pointerGestureLimits.holdDelay);
     }
+    
+    state.pointerGestures.set(event.pointerId, gesture);
   }
 
   /**
-   * Track touch position for mobile interaction
+   * Follow a pressed pointer: a held gather tracks it, a drag cancels the click
    */
-  function updateTouchPosition(event) {
-    // Only update if mouse interaction is enabled
-    const mouseInteractionEl = document.getElementById('mouse-interaction');
-    if (!mouseInteractionEl || !mouseInteractionEl.checked) return;
+  function updatePointerGesture(event) {
+    const gesture = state.pointerGestures.get(event.pointerId);
+    if (!gesture) return;
     
-    // Prevent default to avoid scrolling
-    event.preventDefault();
+    gesture.clientX = event.clientX;
+    gesture.clientY = event.clientY;
     
-    // Get the first touch
-    if (event.touches.length > 0) {
-      const touch = event.touches[0];
-      
-      // Calculate normalized device coordinates
-      const rect = state.renderer.domElement.getBoundingClientRect();
-      const x = ((touch.clientX - rect.left) / rect.width) * 2 - 1;
-      const y = -((touch.clientY - rect.top) / rect.height) * 2 + 1;
-      
-      // Create raycaster for 3D coordinates
-      const raycaster = new THREE.Raycaster();
-      raycaster.setFromCamera(new THREE.Vector2(x, y), state.camera);
-      
-      // Define a plane at z=0
-      const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
-      
-      // Calculate intersection
-      const intersection = new THREE.Vector3();
-      if (raycaster.ray.intersectPlane(plane, intersection)) {
-        state.mousePosition.copy(intersection);
-        state.mouseMoved = true;
-      }
+    if (state.gather && state.gather.pointerId === event.pointerId) {
+      const position = getPointerScenePosition(event.clientX, event.clientY);
+      if (position) state.gather.position.copy(position);
+      return;
+    }
+    
+    // Dragging orbits the camera instead
+    const distance = Math.hypot(event.clientX - gesture.startX, event.clientY - gesture.startY);
+    if (distance > pointerGestureLimits.clickTolerance) {
+      gesture.moved = true;
+      clearTimeout(gesture.holdTimer);
+      gesture.holdTimer = null;
     }
   }
 
   /**
-   * Clear mouse position when cursor leaves canvas
+   * Finish a press: release a gather, or fire the click effect if the pointer didn't drag
    */
-  function clearMousePosition() {
-    state.mousePosition.set(0, 0, 0);
-    state.mouseMoved = false;
+  function endPointerGesture(event) {
+    const gesture = state.pointerGestures.get(event.pointerId);
+    if (!gesture) return;
+    
+    state.pointerGestures.delete(event.pointerId);
+    clearTimeout(gesture.holdTimer);
+    
+    if (state.gather && state.gather.pointerId === event.pointerId) {
+      releaseGather();
+      return;
+    }
+    
+    if (event.type !== 'pointerup' || gesture.moved) return;
+    
+    const settings = getSettings();
+    if (settings.clickEffect !== 'burst' && settings.clickEffect !== 'ripple') return;
+    
+    const position = getPointerScenePosition(event.clientX, event.clientY);
+    if (position) {
+      state.pointerEffects.push({
+        type: settings.clickEffect,
+        origin: position,
+        startTime: performance.now() / 1000
+      });
+    }
   }
 
   /**
-   * Format UI values with appropriate decimal places
+   * Begin pulling particles into a held pointer
    */
-  function formatValue(value, step) {
-    // Show decimal places based on step value
-    if (step < 1) {
-      const decimalPlaces = step.toString().split('.')[1].length;
-      return parseFloat(value).toFixed(decimalPlaces);
-    }
-    return parseInt(value);
+  function startGather(pointerId, gesture) {
+    const position = getPointerScenePosition(gesture.clientX, gesture.clientY);
+    if (!position) return;
+    
+    state.gather = {
+      pointerId,
+      position,
+      startTime: performance.now() / 1000,
+      releaseTime: null,
+      controlsEnabled: state.controls ? state.controls.enabled : false
+    };
+    
+    // Hold still to gather: the camera shouldn't orbit while the pointer drags the cluster around
+    if (state.controls) state.controls.enabled = false;
   }
 
   /**
-   * Get scene container aspect ratio for camera setup
+   * Let the gathered particles flow back into the shape
    */
-  function getAspectRatio() {
-    return dom.sceneContainer.clientWidth / dom.sceneContainer.clientHeight;
+  function releaseGather() {
+    if (!state.gather || state.gather.releaseTime !== null) return;
+    
+    state.gather.releaseTime = performance.now() / 1000;
+    if (state.controls) state.controls.enabled = state.gather.controlsEnabled;
   }
 
   /**
-   * Handle window resize events
+   * How far along the gather is (0-1), easing in while held and out after release
    */
-  function onWindowResize() {
-    state.camera.aspect = getAspectRatio();
-    state.camera.updateProjectionMatrix();
+  function getGatherLevel(gather, duration, now) {
+    const smoothstep = t => t * t * (3 - 2 * t);
+    const heldTime = (gather.releaseTime === null ? now : gather.releaseTime) - gather.startTime;
+    const level = Math.min(heldTime / duration, 1);
     
-    const width = dom.sceneContainer.clientWidth;
-    const height = dom.sceneContainer.clientHeight;
+    if (gather.releaseTime === null) return smoothstep(level);
     
-    state.renderer.setSize(width, height);
-    if (state.composer) state.composer.setSize(width, height);
+    const remaining = Math.max(1 - (now - gather.releaseTime) / duration, 0);
+    return smoothstep(level * remaining);
   }
 
   /**
-   * Reset camera to default position
+   * Lifetime in seconds of a burst or ripple
    */
-  function resetCamera() {
-    // Reset camera position
-    state.camera.position.set(0, 0, 200);
-    state.camera.lookAt(0, 0, 0);
-    if (state.controls) state.controls.reset();
+  function getPointerEffectDuration(type, settings) {
+    return type === 'burst' ? settings.burstDuration : settings.rippleDuration;
   }
 
-  // Debounce variables
-  let pendingUpdate = false;
-  let updateTimeout;
+  /**
+   * Whether a click effect or gather is currently moving particles
+   */
+  function hasActivePointerEffects() {
+    return state.pointerEffects.length > 0 || state.gather !== null;
+  }
 
   /**
-   * Schedule particle update with debouncing to prevent too frequent updates
+   * Drop finished bursts, ripples and released gathers
    */
-  function scheduleUpdate() {
-    if (pendingUpdate) clearTimeout(updateTimeout);
+  function prunePointerEffects(settings, now) {
+    state.pointerEffects = state.pointerEffects.filter(effect =>
+      now - effect.startTime < getPointerEffectDuration(effect.type, settings)
+    );
     
-    pendingUpdate = true;
-    updateTimeout = setTimeout(() => {
-      pendingUpdate = false;
-      updateAllLayers();
-    }, 300); // 300ms debounce
+    if (state.gather && state.gather.releaseTime !== null &&
+        getGatherLevel(state.gather, settings.gatherDuration, now) === 0) {
+      state.gather = null;
+    }
   }
 
   /**
-   * Update all layers based on current settings
+   * Active click and hold effects converted to a layer's local space (none for locked layers)
    */
-  function updateAllLayers() {
-    if (state.layers.length === 0) {
-      return;
-    }
+  function getLayerPointerEffects(layer, settings) {
+    if (layer.locked || !hasActivePointerEffects()) return null;
+    
+    const now = performance.now() / 1000;
+    layer.group.updateMatrixWorld();
+    const inverseMatrix = new THREE.Matrix4().copy(layer.group.matrixWorld).invert();
+    const localScale = 1 / (layer.group.scale.x || 1);
+    const effects = [];
+    
+    state.pointerEffects.forEach(effect => {
+      const progress = (now - effect.startTime) / getPointerEffectDuration(effect.type, settings);
+      if (progress >= 1) return;
+      
+      effects.push({
+        type: effect.type,
+        origin: effect.origin.clone().applyMatrix4(inverseMatrix),
+        progress,
+        strength: effect.type === 'burst' ? settings.burstStrength : settings.rippleStrength,
+        localScale
+      });
+    });
+    
+    if (state.gather) {
+      const level = getGatherLevel(state.gather, settings.gatherDuration, now);
+      if (level > 0) {
+        effects.push({
+          type: 'gather',
+          origin: state.gather.position.clone().applyMatrix4(inverseMatrix),
+          strength: settings.gatherStrength * level,
+          localScale
+        });
+      }
+    }
+    
+    return effects.length > 0 ? effects : null;
+  }
+
+  /**
+   * Combined displacement of a particle's rest position by the active click and hold effects
+   * Strengths and ranges are in world units; the result is in the layer's local space
+   */
+  function getPointerEffectDisplacement(effects, restPosition) {
+    const displacement = new THREE.Vector3();
+    
+    effects.forEach(effect => {
+      const offset = new THREE.Vector3().subVectors(restPosition, effect.origin);
+      const distance = offset.length();
+      const worldDistance = distance / effect.localScale;
+      const direction = distance > 0 ? offset.clone().divideScalar(distance) : new THREE.Vector3(0, 0, 1);
+      
+      switch (effect.type) {
+        case 'burst': {
+          // Shockwave out in the first fifth, then ease back into the shape
+          const p = effect.progress;
+          const envelope = p < 0.2 ?
+                           Math.sin(p / 0.2 * Math.PI / 2) :
+                           0.5 * (1 + Math.cos(Math.PI * (p - 0.2) / 0.8));
+          const falloff = pointerEffectShape.burstFalloff / (pointerEffectShape.burstFalloff + worldDistance);
+          
+          // Per-particle jitter so the explosion isn't just a scaled-up copy of the shape
+          const seed = Math.sin(restPosition.x * 12.9898 + restPosition.y * 78.233 + restPosition.z * 37.719) * 43758.5453;
+          const jitter = 0.6 + 0.8 * (seed - Math.floor(seed));
+          
+          displacement.add(direction.multiplyScalar(effect.strength * envelope * falloff * jitter * effect.localScale));
+          break;
+        }
+          
+        case 'ripple': {
+          // A ring travels outward from the click, lifting particles as it passes and fading out
+          const front = effect.progress * pointerEffectShape.rippleReach;
+          const x = (worldDistance - front) / pointerEffectShape.rippleWidth;
+          const wave = Math.exp(-x * x) * Math.sin(x * Math.PI);
+          const amplitude = effect.strength * wave * (1 - effect.progress) * effect.localScale;
+          
+          displacement.add(direction.multiplyScalar(amplitude * 0.5));
+          displacement.z += amplitude;
+          break;
+        }
+          
+        case 'gather':
+          // Pull a share of the way toward the held pointer
+          displacement.addScaledVector(offset, -effect.strength);
+          break;
+      }
+    });
+    
+    return displacement;
+  }
+
+  /**
+   * Format UI values with appropriate decimal places
+   */
+  function formatValue(value, step) {
+    // Show decimal places based on step value
+    if (step < 1) {
+      const decimalPlaces = step.toString().split('.')[1].length;
+      return parseFloat(value).toFixed(decimalPlaces);
+    }
+    return parseInt(value);
+  }
+
+  /**
+   * Get scene container aspect ratio for camera setup
+   */
+  function getAspectRatio() {
+    return dom.sceneContainer.clientWidth / dom.sceneContainer.clientHeight;
+  }
+
+  /**
+   * Handle window resize events
+   */
+  function onWindowResize() {
+    state.camera.aspect = getAspectRatio();
+    state.camera.updateProjectionMatrix();
+    
+    const width = dom.sceneContainer.clientWidth;
+    const height = dom.sceneContainer.clientHeight;
+    
+    state.renderer.setSize(width, height);
+    if (state.composer) state.composer.setSize(width, height);
+  }
+
+  /**
+   * Reset camera to default position
+   */
+  function resetCamera() {
+    // Reset camera position
+    state.camera.position.set(0, 0, 200);
+    state.camera.lookAt(0, 0, 0);
+    if (state.controls) state.controls.reset();
+  }
+
+  // Debounce variables
+  let pendingUpdate = false;
+  let updateTimeout;
+  let pendingVisualUpdate = false;
+
+  // Settings that only change how existing particles look; applied in place
+  const visualSettingIds = [
+    'particle-color', 'use-gradient', 'gradient-color1', 'gradient-color2',
+    'preserve-colors', 'min-size', 'max-size', 'particle-opacity', 'sprite-shape'
+  ];
+
+  // Settings the animation loop reads every frame; nothing needs rebuilding
+  const motionSettingIds = [
+    'animation-speed', 'gpu-animation', 'noise-movement', 'noise-scale', 'mouse-interaction', 'repel-effect',
+    'sand-effect', 'sand-strength', 'sand-return',
+    'interaction-radius', 'interaction-strength', 'interaction-sensitivity',
+    'click-effect', 'burst-strength', 'burst-duration', 'ripple-strength', 'ripple-duration',
+    'hold-gather', 'gather-strength', 'gather-duration',
+    'transition-style', 'transition-stagger', 'transition-duration',
+    'morph-assignment', 'morph-easing', 'morph-duration'
+  ];
+
+  // Settings applied straight to the scene rather than through the above
+  const directSettingIds = [
+    'svg-scale', 'svg-depth', 'bloom-strength', 'bloom-radius', 'bloom-threshold',
+    'orbit-sensitivity', 'zoom-speed', 'pan-speed'
+  ];
+
+  /**
+   * Whether a setting can change every frame without resampling the layers, as timeline tracks need
+   */
+  function isTimelineSetting(id) {
+    return visualSettingIds.includes(id) || motionSettingIds.includes(id) || directSettingIds.includes(id);
+  }
+
+  /**
+   * Route a changed setting to the cheapest update that reflects it
+   * Only sampling and particle count settings regenerate the particles
+   */
+  function handleSettingChange(id) {
+    if (visualSettingIds.includes(id)) {
+      scheduleVisualUpdate();
+    } else if (id === 'auto-quality' || id === 'target-fps') {
+      updateAutoQuality();
+    } else if (motionSettingIds.includes(id)) {
+      // Timeline playback changes these every frame; the exported code carries the timeline itself
+      if (!state.timeline.applying) generateCode();
+    } else {
+      scheduleUpdate();
+    }
+  }
+
+  /**
+   * Apply visual settings on the next frame, coalescing rapid slider input
+   */
+  function scheduleVisualUpdate() {
+    if (pendingVisualUpdate) return;
+    
+    pendingVisualUpdate = true;
+    requestAnimationFrame(() => {
+      pendingVisualUpdate = false;
+      applyVisualSettings();
+    });
+  }
+
+  /**
+   * Update colors, sizes and opacity of existing particles without rebuilding them
+   * Positions, offsets and velocities are left untouched so motion carries on
+   */
+  function applyVisualSettings() {
+    try {
+      const settings = getGlobalSettings();
+      
+      // Materials are shared between layers, so opacity is set once on the cache
+      resourceCache.materialCache.forEach(material => {
+        material.opacity = material.userData.baseOpacity * settings.particleOpacity;
+      });
+      
+      // Sprite shape and opacity live in the sprite shaders' uniforms
+      getPointsMaterials().forEach(pointsMaterial => {
+        pointsMaterial.uniforms.uOpacity.value = settings.particleOpacity;
+        pointsMaterial.uniforms.uShape.value = getSpriteShapeIndex(settings.spriteShape);
+      });
+      
+      state.layers.forEach(layer => {
+        if (!layer.locked) applyLayerVisualSettings(layer, getLayerSettings(layer, settings));
+      });
+      
+      // Generate updated code
+      if (!state.timeline.applying) generateCode();
+    } catch (error) {
+      console.error("Error applying visual settings:", error);
+      showNotification("Error updating particles. Please try again.", "error");
+    }
+  }
+
+  /**
+   * Recolor and resize a single layer's particles in place
+   */
+  function applyLayerVisualSettings(layer, settings) {
+    if (layer.instanceData && layer.instanceData.length > 0) {
+      const color = new THREE.Color();
+      const mesh = layer.instanceData[0].mesh;
+      mesh.material = mesh.isPoints ? createOrGetPointsMaterial(layer.blendMode) : createOrGetInstancedMaterial(layer.blendMode);
+      
+      // Sizes are picked up by the CPU loop when it rewrites the matrices, and by the shader attribute
+      layer.instanceData.forEach(data => {
+        data.size = getParticleSize(data.sizeSeed, data.isStroke, settings);
+        mesh.geometry.attributes.instanceSize.setX(data.index, data.size);
+        const colorString = getParticleColor(data.originalPosition, data.isStroke, data.sourceColor, settings);
+        setInstanceAppearance(mesh, data.index, data.isStroke, colorString, color, layer.opacity);
+      });
+      
+      if (mesh.isPoints) {
+        mesh.geometry.attributes.particleColor.needsUpdate = true;
+      } else {
+        mesh.instanceColor.needsUpdate = true;
+      }
+      mesh.geometry.attributes.instanceOpacity.needsUpdate = true;
+      mesh.geometry.attributes.instanceSize.needsUpdate = true;
+    } else if (layer.particles) {
+      // A running fade makes fresh copies of the new materials on its next frame
+      releaseFadeMaterials(layer);
+      layer.particles.forEach(particle => {
+        const { isStroke, sizeSeed, sourceColor, originalPosition } = particle.userData;
+        
+        particle.userData.size = getParticleSize(sizeSeed, isStroke, settings);
+        particle.scale.setScalar(particle.userData.size);
+        particle.material = createOrGetMaterial(
+          getParticleColor(originalPosition, isStroke, sourceColor, settings),
+          isStroke ? 'stroke' : 'fill',
+          layer.opacity,
+          layer.blendMode
+        );
+      });
+    }
+  }
+
+  /**
+   * Schedule particle update with debouncing to prevent too frequent updates
+   */
+  function scheduleUpdate() {
+    if (pendingUpdate) clearTimeout(updateTimeout);
+    
+    pendingUpdate = true;
+    updateTimeout = setTimeout(() => {
+      pendingUpdate = false;
+      updateAllLayers();
+    }, 300); // 300ms debounce
+  }
+
+  /**
+   * Update all layers based on current settings
+   */
+  function updateAllLayers() {
+    if (state.layers.length === 0) {
+      return;
+    }
     
     showLoading(true);
     
     // Short timeout to ensure loading indicator shows
     setTimeout(() => {
-      try {
-        // Update each layer
-        state.layers.forEach(layer => {
-          updateLayer(layer);
-        });
-        
-        // Update particle count display
-        updateParticleCountDisplay();
-        
-        // Generate updated code
-        generateCode();
-      } catch (error) {
-        console.error("Error updating layers:", error);
-        showNotification("Error updating particles. Please try again.", "error");
-      } finally {
-        showLoading(false);
-      }
+      // Sampling runs off the main thread, so wait for every layer to finish; locked layers keep their particles
+      Promise.all(state.layers.filter(layer => !layer.locked).map(layer => updateLayer(layer)))
+        .then(() => {
+          // Update particle count display
+          updateParticleCountDisplay();
+          
+          // Generate updated code
+          generateCode();
+        })
+        .catch(error => {
+          console.error("Error updating layers:", error);
+          showNotification("Error updating particles. Please try again.", "error");
+        })
+        .then(() => showLoading(false));
     }, 100);
   }
 
@@ -663,14 +1584,10 @@ const ParticleApp = (function() {
    * Update the scale of all layers
    */
   function updateLayersScale(scale) {
-    state.layers.forEach(layer => {
-      if (layer.group) {
-        layer.group.scale.set(scale, scale, scale);
-      }
-    });
+    state.layers.forEach(layer => applyLayerTransform(layer, scale));
     
     // Generate updated code
-    generateCode();
+    if (!state.timeline.applying) generateCode();
   }
 
   /**
@@ -682,7 +1599,7 @@ const ParticleApp = (function() {
     });
     
     // Generate updated code
-    generateCode();
+    if (!state.timeline.applying) generateCode();
   }
 
   /**
@@ -691,25 +1608,22 @@ const ParticleApp = (function() {
   function updateLayerDepth(layer, depth) {
     if (!layer.particles || layer.particles.length === 0) return;
     
-    if (layer.useInstanced) {
-      // For instanced mesh we need to update the instance matrix for each particle
-      for (let i = 0; i < layer.particleCount; i++) {
-        // Get original z-position data from instance attribute
-        const depthFactor = layer.instanceData[i].depthFactor;
-        
+    if (layer.instanceData && layer.instanceData.length > 0) {
+      // All instances share one mesh whose matrices the animation loop rebuilds from the original positions
+      const origins = layer.instanceData[0].mesh.geometry.attributes.instanceOrigin;
+      
+      layer.instanceData.forEach((data, index) => {
         // Calculate z position based on depth setting
-        const zPos = depth * (depthFactor - 0.5) * 2; // Range from -depth to +depth
+        const zPos = depth * (data.depthFactor - 0.5) * 2; // Range from -depth to +depth
+        data.originalPosition.z = zPos;
+        origins.setZ(data.index, zPos);
         
-        // Update position
-        layer.particles.setMatrixAt(i, new THREE.Matrix4().makeTranslation(
-          layer.instanceData[i].originalPosition.x,
-          layer.instanceData[i].originalPosition.y,
-          zPos
-        ));
-      }
+        if (layer.originalPositions && layer.originalPositions[index]) {
+          layer.originalPositions[index].z = zPos;
+        }
+      });
       
-      // Flag instance matrix needs update
-      layer.particles.instanceMatrix.needsUpdate = true;
+      origins.needsUpdate = true;
     } else {
       // For regular meshes
       layer.particles.forEach((particle, index) => {
@@ -756,23 +1670,25 @@ const ParticleApp = (function() {
     
     showLoading(true);
     
+    // Regenerated layers play their entrance again (deleted ones keep playing their exit)
+    state.layers.forEach(layer => {
+      if (!layer.removing) layer.introPending = true;
+    });
+    
     setTimeout(() => {
-      try {
-        state.layers.forEach(layer => {
-          updateLayer(layer);
-        });
-        
-        // Update particle count
-        updateParticleCountDisplay();
-        
-        // Generate code
-        generateCode();
-      } catch (error) {
-        console.error("Error generating particles:", error);
-        showNotification("Error generating particles. Please try again.", "error");
-      } finally {
-        showLoading(false);
-      }
+      Promise.all(state.layers.map(layer => updateLayer(layer)))
+        .then(() => {
+          // Update particle count
+          updateParticleCountDisplay();
+          
+          // Generate code
+          generateCode();
+        })
+        .catch(error => {
+          console.error("Error generating particles:", error);
+          showNotification("Error generating particles. Please try again.", "error");
+        })
+        .then(() => showLoading(false));
     }, 100);
   }
 
@@ -789,8 +1705,21 @@ const ParticleApp = (function() {
       const fileName = file.name;
       
       try {
-        // Create a new layer with this SVG
-        createLayer(svgString, fileName);
+        // Optionally split top-level groups into separate layers
+        const splitRequested = dom.splitGroupsCheckbox && dom.splitGroupsCheckbox.checked;
+        const parts = splitRequested ? splitSVGByGroups(svgString, fileName.replace(/\.svg$/i, '')) : [];
+        
+        if (parts.length > 1) {
+          parts.forEach(part => createLayer(part.svgString, part.name));
+          showNotification(`Split "${fileName}" into ${parts.length} layers`, "success");
+        } else {
+          if (splitRequested) {
+            showNotification("No separate groups found. Imported as a single layer.", "info");
+          }
+          
+          // Create a new layer with this SVG
+          createLayer(svgString, fileName);
+        }
         
         // Hide the drop area since we now have particles
         if (dom.dropArea) {
@@ -813,43 +1742,169 @@ const ParticleApp = (function() {
   }
 
   /**
-   * Create a new layer from SVG string
+   * Read a bitmap image file and create a layer sampled from its pixels
+   */
+  function readImageFile(file) {
+    showLoading(true);
+    
+    const reader = new FileReader();
+    
+    reader.onload = function(event) {
+      const dataUrl = event.target.result;
+      
+      // Decode once to learn the natural size used for document layout
+      const img = new Image();
+      img.onload = function() {
+        try {
+          createLayer(null, file.name, {
+            sourceType: 'image',
+            imageSrc: dataUrl,
+            imageSize: { width: img.naturalWidth, height: img.naturalHeight }
+          });
+          
+          // Hide the drop area since we now have particles
+          if (dom.dropArea) {
+            dom.dropArea.classList.add('hidden');
+          }
+        } catch (error) {
+          console.error("Error processing image:", error);
+          showNotification("Error processing image.", "error");
+        } finally {
+          showLoading(false);
+        }
+      };
+      img.onerror = function() {
+        showNotification("Error decoding image. File may be corrupted.", "error");
+        showLoading(false);
+      };
+      img.src = dataUrl;
+    };
+    
+    reader.onerror = function() {
+      showNotification("Error reading file", "error");
+      showLoading(false);
+    };
+    
+    reader.readAsDataURL(file);
+  }
+
+  /**
+   * Split an SVG into one document per top-level group or element
+   * Each part keeps the root's size, viewBox, defs and ancestor transforms,
+   * so the parts stay registered in the original coordinate space
+   */
+  function splitSVGByGroups(svgString, baseName) {
+    const parser = new DOMParser();
+    const serializer = new XMLSerializer();
+    const svgDoc = parser.parseFromString(svgString, 'image/svg+xml');
+    const root = svgDoc.documentElement;
+    
+    if (!root || root.nodeName.toLowerCase() !== 'svg' || svgDoc.querySelector('parsererror')) {
+      return [];
+    }
+    
+    // Elements that never render on their own
+    const nonRendered = [
+      'defs', 'style', 'title', 'desc', 'metadata', 'script', 'symbol', 'clippath',
+      'mask', 'lineargradient', 'radialgradient', 'pattern', 'filter', 'marker'
+    ];
+    const isDrawable = el => !nonRendered.includes(el.nodeName.toLowerCase());
+    
+    // Descend through anonymous wrapper groups (common in exported artboards)
+    let drawables = Array.from(root.children).filter(isDrawable);
+    while (drawables.length === 1 && drawables[0].nodeName.toLowerCase() === 'g' && !drawables[0].id) {
+      drawables = Array.from(drawables[0].children).filter(isDrawable);
+    }
+    
+    if (drawables.length < 2) return [];
+    
+    // Mark each part, then build one copy of the document per part with the others removed
+    drawables.forEach((el, index) => el.setAttribute('data-partycle-part', index));
+    const markedString = serializer.serializeToString(svgDoc);
+    
+    return drawables.map((el, index) => {
+      const partDoc = parser.parseFromString(markedString, 'image/svg+xml');
+      
+      partDoc.querySelectorAll('[data-partycle-part]').forEach(part => {
+        if (part.getAttribute('data-partycle-part') === String(index)) {
+          part.removeAttribute('data-partycle-part');
+        } else {
+          part.remove();
+        }
+      });
+      
+      return {
+        name: el.id || `${baseName} ${el.nodeName.toLowerCase()} ${index + 1}`,
+        svgString: serializer.serializeToString(partDoc)
+      };
+    });
+  }
+
+  /**
+   * Create a new layer from an SVG string, or from a bitmap via options.sourceType = 'image'
+   * options.id brings back a layer under the id it had before (undo)
    */
-  function createLayer(svgString, name) {
-    const layerId = `layer-${state.nextLayerId++}`;
+  function createLayer(svgString, name, options = {}) {
+    const layerId = options.id || `layer-${state.nextLayerId++}`;
     
     // Create layer object
     const layer = {
       id: layerId,
       name: name || `Layer ${state.layers.length + 1}`,
+      customName: !!options.customName, // Renamed by hand, so text edits keep the name
+      sourceType: options.sourceType || 'svg',
       svgString: svgString,
+      svgSize: null, // Parsed size and viewBox of svgString, see getLayerSVGSize
+      imageSrc: options.imageSrc || null,
+      imageSize: options.imageSize || null,
+      text: options.text || null, // Text layer options (sourceType 'text')
       visible: true,
+      solo: false, // While any layer is soloed, only soloed layers show
+      locked: !!options.locked, // Locked layers ignore edits and pointer interaction
+      lockedSettings: options.lockedSettings ? { ...options.lockedSettings } : null, // The layer's settings when it was locked
+      opacity: options.opacity !== undefined ? options.opacity : 1, // Multiplies the global particle opacity
+      blendMode: options.blendMode || 'normal', // 'normal', 'additive' or 'multiply'
       group: new THREE.Group(),
       particles: [],
       instanceData: [], // For instanced rendering
       originalPositions: [],
       particleCount: 0,
-      useInstanced: dom.useInstancedRenderingCheckbox && dom.useInstancedRenderingCheckbox.checked
+      useInstanced: dom.useInstancedRenderingCheckbox && dom.useInstancedRenderingCheckbox.checked,
+      samplingMode: options.samplingMode || (dom.samplingModeSelect ? dom.samplingModeSelect.value : 'raster'),
+      offset: Object.assign({ x: 0, y: 0 }, options.offset), // Position in the shared document space (document layout)
+      introPending: true, // Play the entrance animation once the first particles exist
+      transition: null, // Running entrance or exit animation
+      morph: null, // Running morph onto another layer's shape
+      settings: Object.assign({}, options.settings), // Values this layer sets for itself instead of the global defaults
+      transform: createLayerTransform(options.transform) // Placement of the layer's group in the scene
     };
     
-    // Add to scene
+    // Add to scene, hidden if other layers are soloed
     state.scene.add(layer.group);
     
     // Add to layers array
     state.layers.push(layer);
+    updateLayerGroupVisibility(layer);
     
     // Create layer UI element
     createLayerUI(layer);
     
     // Update empty layers message
     updateEmptyLayersMessage();
+    renderForceFieldsList();
+    renderMorphLayerOptions();
     
     // Set as active layer
     setActiveLayer(layerId);
     
-    // Create particles for this layer
-    processLayerSVG(layer);
+    // Create particles for this layer (or re-place every layer if the shared artboard grows)
+    if (usesAutoArtboard()) {
+      scheduleUpdate();
+    } else {
+      processLayerSVG(layer);
+    }
     
+    recordHistory(`Add ${layer.name}`);
     return layer;
   }
 
@@ -857,19 +1912,16 @@ const ParticleApp = (function() {
    * Process SVG for a layer and create particles
    */
   function processLayerSVG(layer) {
-    try {
-      // Clear existing particles
-      clearLayerParticles(layer);
-      
-      // Process SVG
-      createParticlesFromSVGString(layer, layer.svgString);
-      
-      // Update particle count
-      updateParticleCountDisplay();
-    } catch (error) {
-      console.error("Error processing layer SVG:", error);
-      showNotification(`Error processing layer "${layer.name}"`, "error");
-    }
+    // Process SVG (or bitmap); existing particles stay until the new ones are ready
+    return createParticlesFromSVGString(layer, layer.svgString)
+      .then(() => {
+        // Update particle count
+        updateParticleCountDisplay();
+      })
+      .catch(error => {
+        console.error("Error processing layer SVG:", error);
+        showNotification(`Error processing layer "${layer.name}"`, "error");
+      });
   }
 
   /**
@@ -897,6 +1949,8 @@ const ParticleApp = (function() {
     }
     
     // Reset layer data
+    releaseFadeMaterials(layer);
+    layer.morph = null;
     layer.particles = [];
     layer.instanceData = [];
     layer.originalPositions = [];
@@ -907,34 +1961,308 @@ const ParticleApp = (function() {
    * Update a layer with current settings
    */
   function updateLayer(layer) {
-    if (!layer || !layer.svgString) return;
-    
-    // Clear existing particles
-    clearLayerParticles(layer);
+    if (!hasLayerSource(layer)) return Promise.resolve();
     
     // Get rendering method preference
     layer.useInstanced = dom.useInstancedRenderingCheckbox && dom.useInstancedRenderingCheckbox.checked;
     
-    // Process SVG with current settings
-    createParticlesFromSVGString(layer, layer.svgString);
+    // Process SVG with current settings; old particles are replaced once sampling completes
+    return createParticlesFromSVGString(layer, layer.svgString);
   }
 
   /**
-   * Create user interface for a layer
+   * Create a new text layer with default options
    */
-  function createLayerUI(layer) {
-    if (!dom.layerTemplate || !dom.layersList) return;
-    
-    // Clone the template
-    const template = dom.layerTemplate.content.cloneNode(true);
-    const li = template.querySelector('li');
+  function createTextLayer() {
+    const text = { ...textLayerDefaults };
     
-    // Set layer ID
+    buildTextSVG(text)
+      .then(svgString => {
+        createLayer(svgString, getTextLayerName(text), { sourceType: 'text', text: text });
+        
+        // Hide the drop area since we now have particles
+        if (dom.dropArea) {
+          dom.dropArea.classList.add('hidden');
+        }
+      })
+      .catch(error => {
+        console.error("Error creating text layer:", error);
+        showNotification("Error creating text layer", "error");
+      });
+  }
+
+  /**
+   * Get the active layer if it is a text layer
+   */
+  function getActiveTextLayer() {
+    const layer = state.layers.find(l => l.id === state.activeLayerId);
+    return layer && layer.sourceType === 'text' && !layer.locked ? layer : null;
+  }
+
+  /**
+   * Derive a layer name from the first line of text
+   */
+  function getTextLayerName(text) {
+    const firstLine = (text.content.split('\n')[0] || '').trim();
+    const label = firstLine.length > 24 ? `${firstLine.slice(0, 24)}…` : firstLine;
+    return `Text: ${label || '(empty)'}`;
+  }
+
+  // Debounce for text edits
+  let textUpdateTimeout;
+
+  /**
+   * Read the text panel into the active text layer and re-sample it after a short pause
+   */
+  function scheduleTextLayerUpdate() {
+    const layer = getActiveTextLayer();
+    if (!layer) return;
+    
+    layer.text = {
+      ...layer.text,
+      content: dom.textContentInput ? dom.textContentInput.value : layer.text.content,
+      fontSize: parseFloat(dom.textFontSizeInput?.value) || layer.text.fontSize,
+      letterSpacing: parseFloat(dom.textLetterSpacingInput?.value) || 0,
+      lineHeight: parseFloat(dom.textLineHeightInput?.value) || layer.text.lineHeight,
+      align: dom.textAlignSelect ? dom.textAlignSelect.value : layer.text.align,
+      fontFamily: dom.textFontFamilySelect ? dom.textFontFamilySelect.value : layer.text.fontFamily
+    };
+    
+    clearTimeout(textUpdateTimeout);
+    textUpdateTimeout = setTimeout(() => rebuildTextLayer(layer), 300);
+  }
+
+  /**
+   * Regenerate a text layer's SVG from its options and re-sample its particles
+   */
+  function rebuildTextLayer(layer) {
+    return buildTextSVG(layer.text)
+      .then(svgString => {
+        // The layer may have been deleted while the font was loading
+        if (!state.layers.includes(layer)) return;
+        
+        layer.svgString = svgString;
+        if (!layer.customName) {
+          layer.name = getTextLayerName(layer.text);
+          updateLayerNameUI(layer);
+        }
+        recordHistory(`Edit ${layer.name}`);
+        
+        if (usesAutoArtboard()) {
+          scheduleUpdate();
+        } else {
+          processLayerSVG(layer);
+        }
+      })
+      .catch(error => {
+        console.error("Error updating text layer:", error);
+        showNotification("Error updating text layer", "error");
+      });
+  }
+
+  /**
+   * Load a user font file (.ttf, .otf, .woff, .woff2) into the active text layer
+   */
+  function loadTextLayerFont(file) {
+    const layer = getActiveTextLayer();
+    if (!layer) {
+      showNotification("Select a text layer first", "warning");
+      return;
+    }
+    
+    const reader = new FileReader();
+    
+    reader.onload = function(event) {
+      layer.text.customFont = {
+        name: `PartycleFont-${layer.id}-${Date.now()}`,
+        dataUrl: event.target.result,
+        fileName: file.name
+      };
+      
+      ensureTextFont(layer.text)
+        .then(() => {
+          updateTextLayerPanel(layer);
+          return rebuildTextLayer(layer);
+        })
+        .catch(error => {
+          console.error("Error loading font:", error);
+          layer.text.customFont = null;
+          updateTextLayerPanel(layer);
+          showNotification("Could not load this font file", "error");
+        });
+    };
+    
+    reader.onerror = function() {
+      showNotification("Error reading font file", "error");
+    };
+    
+    reader.readAsDataURL(file);
+  }
+
+  /**
+   * Make sure a text layer's custom font is registered with the document
+   */
+  function ensureTextFont(text) {
+    if (!text.customFont) return Promise.resolve();
+    
+    const { name, dataUrl } = text.customFont;
+    if (!resourceCache.fontFaces.has(name)) {
+      const face = new FontFace(name, `url(${dataUrl})`);
+      resourceCache.fontFaces.set(name, face.load().then(loaded => {
+        document.fonts.add(loaded);
+        return loaded;
+      }));
+    }
+    
+    return resourceCache.fontFaces.get(name);
+  }
+
+  /**
+   * Build a standalone SVG document for a text layer
+   * The font is embedded so the SVG also renders correctly as an image
+   */
+  function buildTextSVG(text) {
+    return ensureTextFont(text).then(() => {
+      const family = text.customFont ? text.customFont.name : text.fontFamily;
+      const genericFamilies = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui'];
+      const cssFamily = genericFamilies.includes(family) ? family : `'${family}'`;
+      
+      // Measure with the same font the SVG will use
+      const ctx = document.createElement('canvas').getContext('2d');
+      ctx.font = `${text.fontSize}px ${cssFamily}`;
+      
+      const lines = text.content.split('\n');
+      const lineWidths = lines.map(line => {
+        return ctx.measureText(line).width + Math.max(0, line.length - 1) * text.letterSpacing;
+      });
+      
+      const metrics = ctx.measureText('Hg');
+      const ascent = metrics.fontBoundingBoxAscent || text.fontSize * 0.8;
+      const descent = metrics.fontBoundingBoxDescent || text.fontSize * 0.2;
+      const lineAdvance = text.fontSize * text.lineHeight;
+      const padding = text.fontSize * 0.25;
+      
+      const width = Math.ceil(Math.max(1, ...lineWidths) + padding * 2);
+      const height = Math.ceil(ascent + descent + lineAdvance * (lines.length - 1) + padding * 2);
+      
+      // Horizontal anchor for the chosen alignment
+      let anchor = 'middle';
+      let x = width / 2;
+      if (text.align === 'left') {
+        anchor = 'start';
+        x = padding;
+      } else if (text.align === 'right') {
+        anchor = 'end';
+        x = width - padding;
+      }
+      
+      const tspans = lines.map((line, i) => {
+        const y = padding + ascent + i * lineAdvance;
+        return `<tspan x="${x.toFixed(2)}" y="${y.toFixed(2)}">${escapeXML(line) || ' '}</tspan>`;
+      }).join('');
+      
+      const fontFace = text.customFont 
+        ? `<style>@font-face { font-family: '${text.customFont.name}'; src: url("${text.customFont.dataUrl}"); }</style>` 
+        : '';
+      
+      return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+        fontFace +
+        `<text font-family="${cssFamily}" font-size="${text.fontSize}" letter-spacing="${text.letterSpacing}" ` +
+        `text-anchor="${anchor}" fill="#ffffff" xml:space="preserve">${tspans}</text>` +
+        `</svg>`;
+    });
+  }
+
+  /**
+   * Escape text for use inside SVG markup
+   */
+  function escapeXML(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Show the text panel for text layers and fill it from the layer's options
+   */
+  function updateTextLayerPanel(layer) {
+    if (!dom.textLayerPanel) return;
+    
+    const isText = layer && layer.sourceType === 'text' && layer.text && !layer.locked;
+    dom.textLayerPanel.style.display = isText ? 'block' : 'none';
+    if (!isText) return;
+    
+    const text = layer.text;
+    if (dom.textContentInput) dom.textContentInput.value = text.content;
+    if (dom.textFontSizeInput) dom.textFontSizeInput.value = text.fontSize;
+    if (dom.textLetterSpacingInput) dom.textLetterSpacingInput.value = text.letterSpacing;
+    if (dom.textLineHeightInput) dom.textLineHeightInput.value = text.lineHeight;
+    if (dom.textAlignSelect) dom.textAlignSelect.value = text.align;
+    if (dom.textFontFamilySelect) dom.textFontFamilySelect.value = text.fontFamily;
+    if (dom.textFontName) {
+      dom.textFontName.textContent = text.customFont ? text.customFont.fileName : 'System font';
+    }
+    
+    updateTextLayerValueLabels();
+  }
+
+  /**
+   * Update the value labels next to the text sliders
+   */
+  function updateTextLayerValueLabels() {
+    [dom.textFontSizeInput, dom.textLetterSpacingInput, dom.textLineHeightInput].forEach(input => {
+      if (!input) return;
+      const valueEl = document.getElementById(`${input.id}-value`);
+      if (valueEl) {
+        valueEl.textContent = formatValue(input.value, parseFloat(input.step) || 1);
+      }
+    });
+  }
+
+  /**
+   * Refresh a layer's name in the layers list
+   */
+  function updateLayerNameUI(layer) {
+    if (!dom.layersList) return;
+    const nameEl = dom.layersList.querySelector(`[data-layer-id="${layer.id}"] .layer-name`);
+    if (nameEl) nameEl.textContent = layer.name;
+    renderForceFieldsList();
+    renderMorphLayerOptions();
+    renderTimelineTracks();
+  }
+
+  /**
+   * Check whether a layer has something to sample
+   */
+  function hasLayerSource(layer) {
+    if (!layer) return false;
+    return layer.sourceType === 'image' ? !!layer.imageSrc : !!layer.svgString;
+  }
+
+  /**
+   * Create user interface for a layer
+   */
+  function createLayerUI(layer) {
+    if (!dom.layerTemplate || !dom.layersList) return;
+    
+    // Clone the template
+    const template = dom.layerTemplate.content.cloneNode(true);
+    const li = template.querySelector('li');
+    
+    // Set layer ID
     li.dataset.layerId = layer.id;
     
-    // Set layer name
+    // Set layer name; double-click to rename
     const nameEl = li.querySelector('.layer-name');
-    if (nameEl) nameEl.textContent = layer.name;
+    if (nameEl) {
+      nameEl.textContent = layer.name;
+      nameEl.addEventListener('dblclick', (e) => {
+        e.stopPropagation();
+        startLayerRename(layer.id);
+      });
+    }
     
     // Set visibility handler
     const visibilityEl = li.querySelector('.layer-visibility');
@@ -960,6 +2288,21 @@ const ParticleApp = (function() {
       });
     }
     
+    // Set duplicate, lock and solo handlers
+    const actions = {
+      '.layer-duplicate': () => duplicateLayer(layer.id),
+      '.layer-lock': () => toggleLayerLock(layer.id),
+      '.layer-solo': () => toggleLayerSolo(layer.id)
+    };
+    Object.entries(actions).forEach(([selector, action]) => {
+      const button = li.querySelector(selector);
+      if (!button) return;
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        action();
+      });
+    });
+    
     // Set edit handler
     const editBtn = li.querySelector('.layer-edit');
     if (editBtn) {
@@ -970,9 +2313,9 @@ const ParticleApp = (function() {
       });
     }
     
-    // Make whole layer item select the layer
-    li.addEventListener('click', () => {
-      setActiveLayer(layer.id);
+    // Make whole layer item select the layer (Ctrl/Cmd/Shift-click adds it to the selection)
+    li.addEventListener('click', (e) => {
+      selectLayer(layer.id, e.ctrlKey || e.metaKey || e.shiftKey);
     });
     
     // Setup drag and drop for reordering
@@ -980,6 +2323,7 @@ const ParticleApp = (function() {
     
     // Add to list
     dom.layersList.appendChild(li);
+    updateLayerStateUI(layer);
   }
 
   /**
@@ -1111,6 +2455,8 @@ const ParticleApp = (function() {
     
     // Update render order in scene
     updateSceneLayerOrder();
+    
+    recordHistory('Reorder layers');
   }
 
   /**
@@ -1159,18 +2505,325 @@ const ParticleApp = (function() {
    */
   function toggleLayerVisibility(layerId) {
     const layer = state.layers.find(l => l.id === layerId);
-    if (!layer) return;
+    if (!layer || layer.removing) return;
+    
+    // Taking over visibility by hand ends a morph the layer is part of
+    state.layers.forEach(other => {
+      if (other.morph && (other === layer || other.morph.targetLayerId === layerId)) cancelLayerMorph(other);
+    });
     
     // Toggle visibility
     layer.visible = !layer.visible;
     
-    // Update group visibility
+    // Update group visibility; hiding waits for the exit animation
     if (layer.group) {
-      layer.group.visible = layer.visible;
+      if (layer.visible) {
+        updateLayerGroupVisibility(layer);
+        startLayerTransition(layer, 'intro');
+      } else {
+        startLayerTransition(layer, 'outro', () => updateLayerGroupVisibility(layer));
+      }
     }
     
-    // Update UI
-    const layerEl = dom.layersList.querySelector(`[data-layer-id="${layerId}"]`);
+    updateLayerVisibilityUI(layer);
+    recordHistory(`${layer.visible ? 'Show' : 'Hide'} ${layer.name}`);
+  }
+
+  /**
+   * Show or hide a layer at once, without an entrance or exit animation
+   */
+  function setLayerVisible(layer, visible) {
+    layer.visible = visible;
+    updateLayerGroupVisibility(layer);
+    updateLayerVisibilityUI(layer);
+  }
+
+  /**
+   * Show a layer's particles while it's visible (or still playing its exit) and not hidden by another layer's solo
+   */
+  function updateLayerGroupVisibility(layer) {
+    if (!layer.group) return;
+    layer.group.visible = (layer.visible || !!layer.transition) && !isLayerSoloedOut(layer);
+  }
+
+  /**
+   * Whether a layer is hidden because other layers are soloed
+   */
+  function isLayerSoloedOut(layer) {
+    return !layer.solo && state.layers.some(l => l.solo);
+  }
+
+  /**
+   * Show only the soloed layers; soloing several layers shows them all
+   */
+  function toggleLayerSolo(layerId) {
+    const layer = state.layers.find(l => l.id === layerId);
+    if (!layer) return;
+    
+    layer.solo = !layer.solo;
+    state.layers.forEach(l => {
+      updateLayerGroupVisibility(l);
+      updateLayerStateUI(l);
+    });
+    
+    updateTransformControls();
+    updateParticleCountDisplay();
+    recordHistory(`${layer.solo ? 'Solo' : 'Unsolo'} ${layer.name}`);
+  }
+
+  /**
+   * Lock or unlock a layer
+   */
+  function toggleLayerLock(layerId) {
+    const layer = state.layers.find(l => l.id === layerId);
+    if (layer) setLayerLocked(layer, !layer.locked);
+  }
+
+  /**
+   * A locked layer keeps its settings, transform and look, and ignores the pointer, until it is unlocked
+   */
+  function setLayerLocked(layer, locked) {
+    if (layer.removing || layer.locked === locked) return;
+    
+    if (locked) {
+      // Freeze the values it samples and moves with, whatever happens to the global defaults
+      const settings = getLayerSettings(layer);
+      layer.lockedSettings = {};
+      Object.values(layerSettingKeys).forEach(key => {
+        layer.lockedSettings[key] = settings[key];
+      });
+      layer.locked = true;
+    } else {
+      // Catch up with global edits made while it was locked
+      const lockedSettings = layer.lockedSettings;
+      layer.locked = false;
+      layer.lockedSettings = null;
+      
+      const settings = getLayerSettings(layer);
+      if (Object.keys(lockedSettings).some(key => lockedSettings[key] !== settings[key])) {
+        processLayerSVG(layer);
+      }
+    }
+    
+    updateLayerStateUI(layer);
+    updateLayerPropertiesPanel();
+    
+    // Refresh the panels that edit the active layer
+    if (layer.id === state.activeLayerId) setActiveLayer(layer.id);
+    
+    recordHistory(`${locked ? 'Lock' : 'Unlock'} ${layer.name}`);
+  }
+
+  /**
+   * Reflect a layer's lock and solo state in its list item
+   */
+  function updateLayerStateUI(layer) {
+    const layerEl = dom.layersList && dom.layersList.querySelector(`[data-layer-id="${layer.id}"]`);
+    if (!layerEl) return;
+    
+    layerEl.classList.toggle('locked', layer.locked);
+    layerEl.classList.toggle('soloed', layer.solo);
+    layerEl.classList.toggle('soloed-out', isLayerSoloedOut(layer));
+    
+    const lockBtn = layerEl.querySelector('.layer-lock');
+    if (lockBtn) {
+      lockBtn.classList.toggle('active', layer.locked);
+      lockBtn.title = layer.locked ? 'Unlock Layer' : 'Lock Layer';
+    }
+    
+    const soloBtn = layerEl.querySelector('.layer-solo');
+    if (soloBtn) {
+      soloBtn.classList.toggle('active', layer.solo);
+      soloBtn.title = layer.solo ? 'Stop Soloing' : 'Solo Layer';
+    }
+  }
+
+  /**
+   * Copy a layer: the copy shares the source's SVG or image but gets its own settings, transform and look
+   * It goes just above the source in the stack and becomes the active layer
+   */
+  function duplicateLayer(layerId) {
+    const source = state.layers.find(l => l.id === layerId);
+    if (!source || source.removing) return null;
+    
+    const copy = createLayer(source.svgString, `${source.name} copy`, {
+      customName: source.customName,
+      sourceType: source.sourceType,
+      imageSrc: source.imageSrc,
+      imageSize: source.imageSize,
+      text: source.text ? { ...source.text } : null,
+      samplingMode: source.samplingMode,
+      offset: source.offset,
+      settings: source.lockedSettings || source.settings,
+      transform: source.transform,
+      opacity: source.opacity,
+      blendMode: source.blendMode
+    });
+    
+    reorderLayer(state.layers.length - 1, state.layers.indexOf(source) + 1);
+    recordHistory(`Duplicate ${source.name}`);
+    return copy;
+  }
+
+  /**
+   * Swap a layer's name for a text field; Enter or leaving the field keeps the new name, Escape the old one
+   */
+  function startLayerRename(layerId) {
+    const layer = state.layers.find(l => l.id === layerId);
+    const nameEl = dom.layersList.querySelector(`[data-layer-id="${layerId}"] .layer-name`);
+    if (!layer || !nameEl || nameEl.querySelector('input')) return;
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'layer-name-input';
+    input.value = layer.name;
+    
+    // Let the mouse select text instead of dragging the layer
+    const layerEl = nameEl.closest('.layer-item');
+    layerEl.draggable = false;
+    
+    let finished = false;
+    const finish = (commit) => {
+      if (finished) return;
+      finished = true;
+      
+      layerEl.draggable = true;
+      nameEl.textContent = layer.name;
+      if (commit) renameLayer(layerId, input.value);
+    };
+    
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') finish(true);
+      if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+    
+    // Clicks in the field shouldn't select the layer
+    input.addEventListener('click', (e) => e.stopPropagation());
+    
+    nameEl.textContent = '';
+    nameEl.appendChild(input);
+    input.focus();
+    input.select();
+  }
+
+  /**
+   * Give a layer a name of its own
+   */
+  function renameLayer(layerId, name) {
+    const layer = state.layers.find(l => l.id === layerId);
+    const trimmed = (name || '').trim();
+    if (!layer || !trimmed || trimmed === layer.name) return;
+    
+    recordHistory(`Rename ${layer.name} to ${trimmed}`);
+    layer.name = trimmed;
+    layer.customName = true;
+    updateLayerNameUI(layer);
+    updateLayerSettingLinks();
+  }
+
+  /**
+   * The selected layers, in selection order
+   */
+  function getSelectedLayers() {
+    return state.selectedLayerIds
+      .map(id => state.layers.find(l => l.id === id))
+      .filter(layer => layer && !layer.removing);
+  }
+
+  /**
+   * Show the active layer's opacity and blend mode; edits apply to every selected unlocked layer
+   */
+  function updateLayerPropertiesPanel() {
+    const layer = state.layers.find(l => l.id === state.activeLayerId);
+    if (dom.layerProperties) {
+      dom.layerProperties.style.display = layer ? 'block' : 'none';
+    }
+    if (!layer) return;
+    
+    const editable = getSelectedLayers().some(l => !l.locked);
+    if (dom.layerOpacityInput) {
+      dom.layerOpacityInput.value = layer.opacity;
+      dom.layerOpacityInput.disabled = !editable;
+    }
+    if (dom.layerOpacityValue) {
+      dom.layerOpacityValue.textContent = formatValue(layer.opacity, 0.05);
+    }
+    if (dom.layerBlendModeSelect) {
+      dom.layerBlendModeSelect.value = layer.blendMode;
+      dom.layerBlendModeSelect.disabled = !editable;
+    }
+  }
+
+  /**
+   * Set opacity and/or blend mode ({ opacity, blendMode }) on every selected unlocked layer
+   */
+  function setSelectedLayersLook(look) {
+    getSelectedLayers().forEach(layer => {
+      if (layer.locked) return;
+      
+      Object.assign(layer, look);
+      applyLayerVisualSettings(layer, getLayerSettings(layer));
+    });
+    
+    pruneMaterialCache();
+    generateCode();
+  }
+
+  /**
+   * Run one of the layer list's bulk actions on the selected layers
+   */
+  function runBulkLayerAction(action) {
+    const layers = getSelectedLayers();
+    
+    switch (action) {
+      case 'select-all':
+        state.selectedLayerIds = state.layers.map(l => l.id);
+        updateLayerSelectionUI();
+        updateLayerPropertiesPanel();
+        break;
+      case 'show':
+      case 'hide':
+        layers.forEach(layer => {
+          if (layer.visible !== (action === 'show')) toggleLayerVisibility(layer.id);
+        });
+        break;
+      case 'lock':
+      case 'unlock':
+        layers.forEach(layer => setLayerLocked(layer, action === 'lock'));
+        break;
+      case 'duplicate': {
+        // The copies end up selected in place of their sources
+        const copies = layers.map(layer => duplicateLayer(layer.id)).filter(Boolean);
+        if (copies.length === 0) break;
+        
+        state.selectedLayerIds = copies.map(copy => copy.id);
+        setActiveLayer(copies[copies.length - 1].id);
+        break;
+      }
+      case 'delete': {
+        const locked = layers.filter(layer => layer.locked);
+        layers.filter(layer => !layer.locked).forEach(layer => deleteLayer(layer.id));
+        if (locked.length > 0) {
+          showNotification(`Kept ${locked.length} locked layer${locked.length === 1 ? '' : 's'}`, "info");
+        }
+        break;
+      }
+    }
+    
+    // The whole action is one undo step
+    if (action !== 'select-all' && layers.length > 1) {
+      recordHistory(`${action.charAt(0).toUpperCase()}${action.slice(1)} ${layers.length} layers`);
+    }
+  }
+
+  /**
+   * Sync a layer's eye icon and the particle counter with its visibility
+   */
+  function updateLayerVisibilityUI(layer) {
+    if (layer.id === state.activeLayerId) updateTransformControls();
+    
+    const layerEl = dom.layersList.querySelector(`[data-layer-id="${layer.id}"]`);
     if (layerEl) {
       const visibilityEl = layerEl.querySelector('.layer-visibility');
       if (visibilityEl) {
@@ -1187,14 +2840,39 @@ const ParticleApp = (function() {
   }
 
   /**
-   * Delete a layer
+   * Delete a layer, after its exit animation if one is configured
    */
   function deleteLayer(layerId) {
+    const layer = state.layers.find(l => l.id === layerId);
+    if (!layer || layer.removing) return;
+    
+    if (layer.locked) {
+      showNotification(`Unlock "${layer.name}" before deleting it`, "error");
+      return;
+    }
+    
+    layer.removing = true;
+    if (layer.visible) {
+      startLayerTransition(layer, 'outro', () => removeLayer(layerId));
+    } else {
+      removeLayer(layerId);
+    }
+    
+    recordHistory(`Delete ${layer.name}`);
+  }
+
+  /**
+   * Remove a layer and its resources immediately
+   */
+  function removeLayer(layerId) {
     const index = state.layers.findIndex(l => l.id === layerId);
     if (index === -1) return;
     
     const layer = state.layers[index];
     
+    // Stop any scan still running for it
+    cancelSamplingJob(layer);
+    
     // Remove from scene
     if (layer.group) {
       clearLayerParticles(layer);
@@ -1204,8 +2882,29 @@ const ParticleApp = (function() {
       cleanupLayerResources(layer);
     }
     
+    // Take the canvas handles off it
+    if (state.transformControls && state.transformControls.object === layer.group) {
+      state.transformControls.detach();
+    }
+    
     // Remove from state
     state.layers.splice(index, 1);
+    state.selectedLayerIds = state.selectedLayerIds.filter(id => id !== layerId);
+    
+    // Force fields stop targeting it
+    state.forceFields.forEach(field => {
+      if (field.layerIds) field.layerIds = field.layerIds.filter(id => id !== layerId);
+    });
+    
+    // Morphs into it stop where they are
+    state.layers.forEach(other => {
+      if (other.morph && other.morph.targetLayerId === layerId) cancelLayerMorph(other);
+    });
+    
+    // Its timeline tracks go with it
+    state.timeline.tracks = state.timeline.tracks.filter(track => track.layerId !== layerId);
+    state.timeline.selectedKey = null;
+    renderTimelineTracks();
     
     // Remove from UI
     const layerEl = dom.layersList.querySelector(`[data-layer-id="${layerId}"]`);
@@ -1219,18 +2918,29 @@ const ParticleApp = (function() {
         setActiveLayer(state.layers[0].id);
       } else {
         state.activeLayerId = null;
+        updateTextLayerPanel(null);
+        updateLayerSettingsPanel();
+        updateLayerTransformPanel();
+        updateLayerPropertiesPanel();
       }
     }
     
     // Update empty message
     updateEmptyLayersMessage();
+    renderForceFieldsList();
+    renderMorphLayerOptions();
     
     // Show drop area if no layers left
     if (state.layers.length === 0 && dom.dropArea) {
       dom.dropArea.classList.remove('hidden');
     }
     
-    // Update particle count
+    // The shared artboard may have shrunk
+    if (usesAutoArtboard()) {
+      scheduleUpdate();
+    }
+    
+    // Update particle count
     updateParticleCountDisplay();
   }
 
@@ -1268,16 +2978,133 @@ const ParticleApp = (function() {
    */
   function setActiveLayer(layerId) {
     state.activeLayerId = layerId;
+    if (!state.selectedLayerIds.includes(layerId)) {
+      state.selectedLayerIds = [layerId];
+    }
     
     // Update UI
     document.querySelectorAll('.layer-item').forEach(el => {
       el.classList.remove('active');
     });
+    updateLayerSelectionUI();
     
     const activeEl = document.querySelector(`.layer-item[data-layer-id="${layerId}"]`);
     if (activeEl) {
       activeEl.classList.add('active');
     }
+    
+    // Reflect the layer's sampling mode and document offset in the panel
+    const layer = state.layers.find(l => l.id === layerId);
+    updateTextLayerPanel(layer);
+    if (layer && dom.samplingModeSelect) {
+      dom.samplingModeSelect.value = layer.samplingMode || 'raster';
+      dom.samplingModeSelect.disabled = layer.locked;
+    }
+    if (layer && dom.layerOffsetX && dom.layerOffsetY) {
+      dom.layerOffsetX.value = layer.offset ? layer.offset.x : 0;
+      dom.layerOffsetY.value = layer.offset ? layer.offset.y : 0;
+      dom.layerOffsetX.disabled = dom.layerOffsetY.disabled = layer.locked;
+    }
+    
+    // The particle and motion controls edit this layer's settings
+    updateLayerSettingsPanel();
+    
+    // The transform panel, canvas handles and layer properties follow the active layer
+    updateLayerTransformPanel();
+    updateTransformControls();
+    updateLayerPropertiesPanel();
+  }
+
+  /**
+   * Add a link toggle to every per-layer setting's label
+   */
+  function setupLayerSettingLinks() {
+    const template = document.getElementById('setting-link-template');
+    if (!template) return;
+    
+    Object.keys(layerSettingKeys).forEach(id => {
+      const label = document.querySelector(`label[for="${id}"]`);
+      if (!label) return;
+      
+      const button = template.content.cloneNode(true).querySelector('.setting-link');
+      button.dataset.settingId = id;
+      button.addEventListener('click', (e) => {
+        // Keep the label from toggling its checkbox
+        e.preventDefault();
+        toggleLayerSettingLink(id);
+      });
+      label.appendChild(button);
+    });
+    
+    updateLayerSettingLinks();
+  }
+
+  /**
+   * Switch a setting on the active layer between its own value and the global default
+   */
+  function toggleLayerSettingLink(id) {
+    const layer = state.layers.find(l => l.id === state.activeLayerId);
+    const key = layerSettingKeys[id];
+    if (!layer || layer.locked || !key) return;
+    
+    if (key in layer.settings) {
+      // Linking drops the layer's value, so show and apply the global one
+      const changed = layer.settings[key] !== state.layerSettingDefaults[key];
+      delete layer.settings[key];
+      writeSettingInput(id, state.layerSettingDefaults[key]);
+      if (changed) handleSettingChange(id);
+    } else {
+      // Unlinking starts from the current value; later edits only touch this layer
+      layer.settings[key] = state.layerSettingDefaults[key];
+    }
+    
+    updateLayerSettingLinks();
+    recordHistory(`${key in layer.settings ? 'Unlink' : 'Link'} ${getSettingLabel(id)}`);
+  }
+
+  /**
+   * Show the active layer's per-layer settings in the panel, or the global defaults while it is locked
+   */
+  function updateLayerSettingsPanel() {
+    const layer = state.layers.find(l => l.id === state.activeLayerId);
+    const settings = getLayerSettings(layer && !layer.locked ? layer : null, state.layerSettingDefaults);
+    
+    Object.entries(layerSettingKeys).forEach(([id, key]) => {
+      writeSettingInput(id, settings[key]);
+    });
+    
+    updateLayerSettingLinks();
+  }
+
+  /**
+   * Mark which settings the active layer sets for itself
+   */
+  function updateLayerSettingLinks() {
+    const layer = state.layers.find(l => l.id === state.activeLayerId);
+    
+    document.querySelectorAll('.setting-link').forEach(button => {
+      const unlinked = !!layer && !layer.locked && layerSettingKeys[button.dataset.settingId] in layer.settings;
+      button.classList.toggle('unlinked', unlinked);
+      button.disabled = !layer || layer.locked;
+      
+      if (layer && layer.locked) {
+        button.title = `${layer.name} is locked, so edits here change the global default`;
+      } else {
+        button.title = unlinked
+          ? `Set for ${layer.name} only. Click to link to the global default`
+          : 'Linked to the global default. Click to set it for the active layer only';
+      }
+    });
+  }
+
+  /**
+   * Show either the solid color or the gradient color inputs
+   */
+  function updateColorModeControls() {
+    if (!dom.useGradientCheckbox || !dom.solidColorControl || !dom.gradientControls) return;
+    
+    dom.solidColorControl.style.display = dom.useGradientCheckbox.checked ? 'none' : 'block';
+    dom.gradientControls.style.display = dom.useGradientCheckbox.checked ? 'block' : 'none';
   }
 
   /**
@@ -1302,7 +3129,7 @@ const ParticleApp = (function() {
     // Count visible particles
     let count = 0;
     state.layers.forEach(layer => {
-      if (layer.visible) {
+      if (layer.visible && !isLayerSoloedOut(layer)) {
         count += layer.particleCount;
       }
     });
@@ -1313,17 +3140,22 @@ const ParticleApp = (function() {
 
   /**
    * Create material with proper caching
+   * Layers with their own opacity or blend mode get materials of their own
    */
-  function createOrGetMaterial(color, type = 'fill') {
-    const cacheKey = `${color}_${type}`;
+  function createOrGetMaterial(color, type = 'fill', layerOpacity = 1, blendMode = 'normal') {
+    // Opacity snaps to the layer slider's 0.05 steps so there is a bounded set of materials per color
+    layerOpacity = Math.round(layerOpacity * 20) / 20;
+    const cacheKey = layerOpacity === 1 && blendMode === 'normal'
+      ? `${color}_${type}`
+      : `${color}_${type}_${layerOpacity}_${blendMode}`;
     
     // Check if we already have this material
     if (resourceCache.materialCache.has(cacheKey)) {
       return resourceCache.materialCache.get(cacheKey);
     }
     
-    // Create new material
-    const opacity = type === 'fill' ? 0.8 : 0.9;
+    // Create new material; the opacity setting scales the per-type base opacity
+    const opacity = (type === 'fill' ? 0.8 : 0.9) * layerOpacity;
     const colorObj = new THREE.Color(color);
     
     // Brighten strokes slightly for visibility
@@ -1334,8 +3166,11 @@ const ParticleApp = (function() {
     const material = new THREE.MeshBasicMaterial({
       color: colorObj,
       transparent: true,
-      opacity: opacity
+      opacity: opacity * getSettings().particleOpacity,
+      blending: layerBlendModes[blendMode] || THREE.NormalBlending
     });
+    material.userData.baseOpacity = opacity;
+    material.userData.perColor = true;
     
     // Store in cache
     resourceCache.materialCache.set(cacheKey, material);
@@ -1344,202 +3179,526 @@ const ParticleApp = (function() {
     return material;
   }
 
+  /**
+   * Dispose cached per-color materials that no particle uses any more, e.g. after a layer's opacity or blend mode changed
+   */
+  function pruneMaterialCache() {
+    const inUse = new Set();
+    state.layers.forEach(layer => {
+      if (Array.isArray(layer.particles)) {
+        layer.particles.forEach(particle => inUse.add(particle.material));
+      }
+      if (layer.morph) {
+        layer.morph.sources.forEach(source => inUse.add(source.material));
+        layer.morph.targets.forEach(target => inUse.add(target.material));
+      }
+    });
+    
+    const removed = new Set();
+    resourceCache.materialCache.forEach((material, key) => {
+      if (!material.userData.perColor || inUse.has(material)) return;
+      
+      resourceCache.materialCache.delete(key);
+      material.dispose();
+      removed.add(material);
+    });
+    
+    if (removed.size > 0) {
+      resourceCache.disposables = resourceCache.disposables.filter(resource => !removed.has(resource));
+    }
+  }
+
   /**
    * Create particles from SVG string for a layer
+   * Bitmap layers share the same raster scan, weighted by luminance or alpha
+   * Returns a promise that settles once the layer has been rebuilt (or its job superseded)
    */
   function createParticlesFromSVGString(layer, svgString) {
-    try {
-      // Create temporary DOM element to parse SVG
-      const parser = new DOMParser();
-      const svgDoc = parser.parseFromString(svgString, 'image/svg+xml');
-      
-      // Create canvas to draw SVG
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d');
-      
-      // Set canvas size (higher resolution for better sampling)
-      canvas.width = 2000;
-      canvas.height = 2000;
-      
-      // Create Image from SVG
-      const img = new Image();
-      const svgBlob = new Blob([svgString], {type: 'image/svg+xml'});
-      const url = URL.createObjectURL(svgBlob);
-      
-      img.onload = function() {
-        // Calculate aspect ratio to fit SVG in canvas
-        const svgRatio = img.width / img.height;
-        let drawWidth, drawHeight, offsetX, offsetY;
-        
-        if (svgRatio > 1) {
-          drawWidth = canvas.width * 0.8;
-          drawHeight = drawWidth / svgRatio;
-          offsetX = canvas.width * 0.1;
-          offsetY = (canvas.height - drawHeight) / 2;
-        } else {
-          drawHeight = canvas.height * 0.8;
-          drawWidth = drawHeight * svgRatio;
-          offsetX = (canvas.width - drawWidth) / 2;
-          offsetY = canvas.height * 0.1;
-        }
+    const isBitmap = layer.sourceType === 'image';
+    
+    // Get this layer's settings
+    const settings = getLayerSettings(layer);
+    const cacheKey = getSamplingCacheKey(layer, settings);
+    
+    // Vector mode walks the SVG geometry directly instead of scanning pixels
+    if (layer.samplingMode === 'vector' && !isBitmap) {
+      cancelSamplingJob(layer);
+      createParticlesFromSVGGeometry(layer, svgString, settings, cacheKey);
+      return Promise.resolve();
+    }
+    
+    // Settings that don't affect sampling reuse the last scan instead of rasterizing again
+    const cachedScan = getCachedScan(layer, cacheKey);
+    if (cachedScan) {
+      cancelSamplingJob(layer);
+      createParticlesFromScan(layer, cachedScan, settings);
+      return Promise.resolve();
+    }
+    
+    // Claim the job before loading, so a slower load from an earlier call can't replace this one
+    const jobId = startSamplingJob(layer);
+    
+    return new Promise(resolve => {
+      try {
+        // Create canvas to draw SVG
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
         
-        // Clear canvas
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        // Set canvas size (higher resolution for better sampling)
+        canvas.width = 2000;
+        canvas.height = 2000;
         
-        // Draw SVG to canvas
-        ctx.drawImage(img, offsetX, offsetY, drawWidth, drawHeight);
+        // Create Image from SVG (bitmaps are already data URLs)
+        const img = new Image();
+        const url = isBitmap 
+          ? layer.imageSrc 
+          : URL.createObjectURL(new Blob([svgString], {type: 'image/svg+xml'}));
         
-        // Get image data to sample pixels
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        const data = imageData.data;
+        img.onload = function() {
+          // Superseded by a newer build (or a switch to vector mode) while loading
+          if (layer.samplingJobId !== jobId) {
+            if (!isBitmap) URL.revokeObjectURL(url);
+            resolve();
+            return;
+          }
+          
+          // Place the SVG on the canvas (fitted, or in the shared document space)
+          const { drawWidth, drawHeight, offsetX, offsetY } = getLayerDrawRect(
+            layer,
+            img.width, 
+            img.height, 
+            canvas.width, 
+            canvas.height,
+            settings
+          );
+          
+          // Draw SVG to canvas
+          ctx.clearRect(0, 0, canvas.width, canvas.height);
+          ctx.drawImage(img, offsetX, offsetY, drawWidth, drawHeight);
+          
+          // Clean up
+          if (!isBitmap) URL.revokeObjectURL(url);
+          
+          // Determine sampling density (lower value = denser sampling)
+          const samplingStep = settings.particleDensity * 2;
+          
+          const params = {
+            width: canvas.width,
+            height: canvas.height,
+            samplingStep: samplingStep,
+            // Sample the edges using a smaller sampling step for better detail
+            edgeSamplingStep: Math.max(1, samplingStep / settings.strokeDetail),
+            // Bitmaps have no vector outlines, so edge detection would only trace the image border
+            includeStrokes: settings.includeStrokes && !isBitmap,
+            isBitmap: isBitmap,
+            imageWeighting: settings.imageWeighting,
+            invertImage: settings.invertImage
+          };
+          
+          runSamplingJob(layer, jobId, canvas, params)
+            .then(scan => {
+              // Superseded by a newer job, or the layer was deleted meanwhile
+              if (!scan || !state.layers.includes(layer)) return;
+              
+              setCachedScan(layer, cacheKey, scan);
+              createParticlesFromScan(layer, scan, settings);
+            })
+            .catch(e => {
+              console.error("Error sampling layer:", e);
+              showNotification("Error processing SVG.", "error");
+            })
+            .then(resolve);
+        };
         
-        // Get settings
-        const settings = getSettings();
+        img.onerror = function() {
+          console.error('Error loading layer source');
+          showLoading(false);
+          showNotification(isBitmap ? "Error loading image." : "Error loading SVG. File may be corrupted.", "error");
+          
+          // Show the drop area again if there was an error
+          if (dom.dropArea) {
+            dom.dropArea.classList.remove('hidden');
+          }
+          
+          resolve();
+        };
         
-        // Set of points to sample from for particles
-        const points = [];
-        const colors = []; // Store colors for each point if preserving SVG colors
+        img.src = url;
+      } catch (e) {
+        console.error("Error creating particles from SVG:", e);
+        showLoading(false);
+        showNotification("Error processing SVG.", "error");
+        resolve();
+      }
+    });
+  }
+
+  /**
+   * Describe everything that changes a layer's raw samples
+   * Colors, counts, depth and motion are applied afterwards, so they reuse the cached scan
+   */
+  function getSamplingCacheKey(layer, settings) {
+    const isBitmap = layer.sourceType === 'image';
+    
+    // In document layout the placement depends on the artboard and this layer's offset
+    const placement = settings.layoutMode === 'document'
+      ? { artboard: getArtboardRect(settings), rect: getLayerDocumentRect(layer) }
+      : 'fit';
+    
+    return JSON.stringify({
+      mode: isBitmap ? 'raster' : (layer.samplingMode || 'raster'),
+      resolution: 2000,
+      particleDensity: settings.particleDensity,
+      includeStrokes: settings.includeStrokes,
+      strokeWidth: settings.strokeWidth,
+      strokeDetail: settings.strokeDetail,
+      imageWeighting: isBitmap ? settings.imageWeighting : null,
+      invertImage: isBitmap ? settings.invertImage : null,
+      placement: placement
+    });
+  }
+
+  /**
+   * Get a layer's cached scan if it was made from the same source with the same key
+   */
+  function getCachedScan(layer, key) {
+    const cache = layer.scanCache;
+    const source = layer.sourceType === 'image' ? layer.imageSrc : layer.svgString;
+    
+    if (cache && cache.key === key && cache.source === source) {
+      return cache.scan;
+    }
+    return null;
+  }
+
+  /**
+   * Remember a layer's latest scan along with the source it came from
+   */
+  function setCachedScan(layer, key, scan) {
+    layer.scanCache = {
+      key: key,
+      source: layer.sourceType === 'image' ? layer.imageSrc : layer.svgString,
+      scan: scan
+    };
+  }
+
+  /**
+   * Turn packed scan buffers into scene points and build the layer's particles
+   */
+  function createParticlesFromScan(layer, scan, settings) {
+    const points = [];
+    const colors = []; // Store colors for each point if preserving SVG colors
+    const strokePoints = [];
+    const strokeColors = [];
+    const fillPoints = [];
+    const fillColors = [];
+    const svgDepth = settings.svgDepth;
+    
+    const addSamples = (samples, targetPoints, targetColors) => {
+      const { positions, depths, colors: rgb } = samples;
+      
+      for (let i = 0; i < depths.length; i++) {
+        // Random z-value for depth if enabled
+        const z = svgDepth > 0 ? (depths[i] - 0.5) * 2 * svgDepth : 0;
+        const point = new THREE.Vector3(
+          (positions[i * 2] - scan.width / 2) * 0.1, // Scale down to fit in view
+          -(positions[i * 2 + 1] - scan.height / 2) * 0.1, // Flip Y for Three.js coordinate system
+          z
+        );
         
-        // Determine if we should include strokes
-        const includeStrokes = settings.includeStrokes;
-        const strokeWidth = settings.strokeWidth;
-        const strokeDetail = settings.strokeDetail;
+        // Source color is always kept so toggling "preserve colors" applies in place
+        const color = `rgb(${rgb[i * 3]}, ${rgb[i * 3 + 1]}, ${rgb[i * 3 + 2]})`;
         
-        // Determine sampling density (lower value = denser sampling)
-        const samplingDensity = settings.particleDensity;
-        let samplingStep = samplingDensity * 2; // Base sampling step on density setting
+        points.push(point);
+        colors.push(color);
+        targetPoints.push(point);
+        targetColors.push(color);
+      }
+    };
+    
+    addSamples(scan.fill, fillPoints, fillColors);
+    addSamples(scan.stroke, strokePoints, strokeColors);
+    
+    createParticles(
+      layer, 
+      points, 
+      strokePoints, 
+      fillPoints, 
+      settings, 
+      colors, 
+      strokeColors, 
+      fillColors
+    );
+  }
+
+  /**
+   * Scan rasterized RGBA pixels for fill and edge samples
+   * Runs inside the sampling worker, so it may only call other serialized helpers.
+   * Yields between row bands so superseded jobs can stop early.
+   */
+  function* scanPixelData(data, params) {
+    const { width, height, samplingStep, edgeSamplingStep, includeStrokes, isBitmap } = params;
+    const rowsPerChunk = 32;
+    let rows = 0;
+    
+    const fill = { positions: [], depths: [], colors: [] };
+    const stroke = { positions: [], depths: [], colors: [] };
+    
+    const addSample = (target, x, y, index) => {
+      target.positions.push(x, y);
+      target.depths.push(Math.random());
+      target.colors.push(data[index], data[index + 1], data[index + 2]);
+    };
+    
+    // Typed arrays so the results can be transferred instead of copied
+    const pack = target => ({
+      positions: new Float32Array(target.positions),
+      depths: new Float32Array(target.depths),
+      colors: new Uint8Array(target.colors)
+    });
+    
+    // Sample points where pixels have alpha > 0
+    for (let y = 0; y < height; y += samplingStep) {
+      for (let x = 0; x < width; x += samplingStep) {
+        const index = (y * width + x) * 4;
+        const keepPixel = isBitmap 
+          ? Math.random() < getBitmapPixelWeight(data, index, params) // Stipple by weight
+          : data[index + 3] > 50; // If pixel is not fully transparent
         
-        // Prepare for separate stroke sampling
-        let strokePoints = [];
-        let strokeColors = [];
-        let fillPoints = [];
-        let fillColors = [];
+        if (keepPixel) addSample(fill, x, y, index);
+      }
+      
+      if (++rows % rowsPerChunk === 0) yield;
+    }
+    
+    // Check for pixels that might be part of a stroke (edges)
+    if (includeStrokes) {
+      for (let y = edgeSamplingStep; y < height - edgeSamplingStep; y += edgeSamplingStep) {
+        for (let x = edgeSamplingStep; x < width - edgeSamplingStep; x += edgeSamplingStep) {
+          const index = (y * width + x) * 4;
+          
+          // Skip if pixel is fully transparent
+          if (data[index + 3] < 50) continue;
+          
+          if (checkIfEdge(data, x, y, width)) addSample(stroke, x, y, index);
+        }
         
-        // Sample points where pixels have alpha > 0
-        for (let y = 0; y < canvas.height; y += samplingStep) {
-          for (let x = 0; x < canvas.width; x += samplingStep) {
-            const index = (y * canvas.width + x) * 4;
-            if (data[index + 3] > 50) { // If pixel is not fully transparent
-              // Create a point with random z-value for depth if enabled
-              const svgDepth = settings.svgDepth;
-              const depthFactor = Math.random();
-              const z = svgDepth > 0 ? (depthFactor - 0.5) * 2 * svgDepth : 0;
-              const point = new THREE.Vector3(
-                (x - canvas.width / 2) * 0.1, // Scale down to fit in view
-                -(y - canvas.height / 2) * 0.1, // Flip Y for Three.js coordinate system
-                z // Add depth
-              );
-              
-              // Get color from image data if preserving colors
-              let color;
-              if (settings.preserveColors) {
-                color = `rgb(${data[index]}, ${data[index + 1]}, ${data[index + 2]})`;
-              }
-              
-              // Add to general points
-              points.push(point);
-              colors.push(color);
-              
-              // Store separately for color mapping
-              fillPoints.push(point);
-              fillColors.push(color);
-            }
-          }
+        if (++rows % rowsPerChunk === 0) yield;
+      }
+    }
+    
+    return { width: width, height: height, fill: pack(fill), stroke: pack(stroke) };
+  }
+
+  /**
+   * Drive a chunked generator with timeouts between steps
+   * Resolves with its return value, or null once isCancelled() reports true
+   */
+  function runChunked(iterator, isCancelled) {
+    return new Promise((resolve, reject) => {
+      const step = () => {
+        if (isCancelled()) {
+          resolve(null);
+          return;
         }
         
-        // If stroke detection is enabled
-        if (includeStrokes) {
-          try {
-            // Create a secondary canvas for edge detection
-            const edgeCanvas = document.createElement('canvas');
-            const edgeCtx = edgeCanvas.getContext('2d');
-            edgeCanvas.width = canvas.width;
-            edgeCanvas.height = canvas.height;
-            
-            // Draw SVG to edge canvas with stroke rendering
-            edgeCtx.drawImage(img, offsetX, offsetY, drawWidth, drawHeight);
-            
-            // Apply edge detection filter (simple implementation)
-            const edgeData = edgeCtx.getImageData(0, 0, canvas.width, canvas.height);
-            const edgePixels = edgeData.data;
-            
-            // Sample the edges using a smaller sampling step for better detail
-            const edgeSamplingStep = Math.max(1, samplingStep / strokeDetail);
-            
-            // Check for pixels that might be part of a stroke (edges)
-            for (let y = edgeSamplingStep; y < canvas.height - edgeSamplingStep; y += edgeSamplingStep) {
-              for (let x = edgeSamplingStep; x < canvas.width - edgeSamplingStep; x += edgeSamplingStep) {
-                const index = (y * canvas.width + x) * 4;
-                
-                // Skip if pixel is fully transparent
-                if (edgePixels[index + 3] < 50) continue;
-                
-                // Check surrounding pixels for edge detection
-                const isEdge = checkIfEdge(edgePixels, x, y, canvas.width);
-                
-                if (isEdge) {
-                  // Create a point for the stroke
-                  const svgDepth = settings.svgDepth;
-                  const depthFactor = Math.random();
-                  const z = svgDepth > 0 ? (depthFactor - 0.5) * 2 * svgDepth : 0;
-                  const point = new THREE.Vector3(
-                    (x - canvas.width / 2) * 0.1,
-                    -(y - canvas.height / 2) * 0.1,
-                    z
-                  );
-                  
-                  // Get color from edge data if preserving colors
-                  let color;
-                  if (settings.preserveColors) {
-                    color = `rgb(${edgePixels[index]}, ${edgePixels[index + 1]}, ${edgePixels[index + 2]})`;
-                  }
-                  
-                  // Add to general points and stroke points
-                  points.push(point);
-                  colors.push(color);
-                  strokePoints.push(point);
-                  strokeColors.push(color);
-                }
-              }
-            }
-          } catch (e) {
-            console.warn("Error in stroke detection:", e);
+        try {
+          const { done, value } = iterator.next();
+          if (done) {
+            resolve(value);
+          } else {
+            setTimeout(step, 0);
           }
+        } catch (e) {
+          reject(e);
         }
-        
-        // Create particles from points
-        createParticles(
-          layer, 
-          points, 
-          strokePoints, 
-          fillPoints, 
-          settings, 
-          colors, 
-          strokeColors, 
-          fillColors
-        );
-        
-        // Clean up
-        URL.revokeObjectURL(url);
       };
       
-      img.onerror = function() {
-        console.error('Error loading SVG');
-        showLoading(false);
-        showNotification("Error loading SVG. File may be corrupted.", "error");
+      step();
+    });
+  }
+
+  /**
+   * Message loop of the sampling worker, serialized together with the scan helpers
+   */
+  function samplingWorkerMain() {
+    const cancelled = new Set();
+    
+    self.onmessage = function(event) {
+      const message = event.data;
+      
+      if (message.type === 'cancel') {
+        cancelled.add(message.jobId);
+        return;
+      }
+      
+      if (message.type !== 'scan') return;
+      
+      const { jobId, params } = message;
+      const fail = e => self.postMessage({ type: 'error', jobId: jobId, message: String(e && e.message || e) });
+      let data;
+      
+      try {
+        if (message.bitmap) {
+          // Rasterized pixels arrive as an ImageBitmap; read them back off the main thread
+          const canvas = new OffscreenCanvas(params.width, params.height);
+          const ctx = canvas.getContext('2d');
+          ctx.drawImage(message.bitmap, 0, 0);
+          message.bitmap.close();
+          data = ctx.getImageData(0, 0, params.width, params.height).data;
+        } else {
+          data = new Uint8ClampedArray(message.buffer);
+        }
+      } catch (e) {
+        fail(e);
+        return;
+      }
+      
+      runChunked(scanPixelData(data, params), () => cancelled.has(jobId))
+        .then(result => {
+          cancelled.delete(jobId);
+          if (!result) return;
+          
+          const buffers = [];
+          [result.fill, result.stroke].forEach(samples => {
+            buffers.push(samples.positions.buffer, samples.depths.buffer, samples.colors.buffer);
+          });
+          self.postMessage({ type: 'result', jobId: jobId, result: result }, buffers);
+        }, fail);
+    };
+  }
+
+  /**
+   * Get the shared sampling worker, creating it on first use
+   * Returns null when workers are unavailable so callers can scan on the main thread
+   */
+  function getSamplingWorker() {
+    if (resourceCache.samplingWorker !== null) {
+      return resourceCache.samplingWorker || null;
+    }
+    
+    try {
+      const source = [checkIfEdge, getBitmapPixelWeight, scanPixelData, runChunked, samplingWorkerMain]
+        .map(fn => fn.toString())
+        .join('\n\n') + '\n\nsamplingWorkerMain();';
+      const url = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+      const worker = new Worker(url);
+      
+      worker.onmessage = function(event) {
+        const { type, jobId } = event.data;
+        const job = resourceCache.samplingJobs.get(jobId);
+        if (!job) return; // Cancelled on this side already
         
-        // Show the drop area again if there was an error
-        if (dom.dropArea) {
-          dom.dropArea.classList.remove('hidden');
+        resourceCache.samplingJobs.delete(jobId);
+        if (type === 'result') {
+          job.resolve(event.data.result);
+        } else {
+          job.reject(new Error(event.data.message));
         }
       };
       
-      img.src = url;
+      worker.onerror = function(event) {
+        console.error("Sampling worker failed:", event.message);
+        
+        // Fail pending jobs and scan on the main thread from now on
+        resourceCache.samplingJobs.forEach(job => job.reject(new Error(event.message)));
+        resourceCache.samplingJobs.clear();
+        worker.terminate();
+        URL.revokeObjectURL(url);
+        resourceCache.samplingWorker = false;
+      };
+      
+      resourceCache.samplingWorker = worker;
     } catch (e) {
-      console.error("Error creating particles from SVG:", e);
-      showLoading(false);
-      showNotification("Error processing SVG.", "error");
+      console.warn("Sampling worker unavailable, scanning on the main thread:", e);
+      resourceCache.samplingWorker = false;
+    }
+    
+    return resourceCache.samplingWorker || null;
+  }
+
+  /**
+   * Make a new sampling job the layer's current one, cancelling any scan still running for it
+   */
+  function startSamplingJob(layer) {
+    cancelSamplingJob(layer);
+    
+    const jobId = state.nextSamplingJobId++;
+    layer.samplingJobId = jobId;
+    return jobId;
+  }
+
+  /**
+   * Scan a rasterized layer canvas for a job from startSamplingJob
+   * Resolves with packed sample buffers, or null if a newer job replaced this one
+   */
+  function runSamplingJob(layer, jobId, canvas, params) {
+    const isCurrent = () => layer.samplingJobId === jobId;
+    if (!isCurrent()) return Promise.resolve(null);
+    
+    const worker = getSamplingWorker();
+    
+    if (!worker) {
+      // Main-thread fallback, still chunked so the UI stays responsive
+      const data = canvas.getContext('2d').getImageData(0, 0, params.width, params.height).data;
+      return runChunked(scanPixelData(data, params), () => !isCurrent());
+    }
+    
+    return new Promise((resolve, reject) => {
+      resourceCache.samplingJobs.set(jobId, { resolve, reject });
+      
+      if (typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap === 'function') {
+        createImageBitmap(canvas)
+          .then(bitmap => {
+            if (!isCurrent()) {
+              bitmap.close();
+              return;
+            }
+            worker.postMessage({ type: 'scan', jobId: jobId, params: params, bitmap: bitmap }, [bitmap]);
+          })
+          .catch(e => {
+            resourceCache.samplingJobs.delete(jobId);
+            reject(e);
+          });
+      } else {
+        // No OffscreenCanvas: read pixels here and hand the buffer over
+        const buffer = canvas.getContext('2d').getImageData(0, 0, params.width, params.height).data.buffer;
+        worker.postMessage({ type: 'scan', jobId: jobId, params: params, buffer: buffer }, [buffer]);
+      }
+    });
+  }
+
+  /**
+   * Cancel the scan still running for a layer, if any
+   */
+  function cancelSamplingJob(layer) {
+    const jobId = layer.samplingJobId;
+    layer.samplingJobId = null;
+    if (!jobId) return;
+    
+    const job = resourceCache.samplingJobs.get(jobId);
+    if (job) {
+      resourceCache.samplingJobs.delete(jobId);
+      if (resourceCache.samplingWorker) {
+        resourceCache.samplingWorker.postMessage({ type: 'cancel', jobId: jobId });
+      }
+      job.resolve(null);
+    }
+  }
+
+  /**
+   * Particle probability for a bitmap pixel, from its luminance or alpha
+   */
+  function getBitmapPixelWeight(data, index, settings) {
+    const alpha = data[index + 3] / 255;
+    
+    if (settings.imageWeighting === 'alpha') {
+      return settings.invertImage ? 1 - alpha : alpha;
     }
+    
+    // Relative luminance; transparent pixels never emit particles
+    const luminance = (0.2126 * data[index] + 0.7152 * data[index + 1] + 0.0722 * data[index + 2]) / 255;
+    return (settings.invertImage ? 1 - luminance : luminance) * alpha;
   }
 
   /**
@@ -1573,28 +3732,524 @@ const ParticleApp = (function() {
   }
 
   /**
-   * Create particles using either instanced or traditional rendering
+   * Calculate the rectangle that fits a source of the given size into 80% of the canvas
    */
-  function createParticles(layer, points, strokePoints, fillPoints, settings, colors, strokeColors, fillColors) {
-    try {
-      // Use instanced rendering or traditional based on setting
-      const useInstanced = layer.useInstanced && points.length > 500; // Only use for larger point counts
-      
-      // Sample points based on settings
-      let sampledPoints = samplePoints(points, strokePoints, fillPoints, settings.particleCount, colors, strokeColors, fillColors);
-      
-      // Create particles using the appropriate method
-      if (useInstanced) {
-        createInstancedParticles(layer, sampledPoints, settings);
-      } else {
-        createTraditionalParticles(layer, sampledPoints, settings);
-      }
-      
-      // Apply scale to the group
-      layer.group.scale.set(settings.svgScale, settings.svgScale, settings.svgScale);
+  function getFitRect(sourceWidth, sourceHeight, canvasWidth, canvasHeight) {
+    const sourceRatio = sourceWidth / sourceHeight;
+    let drawWidth, drawHeight, offsetX, offsetY;
+    
+    if (sourceRatio > 1) {
+      drawWidth = canvasWidth * 0.8;
+      drawHeight = drawWidth / sourceRatio;
+      offsetX = canvasWidth * 0.1;
+      offsetY = (canvasHeight - drawHeight) / 2;
+    } else {
+      drawHeight = canvasHeight * 0.8;
+      drawWidth = drawHeight * sourceRatio;
+      offsetX = (canvasWidth - drawWidth) / 2;
+      offsetY = canvasHeight * 0.1;
+    }
+    
+    return { drawWidth, drawHeight, offsetX, offsetY };
+  }
+
+  /**
+   * Calculate where a layer's source is drawn on the sampling canvas
+   * "fit" scales every layer to fill the canvas on its own; "document" places
+   * all layers in one shared coordinate space so separate files stay registered
+   */
+  function getLayerDrawRect(layer, sourceWidth, sourceHeight, canvasWidth, canvasHeight, settings) {
+    if (settings.layoutMode !== 'document') {
+      return getFitRect(sourceWidth, sourceHeight, canvasWidth, canvasHeight);
+    }
+    
+    const artboard = getArtboardRect(settings);
+    const layerRect = getLayerDocumentRect(layer);
+    if (!artboard || !layerRect) {
+      return getFitRect(sourceWidth, sourceHeight, canvasWidth, canvasHeight);
+    }
+    
+    // Fit the artboard to the canvas, then place the layer inside it
+    const frame = getFitRect(artboard.width, artboard.height, canvasWidth, canvasHeight);
+    const unitScale = frame.drawWidth / artboard.width;
+    
+    return {
+      drawWidth: layerRect.width * unitScale,
+      drawHeight: layerRect.height * unitScale,
+      offsetX: frame.offsetX + (layerRect.x - artboard.x) * unitScale,
+      offsetY: frame.offsetY + (layerRect.y - artboard.y) * unitScale
+    };
+  }
+
+  /**
+   * Get a layer's rectangle in document units: its viewBox (or width/height) plus its offset
+   */
+  function getLayerDocumentRect(layer) {
+    if (!hasLayerSource(layer)) return null;
+    
+    const offset = layer.offset || { x: 0, y: 0 };
+    
+    // Bitmaps use their pixel size as document units
+    if (layer.sourceType === 'image') {
+      if (!layer.imageSize) return null;
+      return { x: offset.x, y: offset.y, width: layer.imageSize.width, height: layer.imageSize.height };
+    }
+    
+    const size = getLayerSVGSize(layer);
+    if (!size) return null;
+    
+    const rect = size.viewBox || { x: 0, y: 0, width: size.width, height: size.height };
+    
+    return {
+      x: rect.x + offset.x,
+      y: rect.y + offset.y,
+      width: rect.width,
+      height: rect.height
+    };
+  }
+
+  /**
+   * A layer's SVG size and viewBox, parsed once per source rather than on every update
+   */
+  function getLayerSVGSize(layer) {
+    if (!layer.svgSize || layer.svgSize.svgString !== layer.svgString) {
+      const svgEl = new DOMParser().parseFromString(layer.svgString, 'image/svg+xml').documentElement;
+      layer.svgSize = {
+        svgString: layer.svgString,
+        size: svgEl && svgEl.nodeName.toLowerCase() === 'svg' ? getSVGIntrinsicSize(svgEl) : null
+      };
+    }
+    
+    return layer.svgSize.size;
+  }
+
+  /**
+   * Get the shared artboard: an explicit size, or the union of all layer rectangles
+   */
+  function getArtboardRect(settings) {
+    if (settings.artboardWidth > 0 && settings.artboardHeight > 0) {
+      return { x: 0, y: 0, width: settings.artboardWidth, height: settings.artboardHeight };
+    }
+    
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    state.layers.forEach(layer => {
+      const rect = getLayerDocumentRect(layer);
+      if (!rect) return;
+      minX = Math.min(minX, rect.x);
+      minY = Math.min(minY, rect.y);
+      maxX = Math.max(maxX, rect.x + rect.width);
+      maxY = Math.max(maxY, rect.y + rect.height);
+    });
+    
+    if (!isFinite(minX) || maxX <= minX || maxY <= minY) return null;
+    
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+  }
+
+  /**
+   * Check whether layers share an artboard sized from the layers themselves
+   */
+  function usesAutoArtboard() {
+    const settings = getSettings();
+    return settings.layoutMode === 'document' && !(settings.artboardWidth > 0 && settings.artboardHeight > 0);
+  }
+
+  /**
+   * Get the intrinsic size of a parsed SVG root (width/height attributes, then viewBox)
+   */
+  function getSVGIntrinsicSize(svgEl) {
+    const viewBox = (svgEl.getAttribute('viewBox') || '')
+      .trim()
+      .split(/[\s,]+/)
+      .map(parseFloat);
+    const hasViewBox = viewBox.length === 4 && viewBox.every(v => !isNaN(v)) && viewBox[2] > 0 && viewBox[3] > 0;
+    
+    // Percentages can't be resolved without a viewport, so only absolute lengths count
+    const parseLength = (value) => {
+      if (!value || /%$/.test(value.trim())) return NaN;
+      return parseFloat(value);
+    };
+    
+    let width = parseLength(svgEl.getAttribute('width'));
+    let height = parseLength(svgEl.getAttribute('height'));
+    
+    if (hasViewBox) {
+      if (isNaN(width) && isNaN(height)) {
+        width = viewBox[2];
+        height = viewBox[3];
+      } else if (isNaN(width)) {
+        width = height * viewBox[2] / viewBox[3];
+      } else if (isNaN(height)) {
+        height = width * viewBox[3] / viewBox[2];
+      }
+    }
+    
+    // Browser default size for replaced elements
+    return {
+      width: width > 0 ? width : 300,
+      height: height > 0 ? height : 150,
+      viewBox: hasViewBox ? { x: viewBox[0], y: viewBox[1], width: viewBox[2], height: viewBox[3] } : null
+    };
+  }
+
+  /**
+   * Create particles from the SVG's vector geometry (paths, shapes and text)
+   */
+  function createParticlesFromSVGGeometry(layer, svgString, settings, cacheKey) {
+    try {
+      let scan = getCachedScan(layer, cacheKey);
+      if (!scan) {
+        scan = sampleSVGGeometry(layer, svgString, settings);
+        setCachedScan(layer, cacheKey, scan);
+      }
+      
+      // Convert canvas samples to scene points, matching the raster scan's coordinate system
+      const points = [];
+      const colors = [];
+      const fillPoints = [];
+      const fillColors = [];
+      const strokePoints = [];
+      const strokeColors = [];
+      const strokeTangents = [];
+      
+      const toScenePoint = (sample) => {
+        const z = settings.svgDepth > 0 ? (sample.depth - 0.5) * 2 * settings.svgDepth : 0;
+        return new THREE.Vector3(
+          (sample.x - scan.width / 2) * 0.1,
+          -(sample.y - scan.height / 2) * 0.1,
+          z
+        );
+      };
+      
+      scan.fill.forEach(sample => {
+        const point = toScenePoint(sample);
+        const color = sample.color;
+        points.push(point);
+        colors.push(color);
+        fillPoints.push(point);
+        fillColors.push(color);
+      });
+      
+      scan.stroke.forEach(sample => {
+        const point = toScenePoint(sample);
+        const color = sample.color;
+        
+        // Flip Y so the tangent lives in scene space
+        const tangent = new THREE.Vector3(sample.tx, -sample.ty, 0);
+        if (tangent.lengthSq() > 0) tangent.normalize();
+        
+        points.push(point);
+        colors.push(color);
+        strokePoints.push(point);
+        strokeColors.push(color);
+        strokeTangents.push(tangent);
+      });
+      
+      createParticles(
+        layer, 
+        points, 
+        strokePoints, 
+        fillPoints, 
+        settings, 
+        colors, 
+        strokeColors, 
+        fillColors,
+        strokeTangents
+      );
+    } catch (e) {
+      console.error("Error sampling SVG geometry:", e);
+      showNotification("Error sampling SVG geometry. Try raster mode.", "error");
+    }
+  }
+
+  /**
+   * Sample the SVG's geometry into virtual canvas samples
+   * Outlines are sampled by arc length and interiors by testing grid points against the fill
+   */
+  function sampleSVGGeometry(layer, svgString, settings) {
+    let host = null;
+    
+    try {
+      const parser = new DOMParser();
+      const svgDoc = parser.parseFromString(svgString, 'image/svg+xml');
+      const sourceEl = svgDoc.documentElement;
+      
+      if (!sourceEl || sourceEl.nodeName.toLowerCase() !== 'svg') {
+        throw new Error('Not an SVG document');
+      }
+      
+      // Geometry queries only work on rendered elements, so mount the SVG off-screen
+      // (made transparent rather than visibility:hidden, which every shape would inherit and be skipped for)
+      const size = getSVGIntrinsicSize(sourceEl);
+      const svg = document.importNode(sourceEl, true);
+      svg.setAttribute('width', size.width);
+      svg.setAttribute('height', size.height);
+      
+      host = document.createElement('div');
+      host.style.cssText = 'position:absolute;left:-100000px;top:0;width:0;height:0;overflow:hidden;opacity:0;pointer-events:none;';
+      host.appendChild(svg);
+      document.body.appendChild(host);
+      
+      // Use the same virtual canvas and placement as raster sampling so both modes line up
+      const canvasSize = 2000;
+      const { drawWidth, drawHeight, offsetX, offsetY } = getLayerDrawRect(
+        layer, 
+        size.width, 
+        size.height, 
+        canvasSize, 
+        canvasSize, 
+        settings
+      );
+      
+      // Maps the root's user space (viewBox units) to virtual canvas pixels
+      const viewBox = size.viewBox || { x: 0, y: 0, width: size.width, height: size.height };
+      const rootToCanvas = new DOMMatrix()
+        .translate(offsetX, offsetY)
+        .scale(drawWidth / viewBox.width, drawHeight / viewBox.height)
+        .translate(-viewBox.x, -viewBox.y);
+      const rootInverse = svg.getScreenCTM().inverse();
+      
+      const samplingStep = settings.particleDensity * 2;
+      const edgeSamplingStep = Math.max(1, samplingStep / settings.strokeDetail);
+      const sampling = {
+        canvasSize: canvasSize,
+        samplingStep: samplingStep,
+        edgeSamplingStep: edgeSamplingStep,
+        includeStrokes: settings.includeStrokes
+      };
+      
+      // Fill samples are keyed by grid cell so overlapping shapes take the topmost color
+      const fillSamples = new Map();
+      const strokeSamples = [];
+      
+      const elements = svg.querySelectorAll('path, rect, circle, ellipse, line, polyline, polygon, text');
+      
+      elements.forEach(el => {
+        // Skip non-rendered content (definitions, clip paths, hidden elements)
+        if (el.closest('defs, clipPath, mask, symbol, marker, pattern')) return;
+        
+        const style = window.getComputedStyle(el);
+        if (style.display === 'none' || style.visibility === 'hidden' || parseFloat(style.opacity) === 0) return;
+        
+        const screenCTM = el.getScreenCTM();
+        if (!screenCTM) return;
+        
+        // Element user space -> virtual canvas pixels
+        const toCanvas = rootToCanvas.multiply(rootInverse.multiply(screenCTM));
+        
+        if (el.nodeName.toLowerCase() === 'text') {
+          sampleTextElement(el, style, toCanvas, sampling, fillSamples, strokeSamples);
+          return;
+        }
+        
+        if (typeof el.getTotalLength !== 'function') return;
+        
+        const fillColor = parsePaintColor(style.fill);
+        const strokeColor = parsePaintColor(style.stroke);
+        
+        // Interior sampling on the same grid the raster scan uses
+        if (style.fill !== 'none' && typeof el.isPointInFill === 'function') {
+          const bounds = getCanvasBounds(el.getBBox(), toCanvas);
+          const fromCanvas = toCanvas.inverse();
+          const startX = Math.max(0, Math.ceil(bounds.minX / samplingStep) * samplingStep);
+          const startY = Math.max(0, Math.ceil(bounds.minY / samplingStep) * samplingStep);
+          
+          for (let y = startY; y <= Math.min(bounds.maxY, canvasSize - 1); y += samplingStep) {
+            for (let x = startX; x <= Math.min(bounds.maxX, canvasSize - 1); x += samplingStep) {
+              const local = new DOMPoint(x, y).matrixTransform(fromCanvas);
+              if (el.isPointInFill(local)) {
+                fillSamples.set(y * canvasSize + x, { x, y, color: fillColor });
+              }
+            }
+          }
+        }
+        
+        // Outline sampling by arc length
+        if (settings.includeStrokes) {
+          const totalLength = el.getTotalLength();
+          if (!(totalLength > 0)) return;
+          
+          // Convert the canvas-space step into the element's user units
+          const unitScale = Math.sqrt(Math.abs(toCanvas.a * toCanvas.d - toCanvas.b * toCanvas.c)) || 1;
+          const step = edgeSamplingStep / unitScale;
+          const delta = Math.min(step * 0.25, totalLength * 0.001);
+          const color = style.stroke !== 'none' ? strokeColor : fillColor;
+          
+          for (let distance = 0; distance < totalLength; distance += step) {
+            const p = el.getPointAtLength(distance).matrixTransform(toCanvas);
+            const ahead = el.getPointAtLength(Math.min(totalLength, distance + delta)).matrixTransform(toCanvas);
+            const behind = el.getPointAtLength(Math.max(0, distance - delta)).matrixTransform(toCanvas);
+            
+            strokeSamples.push({
+              x: p.x,
+              y: p.y,
+              tx: ahead.x - behind.x,
+              ty: ahead.y - behind.y,
+              color: color
+            });
+          }
+        }
+      });
+      
+      // Depth factors are drawn here so cached samples keep their depth between rebuilds
+      const withDepth = sample => Object.assign(sample, { depth: Math.random() });
+      
+      return {
+        width: canvasSize,
+        height: canvasSize,
+        fill: Array.from(fillSamples.values(), withDepth),
+        stroke: strokeSamples.map(withDepth)
+      };
+    } finally {
+      if (host) host.remove();
+    }
+  }
+
+  /**
+   * Sample a <text> element by drawing its glyphs to a scratch canvas
+   * Text has no outline API, so fills use the pixel grid and outlines use alpha edges
+   */
+  function sampleTextElement(el, style, toCanvas, sampling, fillSamples, strokeSamples) {
+    const { canvasSize, samplingStep, edgeSamplingStep, includeStrokes } = sampling;
+    const charCount = el.getNumberOfChars();
+    if (charCount === 0) return;
+    
+    const bounds = getCanvasBounds(el.getBBox(), toCanvas);
+    const margin = 2;
+    const originX = Math.max(0, Math.floor(bounds.minX) - margin);
+    const originY = Math.max(0, Math.floor(bounds.minY) - margin);
+    const width = Math.ceil(bounds.maxX - originX) + margin * 2;
+    const height = Math.ceil(bounds.maxY - originY) + margin * 2;
+    if (width <= 0 || height <= 0) return;
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    
+    // Draw each glyph at the position the SVG layout engine assigned to it
+    ctx.setTransform(toCanvas.a, toCanvas.b, toCanvas.c, toCanvas.d, toCanvas.e - originX, toCanvas.f - originY);
+    ctx.font = `${style.fontStyle} ${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillStyle = '#000';
+    
+    // Addressable characters follow the collapsed whitespace of the text content
+    const collapsed = el.textContent.replace(/\s+/g, ' ').trim();
+    const content = collapsed.length === charCount ? collapsed : el.textContent;
+    for (let i = 0; i < charCount; i++) {
+      const start = el.getStartPositionOfChar(i);
+      ctx.fillText(content.charAt(i), start.x, start.y);
+    }
+    
+    const data = ctx.getImageData(0, 0, width, height).data;
+    const fillColor = parsePaintColor(style.fill);
+    const strokeColor = style.stroke !== 'none' ? parsePaintColor(style.stroke) : fillColor;
+    
+    // Interior samples, aligned with the global sampling grid
+    const startX = Math.ceil(originX / samplingStep) * samplingStep;
+    const startY = Math.ceil(originY / samplingStep) * samplingStep;
+    for (let y = startY; y < Math.min(originY + height, canvasSize); y += samplingStep) {
+      for (let x = startX; x < Math.min(originX + width, canvasSize); x += samplingStep) {
+        const index = ((y - originY) * width + (x - originX)) * 4;
+        if (data[index + 3] > 50) {
+          fillSamples.set(y * canvasSize + x, { x, y, color: fillColor });
+        }
+      }
+    }
+    
+    if (!includeStrokes) return;
+    
+    // Outline samples with tangents perpendicular to the alpha gradient
+    for (let y = 1; y < height - 1; y += edgeSamplingStep) {
+      for (let x = 1; x < width - 1; x += edgeSamplingStep) {
+        const px = Math.floor(x);
+        const py = Math.floor(y);
+        if (!checkIfEdge(data, px, py, width)) continue;
+        
+        const gx = data[(py * width + px + 1) * 4 + 3] - data[(py * width + px - 1) * 4 + 3];
+        const gy = data[((py + 1) * width + px) * 4 + 3] - data[((py - 1) * width + px) * 4 + 3];
+        
+        strokeSamples.push({
+          x: px + originX,
+          y: py + originY,
+          tx: -gy,
+          ty: gx,
+          color: strokeColor
+        });
+      }
+    }
+  }
+
+  /**
+   * Transform a local bounding box into an axis-aligned box in canvas pixels
+   */
+  function getCanvasBounds(bbox, matrix) {
+    const corners = [
+      new DOMPoint(bbox.x, bbox.y),
+      new DOMPoint(bbox.x + bbox.width, bbox.y),
+      new DOMPoint(bbox.x, bbox.y + bbox.height),
+      new DOMPoint(bbox.x + bbox.width, bbox.y + bbox.height)
+    ].map(p => p.matrixTransform(matrix));
+    
+    return {
+      minX: Math.min(...corners.map(p => p.x)),
+      minY: Math.min(...corners.map(p => p.y)),
+      maxX: Math.max(...corners.map(p => p.x)),
+      maxY: Math.max(...corners.map(p => p.y))
+    };
+  }
+
+  /**
+   * Convert a computed fill/stroke value to a color string, ignoring paint servers
+   */
+  function parsePaintColor(paint) {
+    if (!paint || paint === 'none' || paint.startsWith('url(')) return undefined;
+    return paint;
+  }
+
+  /**
+   * Create particles using either instanced or traditional rendering
+   */
+  function createParticles(layer, points, strokePoints, fillPoints, settings, colors, strokeColors, fillColors, strokeTangents) {
+    try {
+      // Replace the previous particles only now that the new samples are ready
+      clearLayerParticles(layer);
+      
+      // Use instanced rendering or traditional based on setting
+      const useInstanced = layer.useInstanced && points.length > 500; // Only use for larger point counts
+      
+      // Sample points based on settings
+      let sampledPoints = samplePoints(points, strokePoints, fillPoints, settings.particleCount, colors, strokeColors, fillColors, strokeTangents, settings.distribution);
+      
+      // Shuffle so any prefix is an even sample (auto quality draws only a share of the particles)
+      for (let i = sampledPoints.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [sampledPoints[i], sampledPoints[j]] = [sampledPoints[j], sampledPoints[i]];
+      }
+      
+      // Create particles using the appropriate method
+      if (settings.renderMode === 'sprites') {
+        createPointsParticles(layer, sampledPoints, settings);
+      } else if (useInstanced) {
+        createInstancedParticles(layer, sampledPoints, settings);
+      } else {
+        createTraditionalParticles(layer, sampledPoints, settings);
+      }
+      
+      // Place the group (the layer's transform on top of the global scale)
+      applyLayerTransform(layer, settings.svgScale);
+      
+      // Respect the current auto-quality level
+      applyQualityToLayer(layer);
       
       // Update layer's particle count
       layer.particleCount = sampledPoints.length;
+      
+      // Play the entrance animation for new or regenerated layers; an entrance would drop a running exit's removal
+      if (layer.introPending) {
+        layer.introPending = false;
+        if (layer.visible && !layer.removing) startLayerTransition(layer, 'intro');
+      }
     } catch (e) {
       console.error("Error in createParticles:", e);
       showNotification("Error creating particles.", "error");
@@ -1602,308 +4257,2781 @@ const ParticleApp = (function() {
   }
 
   /**
-   * Sample points for particle creation
+   * Sample points for particle creation
+   * Stroke tangents (vector sampling only) are carried through on each stroke record
+   */
+  function samplePoints(points, strokePoints, fillPoints, targetCount, colors, strokeColors, fillColors, strokeTangents, distribution = 'random') {
+    let sampledPoints = [];
+    
+    if (points.length <= targetCount) {
+      // Use all points if we have fewer than requested
+      const strokeIndices = new Map(strokePoints.map((point, index) => [point, index]));
+      
+      points.forEach((point, index) => {
+        const strokeIndex = strokeIndices.get(point);
+        sampledPoints.push({
+          point: point,
+          isStroke: strokeIndex !== undefined,
+          color: colors ? colors[index] : null,
+          tangent: strokeTangents && strokeIndex !== undefined ? strokeTangents[strokeIndex] : null
+        });
+      });
+    } else {
+      // Calculate proportions for strokes and fills
+      const strokeRatio = strokePoints.length / points.length;
+      const strokeCount = Math.floor(targetCount * strokeRatio);
+      const fillCount = targetCount - strokeCount;
+      
+      // Sample stroke points (prioritize them)
+      if (strokePoints.length > 0) {
+        const strokeIndices = selectPointIndices(strokePoints, strokeCount, distribution);
+        
+        for (const index of strokeIndices) {
+          sampledPoints.push({
+            point: strokePoints[index],
+            isStroke: true,
+            color: strokeColors ? strokeColors[index] : null,
+            tangent: strokeTangents ? strokeTangents[index] : null
+          });
+        }
+      }
+      
+      // Sample fill points
+      if (fillPoints.length > 0) {
+        const fillIndices = selectPointIndices(fillPoints, fillCount, distribution);
+        
+        for (const index of fillIndices) {
+          sampledPoints.push({
+            point: fillPoints[index],
+            isStroke: false,
+            color: fillColors ? fillColors[index] : null
+          });
+        }
+      }
+      
+      // Fallback if categorization failed
+      if (sampledPoints.length === 0) {
+        const indices = selectPointIndices(points, targetCount, distribution);
+        
+        for (const index of indices) {
+          sampledPoints.push({
+            point: points[index],
+            isStroke: false,
+            color: colors ? colors[index] : null
+          });
+        }
+      }
+    }
+    
+    return sampledPoints;
+  }
+
+  /**
+   * Pick up to `count` distinct indices from a point list using the given distribution
+   */
+  function selectPointIndices(points, count, distribution) {
+    const target = Math.min(count, points.length);
+    
+    if (distribution === 'blue-noise') {
+      return selectPoissonDiskIndices(points, target);
+    }
+    
+    // Uniform random selection
+    const indices = new Set();
+    while (indices.size < target) {
+      indices.add(Math.floor(Math.random() * points.length));
+    }
+    return indices;
+  }
+
+  /**
+   * Blue-noise selection: dart throwing over the candidates in random order,
+   * rejecting any point closer than the minimum spacing to one already picked.
+   * The spacing starts from the shape's area divided by the particle count and
+   * relaxes until enough points are accepted; duplicate or near-duplicate points
+   * that never pass are taken last, so the count is always met.
+   */
+  function selectPoissonDiskIndices(points, count) {
+    const selected = new Set();
+    if (count <= 0) return selected;
+    
+    // Random dart throwing saturates at roughly 55% disc coverage
+    const area = estimateCoverageArea(points);
+    let radius = 0.8 * Math.sqrt(area / count);
+    
+    // Visit candidates in a shuffled order
+    const order = new Uint32Array(points.length);
+    for (let i = 0; i < order.length; i++) order[i] = i;
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      const tmp = order[i];
+      order[i] = order[j];
+      order[j] = tmp;
+    }
+    
+    while (selected.size < count) {
+      // A cell diagonal equals the radius, so each cell holds at most one point
+      const cellSize = radius / Math.SQRT2;
+      const radiusSq = radius * radius;
+      const grid = new Map();
+      const cellKey = (cx, cy) => `${cx},${cy}`;
+      
+      selected.forEach(index => {
+        const p = points[index];
+        grid.set(cellKey(Math.floor(p.x / cellSize), Math.floor(p.y / cellSize)), index);
+      });
+      
+      for (let i = 0; i < order.length && selected.size < count; i++) {
+        const index = order[i];
+        if (selected.has(index)) continue;
+        
+        const p = points[index];
+        const cx = Math.floor(p.x / cellSize);
+        const cy = Math.floor(p.y / cellSize);
+        let accepted = true;
+        
+        // Neighbours within the radius can be at most two cells away
+        for (let dy = -2; dy <= 2 && accepted; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            const neighbor = grid.get(cellKey(cx + dx, cy + dy));
+            if (neighbor === undefined) continue;
+            
+            const q = points[neighbor];
+            const ddx = p.x - q.x;
+            const ddy = p.y - q.y;
+            if (ddx * ddx + ddy * ddy < radiusSq) {
+              accepted = false;
+              break;
+            }
+          }
+        }
+        
+        if (accepted) {
+          selected.add(index);
+          grid.set(cellKey(cx, cy), index);
+        }
+      }
+      
+      // Relax the spacing for the next pass
+      radius *= 0.85;
+      if (radius < 1e-4) break;
+    }
+    
+    // Fill any shortfall from the rejected points, still in shuffled order
+    for (let i = 0; i < order.length && selected.size < count; i++) {
+      selected.add(order[i]);
+    }
+    
+    return selected;
+  }
+
+  /**
+   * Estimate the area covered by a point set using a coarse occupancy grid
+   */
+  function estimateCoverageArea(points) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    points.forEach(p => {
+      if (p.x < minX) minX = p.x;
+      if (p.x > maxX) maxX = p.x;
+      if (p.y < minY) minY = p.y;
+      if (p.y > maxY) maxY = p.y;
+    });
+    
+    const cellSize = Math.max(maxX - minX, maxY - minY, 1e-3) / 64;
+    const occupied = new Set();
+    points.forEach(p => {
+      occupied.add(`${Math.floor((p.x - minX) / cellSize)},${Math.floor((p.y - minY) / cellSize)}`);
+    });
+    
+    return occupied.size * cellSize * cellSize;
+  }
+
+  /**
+   * Resolve a particle's color from the current color settings
+   */
+  function getParticleColor(point, isStroke, sourceColor, settings) {
+    if (settings.preserveColors && sourceColor) {
+      // Use SVG's original color
+      return sourceColor;
+    }
+    
+    if (settings.useGradient && !settings.preserveColors) {
+      // Calculate position along the gradient (use y-position normalized to 0-1)
+      const normalizedY = (point.y + 100) / 200; // Assuming y ranges roughly from -100 to 100
+      return interpolateColors(settings.gradientColor1, settings.gradientColor2, normalizedY);
+    }
+    
+    // Use solid color
+    return isStroke ? tintColor(settings.color, 1.2) : settings.color;
+  }
+
+  /**
+   * Resolve a particle's size from its random seed and the min/max size settings
+   */
+  function getParticleSize(sizeSeed, isStroke, settings) {
+    // Strokes are slightly smaller
+    const sizeFactor = isStroke ? 0.8 : 1.0;
+    return (settings.minSize + sizeSeed * (settings.maxSize - settings.minSize)) * sizeFactor;
+  }
+
+  /**
+   * Create particles using instanced mesh for performance
+   * A single mesh per layer; color and opacity are per-instance attributes so they can change in place
+   */
+  function createInstancedParticles(layer, sampledPoints, settings) {
+    const count = sampledPoints.length;
+    if (count === 0) return;
+    
+    // Each layer gets its own copy of the sphere so it can carry per-instance attributes
+    const geometry = resourceCache.particleGeometry.clone();
+    geometry.setAttribute('instanceOpacity', new THREE.InstancedBufferAttribute(new Float32Array(count), 1));
+    
+    // Animation inputs for the GPU motion path
+    geometry.setAttribute('instanceOrigin', new THREE.InstancedBufferAttribute(new Float32Array(count * 3), 3));
+    geometry.setAttribute('instanceMotion', new THREE.InstancedBufferAttribute(new Float32Array(count * 3), 3));
+    geometry.setAttribute('instanceNoise', new THREE.InstancedBufferAttribute(new Float32Array(count * 3), 3));
+    geometry.setAttribute('instanceSize', new THREE.InstancedBufferAttribute(new Float32Array(count), 1));
+    
+    const instancedMesh = new THREE.InstancedMesh(geometry, createOrGetInstancedMaterial(layer.blendMode), count);
+    instancedMesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(count * 3), 3);
+    instancedMesh.frustumCulled = false; // Prevent disappearing when out of camera frustum
+    layer.group.add(instancedMesh);
+    
+    // Initialize layer data
+    layer.particles = [];
+    layer.instanceData = [];
+    layer.originalPositions = [];
+    
+    const color = new THREE.Color();
+    
+    // Now place each particle in the instanced mesh
+    sampledPoints.forEach((pointData, index) => {
+      const point = pointData.point || pointData;
+      const isStroke = pointData.isStroke || false;
+      
+      // Random size between min and max, kept as a seed so size changes apply in place
+      const sizeSeed = Math.random();
+      const size = getParticleSize(sizeSeed, isStroke, settings);
+      
+      // Create transformation matrix for this instance
+      const matrix = new THREE.Matrix4();
+      matrix.makeTranslation(point.x, point.y, point.z);
+      matrix.scale(new THREE.Vector3(size, size, size));
+      instancedMesh.setMatrixAt(index, matrix);
+      setInstanceAppearance(instancedMesh, index, isStroke, getParticleColor(point, isStroke, pointData.color, settings), color, layer.opacity);
+      
+      // Push to layer particles array
+      layer.particles.push(instancedMesh);
+      
+      // Store original position and metadata
+      const instanceMetadata = {
+        originalPosition: point.clone(),
+        size: size,
+        sizeSeed: sizeSeed,
+        sourceColor: pointData.color,
+        isStroke: isStroke,
+        tangent: pointData.tangent || null,
+        mesh: instancedMesh,
+        index: index,
+        depthFactor: point.z !== 0 ? (point.z / settings.svgDepth + 0.5) / 2 : Math.random(),
+        angle: Math.random() * Math.PI * 2,
+        speed: 0.05 + Math.random() * 0.05,
+        amplitude: Math.random() * 2,
+        offset: new THREE.Vector3(),
+        velocity: new THREE.Vector3(0, 0, 0),
+        noiseOffset: {
+          x: Math.random() * 1000,
+          y: Math.random() * 1000,
+          z: Math.random() * 1000
+        }
+      };
+      
+      layer.instanceData.push(instanceMetadata);
+      layer.originalPositions.push(point.clone());
+      writeInstanceMotionAttributes(geometry, instanceMetadata);
+    });
+    
+    // Indicate instance buffers need update
+    instancedMesh.instanceMatrix.needsUpdate = true;
+    instancedMesh.instanceColor.needsUpdate = true;
+    Object.values(geometry.attributes).forEach(attribute => {
+      if (attribute.isInstancedBufferAttribute) attribute.needsUpdate = true;
+    });
+  }
+
+  /**
+   * Create particles as point sprites: one THREE.Points per layer with a flat, shaped sprite each
+   * Shares the instanced attribute layout so motion, recoloring and depth changes work the same way
+   */
+  function createPointsParticles(layer, sampledPoints, settings) {
+    const count = sampledPoints.length;
+    if (count === 0) return;
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    geometry.setAttribute('particleColor', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    geometry.setAttribute('instanceOpacity', new THREE.BufferAttribute(new Float32Array(count), 1));
+    geometry.setAttribute('instanceOrigin', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    geometry.setAttribute('instanceMotion', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    geometry.setAttribute('instanceNoise', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    geometry.setAttribute('instanceSize', new THREE.BufferAttribute(new Float32Array(count), 1));
+    
+    const points = new THREE.Points(geometry, createOrGetPointsMaterial(layer.blendMode));
+    points.frustumCulled = false; // Positions move in the shader, so the bounds are unreliable
+    layer.group.add(points);
+    
+    // Initialize layer data
+    layer.particles = [];
+    layer.instanceData = [];
+    layer.originalPositions = [];
+    
+    const color = new THREE.Color();
+    
+    sampledPoints.forEach((pointData, index) => {
+      const point = pointData.point || pointData;
+      const isStroke = pointData.isStroke || false;
+      
+      // Random size between min and max, kept as a seed so size changes apply in place
+      const sizeSeed = Math.random();
+      const size = getParticleSize(sizeSeed, isStroke, settings);
+      
+      geometry.attributes.position.setXYZ(index, point.x, point.y, point.z);
+      setInstanceAppearance(points, index, isStroke, getParticleColor(point, isStroke, pointData.color, settings), color, layer.opacity);
+      
+      layer.particles.push(points);
+      
+      // Same metadata as instanced particles so the CPU animation path can drive sprites too
+      const instanceMetadata = {
+        originalPosition: point.clone(),
+        size: size,
+        sizeSeed: sizeSeed,
+        sourceColor: pointData.color,
+        isStroke: isStroke,
+        tangent: pointData.tangent || null,
+        mesh: points,
+        index: index,
+        depthFactor: point.z !== 0 ? (point.z / settings.svgDepth + 0.5) / 2 : Math.random(),
+        angle: Math.random() * Math.PI * 2,
+        speed: 0.05 + Math.random() * 0.05,
+        amplitude: Math.random() * 2,
+        offset: new THREE.Vector3(),
+        velocity: new THREE.Vector3(0, 0, 0),
+        noiseOffset: {
+          x: Math.random() * 1000,
+          y: Math.random() * 1000,
+          z: Math.random() * 1000
+        }
+      };
+      
+      layer.instanceData.push(instanceMetadata);
+      layer.originalPositions.push(point.clone());
+      writeInstanceMotionAttributes(geometry, instanceMetadata);
+    });
+  }
+
+  /**
+   * Get the sprite material shared by the layers using a blend mode
+   * Sprites are sized in the vertex shader with perspective attenuation to match the spheres' size
+   */
+  function createOrGetPointsMaterial(blendMode = 'normal') {
+    const cacheKey = `points_${blendMode}`;
+    if (resourceCache.materialCache.has(cacheKey)) {
+      return resourceCache.materialCache.get(cacheKey);
+    }
+    
+    const settings = getSettings();
+    
+    const material = new THREE.ShaderMaterial({
+      // Share the motion uniform objects so per-frame updates reach sprites too
+      uniforms: Object.assign({
+        uOpacity: { value: settings.particleOpacity },
+        uShape: { value: getSpriteShapeIndex(settings.spriteShape) },
+        uGlyph: { value: resourceCache.spriteGlyph ? resourceCache.spriteGlyph.texture : null }
+      }, getMotionUniforms()),
+      vertexShader: [
+        particleMotionShader,
+        'uniform float uPointScale;',
+        'attribute vec3 particleColor;',
+        'attribute float instanceOpacity;',
+        'varying vec3 vColor;',
+        'varying float vOpacity;',
+        'void main() {',
+        '  vec3 center = position;',
+        '  if (uGpuAnimation > 0.5) {',
+        '    center = instanceOrigin + partycleMotionOffset();',
+        '    center += partyclePointerOffset(center);',
+        '  }',
+        '  vec4 mvPosition = modelViewMatrix * vec4(center, 1.0);',
+        '  float layerScale = length(modelMatrix[0].xyz);', // Sizes are local, like the spheres' instance scale
+        '  gl_PointSize = instanceSize * layerScale * uPointScale / -mvPosition.z;',
+        '  gl_Position = projectionMatrix * mvPosition;',
+        '  vColor = particleColor;',
+        '  vOpacity = instanceOpacity;',
+        '}'
+      ].join('\n'),
+      fragmentShader: [
+        'uniform float uOpacity;',
+        'uniform int uShape;',
+        'uniform sampler2D uGlyph;',
+        'varying vec3 vColor;',
+        'varying float vOpacity;',
+        'void main() {',
+        '  vec2 uv = vec2(gl_PointCoord.x * 2.0 - 1.0, 1.0 - gl_PointCoord.y * 2.0);',
+        '  float r = length(uv);',
+        '  vec3 color = vColor;',
+        '  float alpha = 1.0;',
+        '  if (uShape == 0) {',
+        '    alpha = 1.0 - smoothstep(0.0, 1.0, r);', // Soft circle
+        '    alpha *= alpha;',
+        '  } else if (uShape == 1) {',
+        '    alpha = 1.0 - smoothstep(0.85, 1.0, r);', // Hard dot
+        '  } else if (uShape == 3) {',
+        '    alpha = (1.0 - smoothstep(0.85, 1.0, r)) * smoothstep(0.5, 0.65, r);', // Ring
+        '  } else if (uShape == 4) {',
+        // Five-pointed star: fold the angle into one spike, then test against its edge
+        '    float spike = 3.14159265 / 5.0;',
+        '    float a = mod(atan(uv.x, uv.y) + spike, 2.0 * spike) - spike;',
+        '    vec2 p = r * vec2(cos(a), abs(sin(a)));',
+        '    vec2 edge = 0.45 * vec2(cos(spike), sin(spike)) - vec2(1.0, 0.0);',
+        '    float side = ((p.x - 1.0) * edge.y - p.y * edge.x) / length(edge);',
+        '    alpha = 1.0 - smoothstep(-0.03, 0.03, side);',
+        '  } else if (uShape == 5) {',
+        '    vec4 glyph = texture2D(uGlyph, vec2(gl_PointCoord.x, 1.0 - gl_PointCoord.y));', // Glyph tinted by the particle color
+        '    color *= glyph.rgb;',
+        '    alpha = glyph.a;',
+        '  }',
+        '  if (alpha < 0.01) discard;',
+        '  gl_FragColor = vec4(color, alpha * vOpacity * uOpacity);',
+        '}'
+      ].join('\n'),
+      transparent: true,
+      depthWrite: false,
+      blending: layerBlendModes[blendMode] || THREE.NormalBlending
+    });
+    material.userData.baseOpacity = 1;
+    material.userData.isPoints = true;
+    
+    resourceCache.materialCache.set(cacheKey, material);
+    resourceCache.disposables.push(material);
+    
+    return material;
+  }
+
+  /**
+   * The sprite materials made so far, one per blend mode in use
+   */
+  function getPointsMaterials() {
+    return Array.from(resourceCache.materialCache.values()).filter(material => material.userData.isPoints);
+  }
+
+  /**
+   * Map a sprite shape name to the index used by the sprite shader
+   * A glyph without a loaded image falls back to the soft circle
+   */
+  function getSpriteShapeIndex(shape) {
+    const shapes = ['soft', 'dot', 'square', 'ring', 'star', 'glyph'];
+    const index = shapes.indexOf(shape);
+    
+    if (index === -1 || (shape === 'glyph' && !resourceCache.spriteGlyph)) {
+      return 0;
+    }
+    return index;
+  }
+
+  /**
+   * Load a user-supplied SVG or PNG as the sprite glyph texture
+   */
+  function loadSpriteGlyph(file) {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    
+    img.onload = function() {
+      // Rasterize into a square texture, centered and fitted (SVGs have no fixed pixel size)
+      const size = 128;
+      const canvas = document.createElement('canvas');
+      canvas.width = size;
+      canvas.height = size;
+      
+      const ctx = canvas.getContext('2d');
+      const scale = Math.min(size / (img.width || size), size / (img.height || size));
+      const drawWidth = (img.width || size) * scale;
+      const drawHeight = (img.height || size) * scale;
+      ctx.drawImage(img, (size - drawWidth) / 2, (size - drawHeight) / 2, drawWidth, drawHeight);
+      URL.revokeObjectURL(url);
+      
+      if (resourceCache.spriteGlyph) {
+        resourceCache.spriteGlyph.texture.dispose();
+      }
+      
+      resourceCache.spriteGlyph = {
+        texture: new THREE.CanvasTexture(canvas),
+        fileName: file.name
+      };
+      
+      if (dom.spriteGlyphName) {
+        dom.spriteGlyphName.textContent = file.name;
+      }
+      
+      // Switch to the glyph so the upload has a visible effect
+      if (dom.spriteShapeSelect) {
+        dom.spriteShapeSelect.value = 'glyph';
+      }
+      
+      getPointsMaterials().forEach(material => {
+        material.uniforms.uGlyph.value = resourceCache.spriteGlyph.texture;
+      });
+      applyVisualSettings();
+    };
+    
+    img.onerror = function() {
+      URL.revokeObjectURL(url);
+      showNotification("Could not load this glyph image", "error");
+    };
+    
+    img.src = url;
+  }
+
+  /**
+   * Show the sprite options only in sprite render mode
+   */
+  function updateSpriteControlsVisibility() {
+    if (dom.spriteControls && dom.renderModeSelect) {
+      dom.spriteControls.style.display = dom.renderModeSelect.value === 'sprites' ? 'block' : 'none';
+    }
+  }
+
+  /**
+   * Write one instance's color and opacity, matching the fill/stroke look of the per-color materials
+   * layerOpacity scales the opacity for layers that are faded on their own
+   */
+  function setInstanceAppearance(mesh, index, isStroke, colorString, color, layerOpacity = 1) {
+    // Brighten strokes slightly for visibility
+    color.set(colorString);
+    if (isStroke) {
+      color.multiplyScalar(1.2);
+    }
+    
+    if (mesh.isPoints) {
+      mesh.geometry.attributes.particleColor.setXYZ(index, color.r, color.g, color.b);
+    } else {
+      mesh.setColorAt(index, color);
+    }
+    mesh.geometry.attributes.instanceOpacity.setX(index, (isStroke ? 0.9 : 0.8) * layerOpacity);
+  }
+
+  // Most pointers the motion shader pushes particles away from (touch screens report up to ~10)
+  const maxShaderPointers = 10;
+
+  // Vertex shader code for GPU-driven motion of instanced particles
+  // Mirrors the CPU path in updateInstancedParticles: noise or sine offsets, then pointer displacement
+  const particleMotionShader = `
+#define PARTYCLE_MAX_POINTERS ${maxShaderPointers}
+uniform float uGpuAnimation;
+uniform float uTime;
+uniform float uAngleTime;
+uniform float uNoiseTime;
+uniform float uNoiseMovement;
+uniform float uNoiseScale;
+uniform float uDepthEnabled;
+uniform vec4 uPointers[PARTYCLE_MAX_POINTERS]; // xyz world position, w radius scale
+uniform int uPointerCount;
+uniform float uRepel;
+uniform float uInteractionRadius;
+uniform float uInteractionStrength;
+attribute vec3 instanceOrigin;
+attribute vec3 instanceMotion; // angle, speed, amplitude
+attribute vec3 instanceNoise;
+attribute float instanceSize;
+
+// 3D simplex noise (Ashima Arts, MIT license)
+vec3 pnMod289(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+vec4 pnMod289(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+vec4 pnPermute(vec4 x) { return pnMod289(((x * 34.0) + 1.0) * x); }
+vec4 pnTaylorInvSqrt(vec4 r) { return 1.79284291400159 - 0.85373472095314 * r; }
+
+float pnSnoise(vec3 v) {
+  const vec2 C = vec2(1.0 / 6.0, 1.0 / 3.0);
+  const vec4 D = vec4(0.0, 0.5, 1.0, 2.0);
+  vec3 i = floor(v + dot(v, C.yyy));
+  vec3 x0 = v - i + dot(i, C.xxx);
+  vec3 g = step(x0.yzx, x0.xyz);
+  vec3 l = 1.0 - g;
+  vec3 i1 = min(g.xyz, l.zxy);
+  vec3 i2 = max(g.xyz, l.zxy);
+  vec3 x1 = x0 - i1 + C.xxx;
+  vec3 x2 = x0 - i2 + C.yyy;
+  vec3 x3 = x0 - D.yyy;
+  i = pnMod289(i);
+  vec4 p = pnPermute(pnPermute(pnPermute(
+    i.z + vec4(0.0, i1.z, i2.z, 1.0))
+    + i.y + vec4(0.0, i1.y, i2.y, 1.0))
+    + i.x + vec4(0.0, i1.x, i2.x, 1.0));
+  float n_ = 0.142857142857;
+  vec3 ns = n_ * D.wyz - D.xzx;
+  vec4 j = p - 49.0 * floor(p * ns.z * ns.z);
+  vec4 x_ = floor(j * ns.z);
+  vec4 y_ = floor(j - 7.0 * x_);
+  vec4 x = x_ * ns.x + ns.yyyy;
+  vec4 y = y_ * ns.x + ns.yyyy;
+  vec4 h = 1.0 - abs(x) - abs(y);
+  vec4 b0 = vec4(x.xy, y.xy);
+  vec4 b1 = vec4(x.zw, y.zw);
+  vec4 s0 = floor(b0) * 2.0 + 1.0;
+  vec4 s1 = floor(b1) * 2.0 + 1.0;
+  vec4 sh = -step(h, vec4(0.0));
+  vec4 a0 = b0.xzyw + s0.xzyw * sh.xxyy;
+  vec4 a1 = b1.xzyw + s1.xzyw * sh.zzww;
+  vec3 p0 = vec3(a0.xy, h.x);
+  vec3 p1 = vec3(a0.zw, h.y);
+  vec3 p2 = vec3(a1.xy, h.z);
+  vec3 p3 = vec3(a1.zw, h.w);
+  vec4 norm = pnTaylorInvSqrt(vec4(dot(p0, p0), dot(p1, p1), dot(p2, p2), dot(p3, p3)));
+  p0 *= norm.x;
+  p1 *= norm.y;
+  p2 *= norm.z;
+  p3 *= norm.w;
+  vec4 m = max(0.6 - vec4(dot(x0, x0), dot(x1, x1), dot(x2, x2), dot(x3, x3)), 0.0);
+  m = m * m;
+  return 42.0 * dot(m * m, vec4(dot(p0, x0), dot(p1, x1), dot(p2, x2), dot(p3, x3)));
+}
+
+vec3 partycleMotionOffset() {
+  if (uNoiseMovement > 0.5) {
+    vec3 n = instanceNoise + uNoiseTime;
+    return vec3(
+      pnSnoise(vec3(n.x, n.y, 0.0)) * uNoiseScale * 100.0,
+      pnSnoise(vec3(n.y, n.z, 0.0)) * uNoiseScale * 100.0,
+      pnSnoise(vec3(n.z, n.x, 0.0)) * uNoiseScale * 50.0 * uDepthEnabled
+    );
+  }
+  
+  float angle = instanceMotion.x + instanceMotion.y * uAngleTime;
+  float amplitude = instanceMotion.z;
+  return vec3(
+    sin(angle + uTime) * amplitude,
+    cos(angle + uTime * 1.5) * amplitude,
+    sin(angle + uTime * 0.7) * amplitude * 0.5 * uDepthEnabled
+  );
+}
+
+vec3 partyclePointerOffset(vec3 center) {
+  vec3 offset = vec3(0.0);
+  if (uPointerCount == 0) return offset;
+  
+  // Radius and strength are in world units, as on the CPU path, so distances are measured in world space
+  vec3 worldCenter = (modelMatrix * vec4(center, 1.0)).xyz;
+  float layerScale = length(modelMatrix[0].xyz);
+  mat3 m = mat3(modelMatrix);
+  
+  for (int i = 0; i < PARTYCLE_MAX_POINTERS; i++) {
+    if (i >= uPointerCount) break;
+    
+    vec3 pointer = uPointers[i].xyz;
+    float radius = uInteractionRadius * uPointers[i].w;
+    float dist = distance(worldCenter, pointer);
+    if (dist >= radius || dist <= 0.0) continue;
+    
+    // Push direction and length back into the layer's local space
+    vec3 worldDir = worldCenter - pointer;
+    vec3 localDir = normalize(vec3(dot(m[0], worldDir), dot(m[1], worldDir), dot(m[2], worldDir)));
+    offset += localDir * uInteractionStrength / layerScale * (radius - dist) / radius * uRepel;
+  }
+  
+  return offset;
+}
+`;
+
+  /**
+   * Get the uniforms shared by every instanced layer's motion shader
+   */
+  function getMotionUniforms() {
+    if (!resourceCache.motionUniforms) {
+      resourceCache.motionUniforms = {
+        uGpuAnimation: { value: 0 },
+        uTime: { value: 0 },
+        uAngleTime: { value: 0 },
+        uNoiseTime: { value: 0 },
+        uNoiseMovement: { value: 0 },
+        uNoiseScale: { value: 0 },
+        uDepthEnabled: { value: 0 },
+        uPointers: { value: Array.from({ length: maxShaderPointers }, () => new THREE.Vector4()) },
+        uPointerCount: { value: 0 },
+        uRepel: { value: -1 },
+        uInteractionRadius: { value: 0 },
+        uInteractionStrength: { value: 0 },
+        uPointScale: { value: 1 }
+      };
+    }
+    
+    return resourceCache.motionUniforms;
+  }
+
+  /**
+   * Get the material shared by the instanced layers using a blend mode
+   * Multiplies the per-instance opacity attribute into the fragment alpha, and moves
+   * particles in the vertex shader when GPU animation is active
+   */
+  function createOrGetInstancedMaterial(blendMode = 'normal') {
+    const cacheKey = `instanced_${blendMode}`;
+    if (resourceCache.materialCache.has(cacheKey)) {
+      return resourceCache.materialCache.get(cacheKey);
+    }
+    
+    const material = new THREE.MeshBasicMaterial({
+      color: 0xffffff,
+      transparent: true,
+      opacity: getSettings().particleOpacity,
+      blending: layerBlendModes[blendMode] || THREE.NormalBlending
+    });
+    material.userData.baseOpacity = 1;
+    
+    material.onBeforeCompile = function(shader) {
+      // Share the uniform objects so per-frame updates reach every layer
+      Object.assign(shader.uniforms, getMotionUniforms());
+      
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', '#include <common>\nattribute float instanceOpacity;\nvarying float vInstanceOpacity;\n' + particleMotionShader)
+        .replace('#include <begin_vertex>', [
+          '#include <begin_vertex>',
+          'vInstanceOpacity = instanceOpacity;',
+          'if (uGpuAnimation > 0.5) {',
+          '  vec3 center = instanceOrigin + partycleMotionOffset();',
+          '  center += partyclePointerOffset(center);',
+          '  transformed = transformed * instanceSize + center;',
+          '}'
+        ].join('\n'))
+        // On the GPU path the instance matrices are stale, so only the CPU path uses them
+        .replace('#include <project_vertex>', [
+          'vec4 mvPosition = vec4( transformed, 1.0 );',
+          '#ifdef USE_INSTANCING',
+          'if (uGpuAnimation < 0.5) mvPosition = instanceMatrix * mvPosition;',
+          '#endif',
+          'mvPosition = modelViewMatrix * mvPosition;',
+          'gl_Position = projectionMatrix * mvPosition;'
+        ].join('\n'));
+      shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', '#include <common>\nvarying float vInstanceOpacity;')
+        .replace('vec4 diffuseColor = vec4( diffuse, opacity );', 'vec4 diffuseColor = vec4( diffuse, opacity * vInstanceOpacity );');
+    };
+    
+    resourceCache.materialCache.set(cacheKey, material);
+    resourceCache.disposables.push(material);
+    
+    return material;
+  }
+
+  /**
+   * Copy one instance's animation data into the attributes read by the motion shader
+   */
+  function writeInstanceMotionAttributes(geometry, data) {
+    const { instanceOrigin, instanceMotion, instanceNoise, instanceSize } = geometry.attributes;
+    const i = data.index;
+    
+    instanceOrigin.setXYZ(i, data.originalPosition.x, data.originalPosition.y, data.originalPosition.z);
+    instanceMotion.setXYZ(i, data.angle, data.speed, data.amplitude);
+    instanceNoise.setXYZ(i, data.noiseOffset.x, data.noiseOffset.y, data.noiseOffset.z);
+    instanceSize.setX(i, data.size);
+  }
+
+  /**
+   * Advance the shared motion uniforms; mirrors the per-frame state of the CPU path
+   */
+  function updateMotionUniforms(settings, time, useGpuAnimation, mouseInteraction) {
+    const uniforms = getMotionUniforms();
+    
+    uniforms.uGpuAnimation.value = useGpuAnimation ? 1 : 0;
+    uniforms.uTime.value = time;
+    uniforms.uAngleTime.value += settings.animationSpeed;
+    uniforms.uNoiseTime.value += 0.002 * settings.animationSpeed;
+    uniforms.uNoiseMovement.value = settings.noiseMovement ? 1 : 0;
+    uniforms.uNoiseScale.value = settings.noiseScale;
+    uniforms.uDepthEnabled.value = settings.svgDepth > 0 ? 1 : 0;
+    
+    // Pointers beyond the shader's limit are ignored on the GPU path
+    let pointerCount = 0;
+    if (mouseInteraction) {
+      state.pointers.forEach(pointer => {
+        if (pointerCount >= maxShaderPointers) return;
+        const { x, y, z } = pointer.position;
+        uniforms.uPointers.value[pointerCount++].set(x, y, z, pointer.radiusScale);
+      });
+    }
+    uniforms.uPointerCount.value = pointerCount;
+    
+    uniforms.uRepel.value = settings.repelEffect ? 1 : -1;
+    uniforms.uInteractionRadius.value = settings.interactionRadius;
+    uniforms.uInteractionStrength.value = settings.interactionStrength;
+    
+    // Pixels per world unit at distance 1, so sprites match the spheres' on-screen size
+    if (state.renderer && state.camera) {
+      const fov = THREE.MathUtils.degToRad(state.camera.fov);
+      uniforms.uPointScale.value = state.renderer.domElement.height / Math.tan(fov / 2);
+    }
+  }
+
+  /**
+   * Create particles using traditional mesh approach
+   */
+  function createTraditionalParticles(layer, sampledPoints, settings) {
+    try {
+      // Initialize arrays
+      layer.particles = [];
+      layer.originalPositions = [];
+      
+      // Create particles
+      sampledPoints.forEach(pointData => {
+        const point = pointData.point || pointData;
+        const isStroke = pointData.isStroke || false;
+        
+        // Random size between min and max, kept as a seed so size changes apply in place
+        const sizeSeed = Math.random();
+        const size = getParticleSize(sizeSeed, isStroke, settings);
+        
+        // Choose material based on settings
+        const color = getParticleColor(point, isStroke, pointData.color, settings);
+        const material = createOrGetMaterial(color, isStroke ? 'stroke' : 'fill', layer.opacity, layer.blendMode);
+        
+        // Create mesh with sphere geometry
+        const mesh = new THREE.Mesh(resourceCache.particleGeometry, material);
+        mesh.position.copy(point);
+        mesh.scale.set(size, size, size);
+        
+        // Store original position and parameters for animation
+        mesh.userData.originalPosition = point.clone();
+        layer.originalPositions.push(point.clone()); // Store separately for sand effect
+        mesh.userData.size = size;
+        mesh.userData.sizeSeed = sizeSeed;
+        mesh.userData.sourceColor = pointData.color;
+        mesh.userData.isStroke = isStroke;
+        mesh.userData.tangent = pointData.tangent || null;
+        mesh.userData.depthFactor = point.z !== 0 ? (point.z / settings.svgDepth + 0.5) / 2 : Math.random(); // Store normalized depth factor
+        
+        // For sand effect
+        mesh.userData.velocity = new THREE.Vector3(0, 0, 0);
+        
+        // For animation
+        mesh.userData.angle = Math.random() * Math.PI * 2;
+        mesh.userData.speed = 0.05 + Math.random() * 0.05;
+        mesh.userData.amplitude = Math.random() * 2;
+        mesh.userData.offset = new THREE.Vector3();
+        
+        // For noise
+        mesh.userData.noiseOffset = {
+          x: Math.random() * 1000,
+          y: Math.random() * 1000,
+          z: Math.random() * 1000
+        };
+        
+        layer.group.add(mesh);
+        layer.particles.push(mesh);
+      });
+    } catch (e) {
+      console.error("Error in createTraditionalParticles:", e);
+    }
+  }
+
+  /**
+   * Create an empty uniform-grid spatial hash for particle radius queries
+   */
+  function createSpatialHash() {
+    return {
+      cellSize: 1,
+      cells: new Map(), // Cell key -> particle indices
+      positions: new Float64Array(0), // xyz per particle index, as of the last build
+      frame: -1 // Animation frame the hash was last built in
+    };
+  }
+
+  /**
+   * Pack integer cell coordinates into one numeric key (17 bits per axis)
+   * Wrapped keys only add extra candidates, which the exact distance check discards
+   */
+  function getSpatialCellKey(cx, cy, cz) {
+    return ((cx & 0x1ffff) * 0x20000 + (cy & 0x1ffff)) * 0x20000 + (cz & 0x1ffff);
+  }
+
+  /**
+   * Rebuild a layer's spatial hash from the current particle positions
+   * Particles the update loops skip (hidden meshes, instances beyond the auto-quality count) are left out
+   */
+  function buildLayerSpatialHash(layer, cellSize) {
+    if (!layer.spatialHash) layer.spatialHash = createSpatialHash();
+    
+    const hash = layer.spatialHash;
+    const useInstanceData = layer.instanceData && layer.instanceData.length > 0;
+    const count = useInstanceData ? layer.instanceData.length : (layer.particles ? layer.particles.length : 0);
+    
+    hash.cellSize = cellSize;
+    hash.cells.clear();
+    hash.frame = state.animationFrame;
+    if (hash.positions.length < count * 3) {
+      hash.positions = new Float64Array(count * 3);
+    }
+    
+    const positions = hash.positions;
+    const insert = (index, x, y, z) => {
+      positions[index * 3] = x;
+      positions[index * 3 + 1] = y;
+      positions[index * 3 + 2] = z;
+      
+      const key = getSpatialCellKey(
+        Math.floor(x / cellSize),
+        Math.floor(y / cellSize),
+        Math.floor(z / cellSize)
+      );
+      const cell = hash.cells.get(key);
+      if (cell) {
+        cell.push(index);
+      } else {
+        hash.cells.set(key, [index]);
+      }
+    };
+    
+    if (useInstanceData) {
+      layer.instanceData.forEach((data, index) => {
+        const { mesh, index: instanceIndex } = data;
+        if (!mesh || !mesh.visible) return;
+        
+        if (mesh.isPoints) {
+          if (instanceIndex >= mesh.geometry.drawRange.count) return;
+          const attribute = mesh.geometry.attributes.position;
+          insert(index, attribute.getX(instanceIndex), attribute.getY(instanceIndex), attribute.getZ(instanceIndex));
+        } else {
+          if (instanceIndex >= mesh.count) return;
+          // Translation lives in the last column of the instance matrix
+          const elements = mesh.instanceMatrix.array;
+          const offset = instanceIndex * 16;
+          insert(index, elements[offset + 12], elements[offset + 13], elements[offset + 14]);
+        }
+      });
+    } else if (layer.particles) {
+      layer.particles.forEach((particle, index) => {
+        if (!particle.visible) return;
+        insert(index, particle.position.x, particle.position.y, particle.position.z);
+      });
+    }
+    
+    return hash;
+  }
+
+  /**
+   * Call back with (index, distance) for every particle of a layer closer than radius to center
+   * Positions and center are in the layer group's local space, matching the update loops;
+   * the hash is built at most once per animation frame, from the positions at that moment
+   */
+  function queryLayerNeighbors(layer, center, radius, callback) {
+    let hash = layer.spatialHash;
+    if (!hash || hash.frame !== state.animationFrame) {
+      hash = buildLayerSpatialHash(layer, Math.max(radius, 1e-3));
+    }
+    
+    const { cellSize, cells, positions } = hash;
+    const minX = Math.floor((center.x - radius) / cellSize);
+    const maxX = Math.floor((center.x + radius) / cellSize);
+    const minY = Math.floor((center.y - radius) / cellSize);
+    const maxY = Math.floor((center.y + radius) / cellSize);
+    const minZ = Math.floor((center.z - radius) / cellSize);
+    const maxZ = Math.floor((center.z + radius) / cellSize);
+    
+    // A query far wider than the cells (e.g. a radius change mid-frame) would visit too many cells;
+    // checking every particle is cheaper then, and gives the same answer
+    const cellSpan = (maxX - minX + 1) * (maxY - minY + 1) * (maxZ - minZ + 1);
+    if (cellSpan > cells.size) {
+      cells.forEach(indices => {
+        indices.forEach(index => testSpatialNeighbor(positions, index, center, radius, callback));
+      });
+      return;
+    }
+    
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cy = minY; cy <= maxY; cy++) {
+        for (let cz = minZ; cz <= maxZ; cz++) {
+          const indices = cells.get(getSpatialCellKey(cx, cy, cz));
+          if (!indices) continue;
+          indices.forEach(index => testSpatialNeighbor(positions, index, center, radius, callback));
+        }
+      }
+    }
+  }
+
+  /**
+   * Exact distance test for one hashed particle, computed the same way as Vector3.distanceTo
+   */
+  function testSpatialNeighbor(positions, index, center, radius, callback) {
+    const dx = positions[index * 3] - center.x;
+    const dy = positions[index * 3 + 1] - center.y;
+    const dz = positions[index * 3 + 2] - center.z;
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    
+    if (distance < radius) {
+      callback(index, distance);
+    }
+  }
+
+  /**
+   * Pointers within interaction range of each of the layer's particles, keyed by particle index
+   * Each hit carries the pointer's position in the layer's local space, its distance and that pointer's own radius,
+   * all in local units (the radius is in world units, like the click effects and force fields)
+   */
+  function getParticlesNearPointers(layer, interactionRadius) {
+    const nearPointers = new Map();
+    
+    layer.group.updateMatrixWorld();
+    const inverseMatrix = new THREE.Matrix4().copy(layer.group.matrixWorld).invert();
+    const localScale = 1 / (layer.group.scale.x || 1);
+    
+    state.pointers.forEach(pointer => {
+      const position = pointer.position.clone().applyMatrix4(inverseMatrix);
+      const radius = interactionRadius * pointer.radiusScale * localScale;
+      queryLayerNeighbors(layer, position, radius, (index, distance) => {
+        const hit = { position, distance, radius, localScale };
+        const hits = nearPointers.get(index);
+        if (hits) {
+          hits.push(hit);
+        } else {
+          nearPointers.set(index, [hit]);
+        }
+      });
+    });
+    
+    return nearPointers;
+  }
+
+  /**
+   * Create a force field of the given type at the scene origin
+   */
+  function createForceField(type) {
+    const defaults = forceFieldTypes[type] || forceFieldTypes.attractor;
+    
+    return {
+      id: state.nextForceFieldId++,
+      type: forceFieldTypes[type] ? type : 'attractor',
+      enabled: true,
+      position: { x: 0, y: 0, z: 0 },
+      direction: defaults.direction ? { ...defaults.direction } : null,
+      strength: defaults.strength,
+      radius: defaults.radius,
+      falloff: 'smooth',
+      layerIds: null // null applies to every layer, otherwise only the listed layer ids
+    };
+  }
+
+  /**
+   * Add a force field from the type selector
+   */
+  function addForceField() {
+    const type = dom.forceFieldTypeSelect ? dom.forceFieldTypeSelect.value : 'attractor';
+    const field = createForceField(type);
+    
+    state.forceFields.push(field);
+    updateForceFields();
+    showNotification(`${forceFieldTypes[field.type].label} added`, "success");
+    recordHistory(`Add ${forceFieldTypes[field.type].label}`);
+  }
+
+  /**
+   * Remove a force field
+   */
+  function deleteForceField(fieldId) {
+    state.forceFields = state.forceFields.filter(field => field.id !== fieldId);
+    updateForceFields();
+    recordHistory('Delete force field');
+  }
+
+  /**
+   * Replace all force fields, e.g. from a preset
+   */
+  function setForceFields(fields) {
+    state.forceFields = fields.map(data => {
+      const field = createForceField(data.type);
+      
+      return {
+        ...field,
+        enabled: data.enabled !== false,
+        position: { ...field.position, ...data.position },
+        direction: field.direction ? { ...field.direction, ...data.direction } : null,
+        strength: typeof data.strength === 'number' ? data.strength : field.strength,
+        radius: typeof data.radius === 'number' ? data.radius : field.radius,
+        falloff: forceFalloffs.includes(data.falloff) ? data.falloff : field.falloff,
+        layerIds: Array.isArray(data.layerIds) ? data.layerIds.slice() : null
+      };
+    });
+    updateForceFields();
+  }
+
+  /**
+   * Plain copy of the force fields for presets
+   */
+  function serializeForceFields() {
+    return JSON.parse(JSON.stringify(state.forceFields));
+  }
+
+  /**
+   * Whether any enabled force field is in the scene
+   */
+  function hasActiveForceFields() {
+    return state.forceFields.some(field => field.enabled && field.strength !== 0);
+  }
+
+  /**
+   * Refresh the force field panel and gizmos after the field list changed
+   */
+  function updateForceFields() {
+    renderForceFieldsList();
+    updateForceFieldGizmos();
+  }
+
+  /**
+   * Rebuild the force field panel from state.forceFields
+   */
+  function renderForceFieldsList() {
+    if (!dom.forceFieldsList || !dom.forceFieldTemplate) return;
+    
+    dom.forceFieldsList.innerHTML = '';
+    state.forceFields.forEach(field => createForceFieldUI(field));
+    
+    if (dom.emptyForceFieldsMessage) {
+      dom.emptyForceFieldsMessage.style.display = state.forceFields.length === 0 ? 'block' : 'none';
+    }
+  }
+
+  /**
+   * Create the editor card for one force field
+   */
+  function createForceFieldUI(field) {
+    const template = dom.forceFieldTemplate.content.cloneNode(true);
+    const li = template.querySelector('li');
+    const type = forceFieldTypes[field.type];
+    
+    li.dataset.fieldId = field.id;
+    li.querySelector('.force-field-name').textContent = `${type.label} #${field.id}`;
+    li.querySelector('.force-field-swatch').style.backgroundColor = type.color;
+    
+    // Edits only move the gizmo; the particle update step reads state.forceFields every frame
+    const enabledEl = li.querySelector('.force-field-enabled');
+    enabledEl.checked = field.enabled;
+    enabledEl.addEventListener('change', () => {
+      field.enabled = enabledEl.checked;
+      updateForceFieldGizmos();
+    });
+    
+    li.querySelector('.force-field-delete').addEventListener('click', () => {
+      deleteForceField(field.id);
+    });
+    
+    ['strength', 'radius'].forEach(key => {
+      const input = li.querySelector(`.force-field-${key}`);
+      const valueEl = li.querySelector(`.force-field-${key}-value`);
+      input.value = field[key];
+      valueEl.textContent = field[key];
+      input.addEventListener('input', () => {
+        field[key] = parseFloat(input.value);
+        valueEl.textContent = input.value;
+        updateForceFieldGizmos();
+      });
+    });
+    
+    const falloffEl = li.querySelector('.force-field-falloff');
+    falloffEl.value = field.falloff;
+    falloffEl.addEventListener('change', () => {
+      field.falloff = falloffEl.value;
+    });
+    
+    li.querySelectorAll('.force-field-position').forEach(input => {
+      input.value = field.position[input.dataset.axis];
+      input.addEventListener('change', () => {
+        field.position[input.dataset.axis] = parseFloat(input.value) || 0;
+        updateForceFieldGizmos();
+      });
+    });
+    
+    // Attractors, repellers and turbulence act the same in every direction
+    const directionRow = li.querySelector('.force-field-direction-row');
+    if (field.direction) {
+      li.querySelector('.force-field-direction-label').textContent = field.type === 'vortex' ? 'Axis (X, Y, Z)' : 'Direction (X, Y, Z)';
+      li.querySelectorAll('.force-field-direction').forEach(input => {
+        input.value = field.direction[input.dataset.axis];
+        input.addEventListener('change', () => {
+          field.direction[input.dataset.axis] = parseFloat(input.value) || 0;
+          updateForceFieldGizmos();
+        });
+      });
+    } else {
+      directionRow.style.display = 'none';
+    }
+    
+    // Layer targeting
+    const scopeEl = li.querySelector('.force-field-scope');
+    const layersEl = li.querySelector('.force-field-layers');
+    scopeEl.value = field.layerIds ? 'selected' : 'all';
+    layersEl.style.display = field.layerIds ? 'block' : 'none';
+    scopeEl.addEventListener('change', () => {
+      field.layerIds = scopeEl.value === 'selected' ? (state.activeLayerId !== null ? [state.activeLayerId] : []) : null;
+      renderForceFieldsList();
+    });
+    
+    state.layers.forEach(layer => {
+      const row = document.createElement('div');
+      row.className = 'checkbox-row';
+      
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.id = `force-field-${field.id}-layer-${layer.id}`;
+      checkbox.checked = !!field.layerIds && field.layerIds.includes(layer.id);
+      checkbox.addEventListener('change', () => {
+        const layerIds = (field.layerIds || []).filter(id => id !== layer.id);
+        if (checkbox.checked) layerIds.push(layer.id);
+        field.layerIds = layerIds;
+      });
+      
+      const name = document.createElement('label');
+      name.htmlFor = checkbox.id;
+      name.textContent = layer.name;
+      
+      row.appendChild(checkbox);
+      row.appendChild(name);
+      layersEl.appendChild(row);
+    });
+    
+    dom.forceFieldsList.appendChild(li);
+  }
+
+  /**
+   * Rebuild the scene gizmos that show each force field's position, radius and direction
+   */
+  function updateForceFieldGizmos() {
+    if (!state.scene) return;
+    
+    if (!state.forceFieldGizmos) {
+      state.forceFieldGizmos = new THREE.Group();
+      state.scene.add(state.forceFieldGizmos);
+    }
+    
+    const gizmos = state.forceFieldGizmos;
+    
+    // Dispose the previous gizmos
+    gizmos.children.slice().forEach(gizmo => {
+      gizmos.remove(gizmo);
+      gizmo.userData.resources.forEach(resource => resource.dispose());
+    });
+    
+    updateForceFieldGizmosVisibility();
+    
+    state.forceFields.forEach(field => {
+      const color = new THREE.Color(forceFieldTypes[field.type].color);
+      const opacity = field.enabled ? 1 : 0.35;
+      const gizmo = new THREE.Group();
+      gizmo.position.set(field.position.x, field.position.y, field.position.z);
+      gizmo.userData.resources = [];
+      
+      // Radius of influence
+      const sphere = new THREE.SphereGeometry(field.radius, 24, 12);
+      const wireframe = new THREE.WireframeGeometry(sphere);
+      sphere.dispose();
+      const volumeMaterial = new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.15 * opacity, depthWrite: false });
+      gizmo.add(new THREE.LineSegments(wireframe, volumeMaterial));
+      
+      // Center handle
+      const handleGeometry = new THREE.OctahedronGeometry(3);
+      const handleMaterial = new THREE.MeshBasicMaterial({ color, transparent: true, opacity });
+      gizmo.add(new THREE.Mesh(handleGeometry, handleMaterial));
+      
+      gizmo.userData.resources.push(wireframe, volumeMaterial, handleGeometry, handleMaterial);
+      
+      // Direction or axis
+      if (field.direction) {
+        const direction = new THREE.Vector3(field.direction.x, field.direction.y, field.direction.z);
+        if (direction.lengthSq() > 0) {
+          const length = Math.min(field.radius * 0.6, 80);
+          const arrow = new THREE.ArrowHelper(direction.normalize(), new THREE.Vector3(), length, color, length * 0.2, length * 0.1);
+          arrow.line.material.transparent = true;
+          arrow.line.material.opacity = opacity;
+          arrow.cone.material.transparent = true;
+          arrow.cone.material.opacity = opacity;
+          gizmo.add(arrow);
+          
+          // ArrowHelper geometries are shared between instances, so only its materials are disposed
+          gizmo.userData.resources.push(arrow.line.material, arrow.cone.material);
+        }
+      }
+      
+      gizmos.add(gizmo);
+    });
+  }
+
+  /**
+   * Show or hide the force field gizmos per the panel checkbox
+   */
+  function updateForceFieldGizmosVisibility() {
+    if (!state.forceFieldGizmos) return;
+    state.forceFieldGizmos.visible = !dom.showForceGizmosCheckbox || dom.showForceGizmosCheckbox.checked;
+  }
+
+  /**
+   * Force multiplier at a distance from a field's center
+   */
+  function getForceFalloff(falloff, distance, radius) {
+    const t = 1 - distance / radius;
+    
+    switch (falloff) {
+      case 'constant':
+        return 1;
+      case 'linear':
+        return t;
+      case 'quadratic':
+        return t * t;
+      case 'smooth':
+      default:
+        return t * t * (3 - 2 * t);
+    }
+  }
+
+  /**
+   * Displacement of each particle of a layer by the force fields acting on it, keyed by particle index
+   * Fields are placed in world space and converted to the layer group's local space
+   */
+  function getForceFieldDisplacements(layer, time) {
+    const fields = state.forceFields.filter(field =>
+      field.enabled &&
+      field.strength !== 0 &&
+      (!field.layerIds || field.layerIds.includes(layer.id))
+    );
+    if (fields.length === 0) return null;
+    
+    layer.group.updateMatrixWorld();
+    const inverseMatrix = new THREE.Matrix4().copy(layer.group.matrixWorld).invert();
+    const localScale = 1 / (layer.group.scale.x || 1);
+    const displacements = new Map();
+    
+    fields.forEach(field => {
+      const center = new THREE.Vector3(field.position.x, field.position.y, field.position.z).applyMatrix4(inverseMatrix);
+      const direction = field.direction ?
+                        new THREE.Vector3(field.direction.x, field.direction.y, field.direction.z).transformDirection(inverseMatrix) :
+                        null;
+      const radius = field.radius * localScale;
+      const strength = field.strength * localScale;
+      
+      queryLayerNeighbors(layer, center, radius, (index, distance) => {
+        const positions = layer.spatialHash.positions;
+        const position = new THREE.Vector3(positions[index * 3], positions[index * 3 + 1], positions[index * 3 + 2]);
+        const force = strength * getForceFalloff(field.falloff, distance, radius);
+        
+        let displacement = displacements.get(index);
+        if (!displacement) {
+          displacement = new THREE.Vector3();
+          displacements.set(index, displacement);
+        }
+        
+        addForceFieldDisplacement(field.type, displacement, position, center, direction, distance, force, time);
+      });
+    });
+    
+    return displacements;
+  }
+
+  /**
+   * Add one field's push on a particle to its displacement
+   */
+  function addForceFieldDisplacement(type, displacement, position, center, direction, distance, force, time) {
+    switch (type) {
+      case 'attractor':
+        // Never pull a particle past the center
+        if (distance > 0) {
+          displacement.add(new THREE.Vector3().subVectors(center, position).multiplyScalar(Math.min(force, distance) / distance));
+        }
+        break;
+        
+      case 'repeller':
+        if (distance > 0) {
+          displacement.add(new THREE.Vector3().subVectors(position, center).multiplyScalar(force / distance));
+        }
+        break;
+        
+      case 'vortex': {
+        // Swirl around the axis through the center
+        const relative = new THREE.Vector3().subVectors(position, center);
+        const radial = relative.sub(direction.clone().multiplyScalar(relative.dot(direction)));
+        const tangent = new THREE.Vector3().crossVectors(direction, radial);
+        if (tangent.lengthSq() > 0) {
+          displacement.add(tangent.normalize().multiplyScalar(force));
+        }
+        break;
+      }
+        
+      case 'wind': {
+        // Gusts drift slowly across the field
+        const gust = 0.75 + 0.25 * state.simplex.noise3D(position.x * 0.01, position.y * 0.01, time * 0.5);
+        displacement.add(direction.clone().multiplyScalar(force * gust));
+        break;
+      }
+        
+      case 'gravity':
+        displacement.add(direction.clone().multiplyScalar(force));
+        break;
+        
+      case 'turbulence': {
+        const x = position.x * 0.02;
+        const y = position.y * 0.02;
+        const z = position.z * 0.02 + time * 0.3;
+        displacement.add(new THREE.Vector3(
+          state.simplex.noise3D(x, y, z),
+          state.simplex.noise3D(y + 31.4, z, x),
+          state.simplex.noise3D(z, x + 47.2, y)
+        ).multiplyScalar(force));
+        break;
+      }
+    }
+  }
+
+  /**
+   * Start a layer's entrance or exit animation
+   * onComplete runs once the last particle arrives (intro) or leaves (outro)
+   */
+  function startLayerTransition(layer, type, onComplete) {
+    const settings = getSettings();
+    
+    if (settings.transitionStyle === 'none' || !layer.group || layer.particleCount === 0) {
+      layer.transition = null;
+      if (onComplete) onComplete();
+      return;
+    }
+    
+    // An exit interrupted by an entrance (or vice versa) never completes
+    layer.transition = {
+      type,
+      style: settings.transitionStyle,
+      stagger: settings.transitionStagger,
+      duration: settings.transitionDuration,
+      startTime: performance.now() / 1000,
+      bounds: getLayerRestBounds(layer),
+      onComplete: onComplete || null
+    };
+  }
+
+  /**
+   * Play the entrance animation again on every visible layer
+   */
+  function replayLayerTransitions() {
+    const settings = getSettings();
+    if (settings.transitionStyle === 'none') {
+      showNotification("Choose a transition style first", "info");
+      return;
+    }
+    
+    state.layers.forEach(layer => {
+      if (layer.visible && !layer.removing) startLayerTransition(layer, 'intro');
+    });
+  }
+
+  /**
+   * Box and center of a layer's rest positions, used to order staggered particles
+   */
+  function getLayerRestBounds(layer) {
+    const box = new THREE.Box3();
+    layer.originalPositions.forEach(position => box.expandByPoint(position));
+    
+    const center = box.isEmpty() ? new THREE.Vector3() : box.getCenter(new THREE.Vector3());
+    const size = box.isEmpty() ? new THREE.Vector3() : box.getSize(new THREE.Vector3());
+    const maxDistance = box.isEmpty() ? 1 : Math.max(box.max.distanceTo(center), 1e-6);
+    
+    return { box, size, center, maxDistance };
+  }
+
+  /**
+   * Finish transitions whose time is up, running their completion callbacks
+   */
+  function updateLayerTransitions(now) {
+    state.layers.slice().forEach(layer => {
+      const transition = layer.transition;
+      if (!transition || now - transition.startTime < transition.duration) return;
+      
+      layer.transition = null;
+      if (transition.style === 'scale') resetTransitionScale(layer);
+      if (transition.style === 'fade') resetTransitionOpacity(layer);
+      if (transition.onComplete) transition.onComplete();
+    });
+  }
+
+  /**
+   * Put particle sizes back after a scale transition's last frame
+   */
+  function resetTransitionScale(layer) {
+    if (layer.instanceData && layer.instanceData.length > 0) {
+      const mesh = layer.instanceData[0].mesh;
+      layer.instanceData.forEach(data => {
+        mesh.geometry.attributes.instanceSize.setX(data.index, data.size);
+      });
+      mesh.geometry.attributes.instanceSize.needsUpdate = true;
+    } else if (layer.particles) {
+      layer.particles.forEach(particle => particle.scale.setScalar(particle.userData.size));
+    }
+  }
+
+  /**
+   * Put particle opacities (and separate meshes' materials) back after a fade transition's last frame
+   */
+  function resetTransitionOpacity(layer) {
+    if (layer.instanceData && layer.instanceData.length > 0) {
+      const mesh = layer.instanceData[0].mesh;
+      layer.instanceData.forEach(data => {
+        mesh.geometry.attributes.instanceOpacity.setX(data.index, (data.isStroke ? 0.9 : 0.8) * layer.opacity);
+      });
+      mesh.geometry.attributes.instanceOpacity.needsUpdate = true;
+    } else if (layer.particles) {
+      layer.particles.forEach(particle => {
+        if (particle.material.userData.fadeFrom) particle.material = particle.material.userData.fadeFrom;
+      });
+      releaseFadeMaterials(layer);
+    }
+  }
+
+  /**
+   * Point a layer's separate meshes at its own copies of their shared materials, so a fade leaves other layers alone
+   * Returns the copies keyed by the shared material they were made from
+   */
+  function getLayerFadeMaterials(layer) {
+    if (!layer.fadeMaterials) {
+      layer.fadeMaterials = new Map();
+      layer.particles.forEach(particle => {
+        if (!layer.fadeMaterials.has(particle.material)) {
+          const copy = particle.material.clone();
+          copy.userData = { fadeFrom: particle.material };
+          layer.fadeMaterials.set(particle.material, copy);
+        }
+        particle.material = layer.fadeMaterials.get(particle.material);
+      });
+    }
+    
+    return layer.fadeMaterials;
+  }
+
+  /**
+   * Dispose a layer's fade copies; call whenever its particles get other materials
+   */
+  function releaseFadeMaterials(layer) {
+    if (!layer.fadeMaterials) return;
+    
+    layer.fadeMaterials.forEach(copy => copy.dispose());
+    layer.fadeMaterials = null;
+  }
+
+  /**
+   * Whether any layer is mid-transition
+   */
+  function hasActiveTransitions() {
+    return state.layers.some(layer => layer.transition);
+  }
+
+  /**
+   * Per-frame view of a layer's transition, in the layer's local space
+   */
+  function getLayerTransitionFrame(layer) {
+    const transition = layer.transition;
+    if (!transition) return null;
+    
+    return {
+      ...transition,
+      elapsed: performance.now() / 1000 - transition.startTime,
+      localScale: 1 / (layer.group.scale.x || 1)
+    };
+  }
+
+  /**
+   * Offset from the rest position, size multiplier and opacity multiplier of one particle mid-transition
+   * Seeds and stagger order come from the particle's original position so they hold still across frames
+   */
+  function getTransitionPose(frame, originalPosition) {
+    const { box, size, center, maxDistance } = frame.bounds;
+    
+    // Stable per-particle random numbers
+    const random = salt => {
+      const seed = Math.sin(originalPosition.x * 12.9898 + originalPosition.y * 78.233 + originalPosition.z * 37.719 + salt) * 43758.5453;
+      return seed - Math.floor(seed);
+    };
+    
+    // 0 starts first, 1 starts last
+    let order = 0;
+    switch (frame.stagger) {
+      case 'x':
+        order = size.x > 0 ? (originalPosition.x - box.min.x) / size.x : 0;
+        break;
+      case 'y':
+        order = size.y > 0 ? (box.max.y - originalPosition.y) / size.y : 0;
+        break;
+      case 'center':
+        order = originalPosition.distanceTo(center) / maxDistance;
+        break;
+      case 'random':
+        order = random(0);
+        break;
+    }
+    
+    // With stagger each particle moves for 60% of the duration, starting up to 40% late
+    const span = frame.stagger === 'none' ? frame.duration : frame.duration * 0.6;
+    const delay = frame.stagger === 'none' ? 0 : order * frame.duration * 0.4;
+    const t = THREE.MathUtils.clamp((frame.elapsed - delay) / span, 0, 1);
+    
+    // How far from rest: eases out on the way in, eases in on the way out
+    const amount = frame.type === 'intro' ? Math.pow(1 - t, 3) : t * t * t;
+    const offset = new THREE.Vector3();
+    let scale = 1;
+    let opacity = 1;
+    
+    switch (frame.style) {
+      case 'assemble': {
+        // From a random cloud around the layer
+        const theta = random(1) * Math.PI * 2;
+        const phi = Math.acos(2 * random(2) - 1);
+        const radius = (150 + random(3) * 250) * frame.localScale;
+        const cloud = new THREE.Vector3().setFromSphericalCoords(radius, phi, theta).add(center);
+        offset.subVectors(cloud, originalPosition).multiplyScalar(amount);
+        break;
+      }
+        
+      case 'fly-left':
+      case 'fly-right':
+      case 'fly-top':
+      case 'fly-bottom': {
+        // From beyond an edge, a little spread out so the shape streams in
+        const edges = {
+          'fly-left': new THREE.Vector3(-1, 0, 0),
+          'fly-right': new THREE.Vector3(1, 0, 0),
+          'fly-top': new THREE.Vector3(0, 1, 0),
+          'fly-bottom': new THREE.Vector3(0, -1, 0)
+        };
+        const distance = (500 + random(1) * 150) * frame.localScale;
+        offset.copy(edges[frame.style]).multiplyScalar(distance * amount);
+        break;
+      }
+        
+      case 'scale':
+        scale = 1 - amount;
+        break;
+        
+      case 'fade':
+        opacity = 1 - amount;
+        break;
+    }
+    
+    return { offset, scale, opacity };
+  }
+
+  /**
+   * Particle positions (in the layer's local space), colors and sizes, in update-loop order
+   */
+  function getLayerParticleStates(layer) {
+    if (layer.instanceData && layer.instanceData.length > 0) {
+      return layer.instanceData.map(data => {
+        const { mesh, index } = data;
+        const color = new THREE.Color();
+        if (mesh.isPoints) {
+          color.fromBufferAttribute(mesh.geometry.attributes.particleColor, index);
+        } else {
+          mesh.getColorAt(index, color);
+        }
+        return { position: data.originalPosition.clone(), color, size: data.size, material: null };
+      });
+    }
+    
+    return (layer.particles || []).map(particle => ({
+      position: particle.userData.originalPosition.clone(),
+      color: particle.material.color.clone(),
+      size: particle.userData.size,
+      material: particle.material
+    }));
+  }
+
+  /**
+   * Pair every source point with a distinct target point (both lists the same length)
+   * 'sorted' matches the points in left-to-right order; 'nearest' greedily claims the closest free target
+   */
+  function assignMorphTargets(sources, targets, assignment) {
+    const order = points => points
+      .map((point, index) => index)
+      .sort((a, b) => (points[a].x - points[b].x) || (points[a].y - points[b].y) || (points[a].z - points[b].z));
+    
+    if (assignment === 'sorted') {
+      const sourceOrder = order(sources);
+      const targetOrder = order(targets);
+      const result = new Array(sources.length);
+      sourceOrder.forEach((sourceIndex, rank) => {
+        result[sourceIndex] = targetOrder[rank];
+      });
+      return result;
+    }
+    
+    return assignNearestMorphTargets(sources, targets);
+  }
+
+  /**
+   * Greedy nearest-neighbour pairing on a grid of unclaimed targets
+   * Sources are taken in index order, which createParticles has already shuffled, so no side of the shape is favored
+   */
+  function assignNearestMorphTargets(sources, targets) {
+    const box = new THREE.Box3().setFromPoints(targets);
+    const extent = box.getSize(new THREE.Vector3());
+    
+    // Roughly four targets per cell for a flat shape
+    const cellSize = Math.max(extent.x, extent.y, extent.z, 1e-3) / Math.max(Math.sqrt(targets.length) / 2, 1);
+    const toCell = value => Math.floor(value / cellSize);
+    
+    const cells = new Map();
+    targets.forEach((point, index) => {
+      const key = getSpatialCellKey(toCell(point.x), toCell(point.y), toCell(point.z));
+      if (cells.has(key)) {
+        cells.get(key).push(index);
+      } else {
+        cells.set(key, [index]);
+      }
+    });
+    
+    const min = { x: toCell(box.min.x), y: toCell(box.min.y), z: toCell(box.min.z) };
+    const max = { x: toCell(box.max.x), y: toCell(box.max.y), z: toCell(box.max.z) };
+    
+    return sources.map(source => {
+      const sx = toCell(source.x);
+      const sy = toCell(source.y);
+      const sz = toCell(source.z);
+      let best = null;
+      
+      const visit = (cx, cy, cz) => {
+        const cell = cells.get(getSpatialCellKey(cx, cy, cz));
+        if (!cell) return;
+        cell.forEach((targetIndex, slot) => {
+          const distance = targets[targetIndex].distanceToSquared(source);
+          if (!best || distance < best.distance) {
+            best = { cell, slot, distance, cx, cy, cz };
+          }
+        });
+      };
+      
+      // Grow a shell of cells around the source until nothing unvisited can be closer than the best so far
+      const maxRing = Math.max(
+        Math.abs(sx - min.x), Math.abs(sx - max.x),
+        Math.abs(sy - min.y), Math.abs(sy - max.y),
+        Math.abs(sz - min.z), Math.abs(sz - max.z)
+      );
+      for (let ring = 0; ring <= maxRing; ring++) {
+        for (let cz = Math.max(sz - ring, min.z); cz <= Math.min(sz + ring, max.z); cz++) {
+          for (let cx = Math.max(sx - ring, min.x); cx <= Math.min(sx + ring, max.x); cx++) {
+            if (Math.abs(cx - sx) === ring || Math.abs(cz - sz) === ring) {
+              for (let cy = Math.max(sy - ring, min.y); cy <= Math.min(sy + ring, max.y); cy++) visit(cx, cy, cz);
+            } else {
+              if (sy - ring >= min.y) visit(cx, sy - ring, cz);
+              if (sy + ring <= max.y) visit(cx, sy + ring, cz);
+            }
+          }
+        }
+        
+        if (best && Math.sqrt(best.distance) <= ring * cellSize) break;
+      }
+      
+      // Claim the target (swap-remove from its cell)
+      const targetIndex = best.cell[best.slot];
+      best.cell[best.slot] = best.cell[best.cell.length - 1];
+      best.cell.pop();
+      if (best.cell.length === 0) cells.delete(getSpatialCellKey(best.cx, best.cy, best.cz));
+      
+      return targetIndex;
+    });
+  }
+
+  /**
+   * Morph one layer's particles onto another layer's shape
+   * The target layer is hidden while the source particles travel, then shown in their place
+   */
+  function startLayerMorph(sourceLayer, targetLayer, options) {
+    if (!sourceLayer || !targetLayer || sourceLayer === targetLayer) {
+      showNotification("Choose two different layers to morph between", "error");
+      return false;
+    }
+    if (sourceLayer.removing || targetLayer.removing) return false;
+    if (sourceLayer.particleCount === 0 || targetLayer.particleCount === 0) {
+      showNotification("Both layers need particles before they can morph", "error");
+      return false;
+    }
+    
+    try {
+      // Restart cleanly if either layer is already mid-morph
+      state.layers.forEach(layer => {
+        if (layer.morph && (layer === sourceLayer || layer === targetLayer || layer.morph.targetLayerId === targetLayer.id)) {
+          cancelLayerMorph(layer);
+        }
+      });
+      
+      const sources = getLayerParticleStates(sourceLayer);
+      const targetStates = getLayerParticleStates(targetLayer);
+      
+      // Bring the target shape into the source layer's local space
+      sourceLayer.group.updateMatrixWorld(true);
+      targetLayer.group.updateMatrixWorld(true);
+      const toSourceSpace = new THREE.Matrix4()
+        .copy(sourceLayer.group.matrixWorld)
+        .invert()
+        .multiply(targetLayer.group.matrixWorld);
+      
+      // Match the counts: spread the source particles evenly over the target's points, repeating them if needed
+      const targets = sources.map((source, index) => {
+        const target = targetStates[Math.floor(index * targetStates.length / sources.length)];
+        return { ...target, position: target.position.clone().applyMatrix4(toSourceSpace) };
+      });
+      
+      const pairs = assignMorphTargets(
+        sources.map(source => source.position),
+        targets.map(target => target.position),
+        options.assignment
+      );
+      
+      // Target sizes scale with the layers so particles keep their on-screen size
+      const sizeRatio = targetLayer.group.scale.x / (sourceLayer.group.scale.x || 1);
+      
+      sourceLayer.morph = {
+        targetLayerId: targetLayer.id,
+        startTime: performance.now() / 1000,
+        duration: options.duration,
+        easing: easingCurves[options.easing] || easingCurves.linear,
+        progress: 0,
+        sources,
+        targets: pairs.map(targetIndex => {
+          const target = targets[targetIndex];
+          return {
+            ...target,
+            size: target.size * sizeRatio,
+            // Separate-mesh particles need a material to switch to when the target layer is instanced
+            material: target.material || createOrGetMaterial(`#${target.color.getHexString()}`)
+          };
+        }),
+        sizes: new Float32Array(sources.map(source => source.size)),
+        color: new THREE.Color()
+      };
+      
+      // The source carries the shape; the target appears once the particles land
+      if (sourceLayer.transition) sourceLayer.transition = null;
+      if (targetLayer.transition) targetLayer.transition = null;
+      setLayerVisible(sourceLayer, true);
+      setLayerVisible(targetLayer, false);
+      
+      return true;
+    } catch (e) {
+      console.error("Error starting morph:", e);
+      showNotification("Error starting morph", "error");
+      sourceLayer.morph = null;
+      return false;
+    }
+  }
+
+  /**
+   * Advance running morphs: sizes for the update loops, colors written straight to the particles
+   */
+  function updateLayerMorphs(now) {
+    state.layers.slice().forEach(layer => {
+      const morph = layer.morph;
+      if (!morph) return;
+      
+      const t = THREE.MathUtils.clamp((now - morph.startTime) / morph.duration, 0, 1);
+      morph.progress = morph.easing(t);
+      
+      const useInstanceData = layer.instanceData && layer.instanceData.length > 0;
+      morph.sources.forEach((source, index) => {
+        const target = morph.targets[index];
+        morph.sizes[index] = THREE.MathUtils.lerp(source.size, target.size, morph.progress);
+        
+        if (useInstanceData) {
+          const { mesh, index: instanceIndex } = layer.instanceData[index];
+          morph.color.lerpColors(source.color, target.color, morph.progress);
+          if (mesh.isPoints) {
+            mesh.geometry.attributes.particleColor.setXYZ(instanceIndex, morph.color.r, morph.color.g, morph.color.b);
+          } else {
+            mesh.setColorAt(instanceIndex, morph.color);
+          }
+        } else if (layer.particles[index]) {
+          // Separate meshes share per-color materials, so they switch color halfway
+          layer.particles[index].material = morph.progress < 0.5 ? source.material : target.material;
+        }
+      });
+      
+      if (useInstanceData) {
+        const mesh = layer.instanceData[0].mesh;
+        if (mesh.isPoints) {
+          mesh.geometry.attributes.particleColor.needsUpdate = true;
+        } else {
+          mesh.instanceColor.needsUpdate = true;
+        }
+      }
+      
+      if (t >= 1) finishLayerMorph(layer);
+    });
+  }
+
+  /**
+   * Swap the morphed layer for its target and restore the source's own look for next time
+   */
+  function finishLayerMorph(layer) {
+    const targetLayer = state.layers.find(l => l.id === layer.morph.targetLayerId);
+    cancelLayerMorph(layer);
+    
+    setLayerVisible(layer, false);
+    if (targetLayer) setLayerVisible(targetLayer, true);
+  }
+
+  /**
+   * Stop a morph and put the layer's particles back to their own colors and sizes
+   */
+  function cancelLayerMorph(layer) {
+    if (!layer.morph) return;
+    
+    layer.morph = null;
+    applyLayerVisualSettings(layer, getLayerSettings(layer));
+  }
+
+  /**
+   * Whether any layer is mid-morph
+   */
+  function hasActiveMorphs() {
+    return state.layers.some(layer => layer.morph);
+  }
+
+  /**
+   * Morph between the layers picked in the layers panel
+   */
+  function morphSelectedLayers() {
+    const settings = getSettings();
+    const sourceLayer = state.layers.find(l => l.id === dom.morphSourceSelect.value);
+    const targetLayer = state.layers.find(l => l.id === dom.morphTargetSelect.value);
+    
+    startLayerMorph(sourceLayer, targetLayer, {
+      assignment: settings.morphAssignment,
+      easing: settings.morphEasing,
+      duration: settings.morphDuration
+    });
+  }
+
+  /**
+   * Refill the morph layer pickers, keeping the current choices where they still exist
+   */
+  function renderMorphLayerOptions() {
+    if (!dom.morphSourceSelect || !dom.morphTargetSelect) return;
+    
+    [dom.morphSourceSelect, dom.morphTargetSelect].forEach((select, selectIndex) => {
+      const previous = select.value;
+      select.innerHTML = '';
+      
+      state.layers.forEach(layer => {
+        const option = document.createElement('option');
+        option.value = layer.id;
+        option.textContent = layer.name;
+        select.appendChild(option);
+      });
+      
+      if (state.layers.some(layer => layer.id === previous)) {
+        select.value = previous;
+      } else if (state.layers.length > selectIndex) {
+        // Default to morphing the first layer into the second
+        select.value = state.layers[selectIndex].id;
+      }
+    });
+    
+    if (dom.morphControls) {
+      dom.morphControls.style.display = state.layers.length >= 2 ? 'block' : 'none';
+    }
+  }
+
+  /**
+   * A layer transform with every value filled in: position in scene units, rotation in degrees,
+   * and scale per axis on top of the global SVG scale
+   */
+  function createLayerTransform(transform) {
+    const values = transform || {};
+    const axes = (vector, fallback) => ({
+      x: vector && Number.isFinite(vector.x) ? vector.x : fallback,
+      y: vector && Number.isFinite(vector.y) ? vector.y : fallback,
+      z: vector && Number.isFinite(vector.z) ? vector.z : fallback
+    });
+    
+    return {
+      position: axes(values.position, 0),
+      rotation: axes(values.rotation, 0),
+      scale: axes(values.scale, 1)
+    };
+  }
+
+  /**
+   * Place a layer's group from its transform and the global SVG scale
+   */
+  function applyLayerTransform(layer, svgScale) {
+    if (!layer.group) return;
+    if (svgScale === undefined) svgScale = getSettings().svgScale;
+    
+    const { position, rotation, scale } = layer.transform;
+    layer.group.position.set(position.x, position.y, position.z);
+    layer.group.rotation.set(
+      THREE.MathUtils.degToRad(rotation.x),
+      THREE.MathUtils.degToRad(rotation.y),
+      THREE.MathUtils.degToRad(rotation.z)
+    );
+    layer.group.scale.set(svgScale * scale.x, svgScale * scale.y, svgScale * scale.z);
+  }
+
+  /**
+   * Take a layer's transform back from its group after the canvas handles moved it
+   */
+  function readLayerTransformFromGroup(layer) {
+    const svgScale = getSettings().svgScale || 1;
+    const { position, rotation, scale } = layer.group;
+    
+    layer.transform = {
+      position: { x: position.x, y: position.y, z: position.z },
+      rotation: {
+        x: THREE.MathUtils.radToDeg(rotation.x),
+        y: THREE.MathUtils.radToDeg(rotation.y),
+        z: THREE.MathUtils.radToDeg(rotation.z)
+      },
+      scale: { x: scale.x / svgScale, y: scale.y / svgScale, z: scale.z / svgScale }
+    };
+  }
+
+  /**
+   * Every layer's transform in layer order, for presets
+   */
+  function serializeLayerTransforms() {
+    return state.layers.map(layer => createLayerTransform(layer.transform));
+  }
+
+  /**
+   * Restore transforms saved by serializeLayerTransforms, matched to the layers by position in the list
+   */
+  function setLayerTransforms(transforms) {
+    state.layers.forEach((layer, index) => {
+      if (!transforms[index]) return;
+      
+      layer.transform = createLayerTransform(transforms[index]);
+      applyLayerTransform(layer);
+    });
+    
+    updateLayerTransformPanel();
+  }
+
+  /**
+   * Show the active layer's transform in the panel
+   */
+  function updateLayerTransformPanel() {
+    const layer = state.layers.find(l => l.id === state.activeLayerId);
+    if (dom.layerTransformPanel) {
+      dom.layerTransformPanel.style.display = layer ? 'block' : 'none';
+    }
+    if (!layer) return;
+    
+    if (dom.resetTransformBtn) dom.resetTransformBtn.disabled = layer.locked;
+    dom.layerTransformInputs.forEach(input => {
+      input.disabled = layer.locked;
+      
+      // Leave a field alone while it's being typed in
+      if (input === document.activeElement) return;
+      
+      const value = layer.transform[input.dataset.property][input.dataset.axis];
+      input.value = parseFloat(value.toFixed(input.dataset.property === 'scale' ? 3 : 2));
+    });
+  }
+
+  /**
+   * Create the on-canvas handles; skipped if the TransformControls script didn't load
+   */
+  function setupTransformControls() {
+    if (typeof THREE.TransformControls !== 'function') return;
+    
+    const controls = new THREE.TransformControls(state.camera, state.renderer.domElement);
+    let orbitEnabled = false;
+    
+    // The camera holds still while a handle is dragged
+    controls.addEventListener('dragging-changed', (e) => {
+      if (!state.controls) return;
+      
+      if (e.value) {
+        orbitEnabled = state.controls.enabled;
+        state.controls.enabled = false;
+      } else {
+        state.controls.enabled = orbitEnabled;
+        generateCode();
+        
+        const layer = state.layers.find(l => l.group === controls.object);
+        if (layer) recordHistory(`Transform ${layer.name}`);
+      }
+    });
+    
+    controls.addEventListener('objectChange', () => {
+      const layer = state.layers.find(l => l.group === controls.object);
+      if (!layer) return;
+      
+      readLayerTransformFromGroup(layer);
+      updateLayerTransformPanel();
+    });
+    
+    state.scene.add(controls);
+    state.transformControls = controls;
+  }
+
+  /**
+   * Switch the canvas handles between off, move, rotate and scale
+   */
+  function setTransformMode(mode) {
+    state.transformMode = mode;
+    dom.transformModeButtons.forEach(button => {
+      button.classList.toggle('active', button.dataset.mode === mode);
+    });
+    
+    updateTransformControls();
+  }
+
+  /**
+   * Attach the canvas handles to the active layer while it's shown, unlocked and a mode is picked
+   */
+  function updateTransformControls() {
+    const controls = state.transformControls;
+    if (!controls) return;
+    
+    const layer = state.layers.find(l => l.id === state.activeLayerId);
+    if (layer && layer.visible && !layer.removing && !layer.locked && !isLayerSoloedOut(layer) &&
+        state.transformMode !== 'off') {
+      controls.setMode(state.transformMode);
+      controls.attach(layer.group);
+    } else {
+      controls.detach();
+    }
+  }
+
+  /**
+   * Select a layer from the list; an additive click adds or removes it from the selection
+   * that align, distribute, opacity, blend mode and the bulk actions work on
+   */
+  function selectLayer(layerId, additive) {
+    if (!additive) {
+      state.selectedLayerIds = [layerId];
+      setActiveLayer(layerId);
+      return;
+    }
+    
+    if (!state.selectedLayerIds.includes(layerId)) {
+      state.selectedLayerIds.push(layerId);
+      setActiveLayer(layerId);
+      return;
+    }
+    
+    // The last selected layer stays selected
+    if (state.selectedLayerIds.length === 1) return;
+    
+    state.selectedLayerIds = state.selectedLayerIds.filter(id => id !== layerId);
+    if (layerId === state.activeLayerId) {
+      // Editing moves to the most recently selected layer
+      setActiveLayer(state.selectedLayerIds[state.selectedLayerIds.length - 1]);
+    } else {
+      updateLayerSelectionUI();
+      updateLayerPropertiesPanel();
+    }
+  }
+
+  /**
+   * Mark the selected layers in the list
+   */
+  function updateLayerSelectionUI() {
+    document.querySelectorAll('.layer-item').forEach(el => {
+      el.classList.toggle('selected', state.selectedLayerIds.includes(el.dataset.layerId));
+    });
+  }
+
+  /**
+   * A layer's resting bounds in scene space
+   */
+  function getLayerSceneBounds(layer) {
+    layer.group.updateMatrixWorld(true);
+    return getLayerRestBounds(layer).box.clone().applyMatrix4(layer.group.matrixWorld);
+  }
+
+  /**
+   * Selected unlocked layers that have particles to measure, with their scene bounds
+   */
+  function getSelectedLayerBounds() {
+    return state.selectedLayerIds
+      .map(id => state.layers.find(l => l.id === id))
+      .filter(layer => layer && !layer.removing && !layer.locked && layer.originalPositions.length > 0)
+      .map(layer => ({ layer, box: getLayerSceneBounds(layer) }));
+  }
+
+  /**
+   * Line up the selected layers' edges or centers with the edges or center of the whole selection
+   */
+  function alignSelectedLayers(edge) {
+    const items = getSelectedLayerBounds();
+    if (items.length < 2) {
+      showNotification("Select at least two unlocked layers to align (Ctrl/Shift-click in the layer list)", "error");
+      return;
+    }
+    
+    // Top is +y in the scene
+    const anchors = {
+      left: ['x', 'min'], center: ['x', 'center'], right: ['x', 'max'],
+      top: ['y', 'max'], middle: ['y', 'center'], bottom: ['y', 'min']
+    };
+    const [axis, anchor] = anchors[edge];
+    const anchorOf = box => anchor === 'center' ? (box.min[axis] + box.max[axis]) / 2 : box[anchor][axis];
+    
+    const bounds = new THREE.Box3();
+    items.forEach(item => bounds.union(item.box));
+    
+    items.forEach(({ layer, box }) => {
+      layer.transform.position[axis] += anchorOf(bounds) - anchorOf(box);
+      applyLayerTransform(layer);
+    });
+    
+    updateLayerTransformPanel();
+    generateCode();
+    recordHistory(`Align ${edge}`);
+  }
+
+  /**
+   * Space the selected layers' centers evenly between the outermost two
+   */
+  function distributeSelectedLayers(direction) {
+    const items = getSelectedLayerBounds();
+    if (items.length < 3) {
+      showNotification("Select at least three unlocked layers to distribute (Ctrl/Shift-click in the layer list)", "error");
+      return;
+    }
+    
+    const axis = direction === 'vertical' ? 'y' : 'x';
+    const centerOf = box => (box.min[axis] + box.max[axis]) / 2;
+    items.sort((a, b) => centerOf(a.box) - centerOf(b.box));
+    
+    const first = centerOf(items[0].box);
+    const step = (centerOf(items[items.length - 1].box) - first) / (items.length - 1);
+    
+    items.forEach(({ layer, box }, index) => {
+      layer.transform.position[axis] += first + step * index - centerOf(box);
+      applyLayerTransform(layer);
+    });
+    
+    updateLayerTransformPanel();
+    generateCode();
+    recordHistory(`Distribute ${direction}ly`);
+  }
+
+  /**
+   * Create an empty track animating one setting (by input id) or one property of a layer
+   */
+  function createTimelineTrack(target, property, layerId) {
+    return {
+      id: state.timeline.nextTrackId++,
+      target, // 'setting' or 'layer'
+      property, // Input id for settings, a timelineLayerProperties key for layers
+      layerId: target === 'layer' ? layerId : null,
+      keyframes: [] // { time, value, easing } sorted by time; easing shapes the segment to the next keyframe
+    };
+  }
+
+  /**
+   * Add a track for the property picked in the timeline panel, keyed at the playhead
+   */
+  function addTimelineTrack() {
+    const [target, property] = (dom.timelinePropertySelect?.value || '').split(':');
+    if (!target || !property) return;
+
+    const layerId = target === 'layer' ? state.activeLayerId : null;
+    if (target === 'layer' && !state.layers.some(layer => layer.id === layerId)) {
+      showNotification("Select a layer to animate first", "warning");
+      return;
+    }
+
+    const exists = state.timeline.tracks.some(track =>
+      track.target === target && track.property === property && track.layerId === layerId
+    );
+    if (exists) {
+      showNotification("That property already has a track", "warning");
+      return;
+    }
+
+    const track = createTimelineTrack(target, property, layerId);
+    state.timeline.tracks.push(track);
+    addTimelineKeyframe(track);
+    recordHistory(`Add track ${getTimelineTrackLabel(track)}`);
+
+    if (!getRuntimeTrackTarget(track)) {
+      showNotification(`${getTimelineTrackLabel(track)} plays in the editor and in GIF and video exports, but is left out of the exported code`, "info");
+    }
+  }
+
+  /**
+   * Remove a track
+   */
+  function deleteTimelineTrack(trackId) {
+    state.timeline.tracks = state.timeline.tracks.filter(track => track.id !== trackId);
+    if (state.timeline.selectedKey && state.timeline.selectedKey.trackId === trackId) {
+      state.timeline.selectedKey = null;
+    }
+    renderTimelineTracks();
+    generateCode();
+    recordHistory('Delete track');
+  }
+
+  /**
+   * Key a track's current value at the playhead, replacing a keyframe already there
+   */
+  function addTimelineKeyframe(track) {
+    const value = getTimelineCurrentValue(track);
+    if (value === undefined) return;
+
+    const time = state.timeline.time;
+    const existing = track.keyframes.find(keyframe => Math.abs(keyframe.time - time) < 0.005);
+    if (existing) {
+      existing.value = value;
+    } else {
+      track.keyframes.push({ time, value, easing: 'ease-in-out' });
+      track.keyframes.sort((a, b) => a.time - b.time);
+    }
+
+    state.timeline.selectedKey = {
+      trackId: track.id,
+      index: track.keyframes.findIndex(keyframe => Math.abs(keyframe.time - time) < 0.005)
+    };
+    renderTimelineTracks();
+    generateCode();
+    recordHistory('Add keyframe');
+  }
+
+  /**
+   * Remove the selected keyframe of a track
+   */
+  function deleteSelectedTimelineKeyframe(track) {
+    const selected = state.timeline.selectedKey;
+    if (!selected || selected.trackId !== track.id) return;
+
+    track.keyframes.splice(selected.index, 1);
+    state.timeline.selectedKey = null;
+    renderTimelineTracks();
+    generateCode();
+    recordHistory('Delete keyframe');
+  }
+
+  /**
+   * Current value of the property a track animates
+   */
+  function getTimelineCurrentValue(track) {
+    if (track.target === 'setting') {
+      const input = document.getElementById(track.property);
+      if (!input) return undefined;
+      return input.type === 'color' ? input.value : parseFloat(input.value);
+    }
+
+    const layer = state.layers.find(l => l.id === track.layerId);
+    if (!layer) return undefined;
+
+    const { position, rotation, scale } = layer.transform;
+    switch (track.property) {
+      case 'position-x': return position.x;
+      case 'position-y': return position.y;
+      case 'position-z': return position.z;
+      case 'rotation-x': return rotation.x;
+      case 'rotation-y': return rotation.y;
+      case 'rotation-z': return rotation.z;
+      case 'scale': return scale.x;
+      case 'visible': return layer.visible;
+      default: return undefined;
+    }
+  }
+
+  /**
+   * Value of a track at a time in seconds; holds the first and last keyframes outside their range
+   */
+  function sampleTimelineTrack(track, time) {
+    const keyframes = track.keyframes;
+    if (keyframes.length === 0) return undefined;
+    if (time <= keyframes[0].time) return keyframes[0].value;
+
+    const last = keyframes[keyframes.length - 1];
+    if (time >= last.time) return last.value;
+
+    let index = 0;
+    while (keyframes[index + 1].time <= time) index++;
+
+    const from = keyframes[index];
+    const to = keyframes[index + 1];
+
+    // Visibility and 'hold' segments jump at the next keyframe
+    if (from.easing === 'hold' || typeof from.value === 'boolean') return from.value;
+
+    const curve = easingCurves[from.easing] || easingCurves.linear;
+    const progress = curve((time - from.time) / (to.time - from.time));
+
+    if (typeof from.value === 'string') {
+      return `#${new THREE.Color(from.value).lerp(new THREE.Color(to.value), progress).getHexString()}`;
+    }
+    return from.value + (to.value - from.value) * progress;
+  }
+
+  /**
+   * Apply every track's value at a time: settings first, then layers on top of them
+   */
+  function applyTimeline(time) {
+    const timeline = state.timeline;
+    if (timeline.tracks.length === 0) return;
+
+    timeline.applying = true;
+    try {
+      timeline.tracks.forEach(track => {
+        if (track.target !== 'setting') return;
+        const value = sampleTimelineTrack(track, time);
+        if (value !== undefined) setTimelineSettingValue(track.property, value);
+      });
+
+      const svgScale = getSettings().svgScale;
+      timeline.tracks.forEach(track => {
+        if (track.target !== 'layer') return;
+        const layer = state.layers.find(l => l.id === track.layerId);
+        const value = sampleTimelineTrack(track, time);
+        if (layer && value !== undefined) applyLayerTimelineValue(layer, track.property, value, svgScale);
+      });
+      updateLayerTransformPanel();
+    } catch (e) {
+      console.error("Error applying timeline:", e);
+    } finally {
+      timeline.applying = false;
+    }
+  }
+
+  /**
+   * Set a settings input as if the user had moved it, so the usual update routing applies
+   */
+  function setTimelineSettingValue(id, value) {
+    const input = document.getElementById(id);
+    if (!input) return;
+
+    const previous = input.value;
+    input.value = typeof value === 'number' ? String(value) : value;
+
+    // Range inputs snap to their step; nothing to do if the snapped value is unchanged
+    if (input.value === previous) return;
+    input.dispatchEvent(new Event(input.type === 'range' ? 'input' : 'change'));
+  }
+
+  /**
+   * Set one animated layer property; transforms go through the layer's transform, so the panel follows them
+   */
+  function applyLayerTimelineValue(layer, property, value, svgScale) {
+    if (!layer.group || layer.removing) return;
+
+    const { position, rotation, scale } = layer.transform;
+    switch (property) {
+      case 'position-x': position.x = value; break;
+      case 'position-y': position.y = value; break;
+      case 'position-z': position.z = value; break;
+      case 'rotation-x': rotation.x = value; break;
+      case 'rotation-y': rotation.y = value; break;
+      case 'rotation-z': rotation.z = value; break;
+      // The timeline scales uniformly
+      case 'scale': scale.x = scale.y = scale.z = value; break;
+      case 'visible':
+        // A running morph owns its layers' visibility
+        if (layer.visible !== value && !state.layers.some(l => l.morph)) setLayerVisible(layer, value);
+        return;
+    }
+    applyLayerTransform(layer, svgScale);
+  }
+
+  /**
+   * Advance the playhead while playing; called once per animation frame
+   */
+  function updateTimeline(deltaTime) {
+    const timeline = state.timeline;
+    if (!timeline.playing) return;
+
+    let time = timeline.time + deltaTime / 1000;
+    if (time >= timeline.duration) {
+      if (timeline.loop) {
+        time %= timeline.duration;
+      } else {
+        time = timeline.duration;
+        pauseTimeline();
+      }
+    }
+
+    timeline.time = time;
+    applyTimeline(time);
+    updateTimelinePlayhead();
+  }
+
+  /**
+   * Start playback, from the beginning if the playhead is at the end
+   */
+  function playTimeline() {
+    const timeline = state.timeline;
+    if (timeline.time >= timeline.duration) timeline.time = 0;
+    timeline.playing = true;
+    updateTimelineTransport();
+  }
+
+  /**
+   * Pause playback at the current time
+   */
+  function pauseTimeline() {
+    state.timeline.playing = false;
+    updateTimelineTransport();
+  }
+
+  /**
+   * Stop playback and rewind to the start
+   */
+  function stopTimeline() {
+    pauseTimeline();
+    seekTimeline(0);
+  }
+
+  /**
+   * Move the playhead and show the animated values at that time
+   */
+  function seekTimeline(time) {
+    const timeline = state.timeline;
+    timeline.time = THREE.MathUtils.clamp(time, 0, timeline.duration);
+    applyTimeline(timeline.time);
+    updateTimelinePlayhead();
+  }
+
+  /**
+   * Change the timeline length; keyframes past the end stay but are not reached
+   */
+  function setTimelineDuration(duration) {
+    const timeline = state.timeline;
+    timeline.duration = Math.max(duration, 0.1);
+    timeline.time = Math.min(timeline.time, timeline.duration);
+
+    if (dom.timelineScrub) dom.timelineScrub.max = timeline.duration;
+    if (dom.timelineDurationInput) dom.timelineDurationInput.value = timeline.duration;
+    if (dom.timelineDurationValue) dom.timelineDurationValue.textContent = timeline.duration.toFixed(1);
+
+    renderTimelineTracks();
+    generateCode();
+  }
+
+  /**
+   * Whether the timeline has anything to play
+   */
+  function hasTimelineTracks() {
+    return state.timeline.tracks.some(track => track.keyframes.length > 0);
+  }
+
+  /**
+   * Replace the timeline, e.g. from a preset
+   */
+  function setTimeline(data) {
+    const timeline = state.timeline;
+    timeline.tracks = [];
+    timeline.selectedKey = null;
+    timeline.loop = data.loop !== false;
+
+    (data.tracks || []).forEach(trackData => {
+      if (trackData.target !== 'setting' && trackData.target !== 'layer') return;
+      if (trackData.target === 'setting' && !isTimelineSetting(trackData.property)) return;
+
+      const track = createTimelineTrack(trackData.target, trackData.property, trackData.layerId);
+      track.keyframes = (trackData.keyframes || [])
+        .filter(keyframe => typeof keyframe.time === 'number' && keyframe.value !== undefined)
+        .map(keyframe => ({ time: keyframe.time, value: keyframe.value, easing: keyframe.easing || 'linear' }))
+        .sort((a, b) => a.time - b.time);
+      timeline.tracks.push(track);
+    });
+
+    if (dom.timelineLoopCheckbox) dom.timelineLoopCheckbox.checked = timeline.loop;
+    setTimelineDuration(typeof data.duration === 'number' ? data.duration : 10);
+    pauseTimeline();
+    seekTimeline(0);
+  }
+
+  /**
+   * Plain copy of the timeline for presets
+   */
+  function serializeTimeline() {
+    const { duration, loop, tracks } = state.timeline;
+    return JSON.parse(JSON.stringify({ duration, loop, tracks }));
+  }
+
+  /**
+   * Display name of a track, e.g. "Logo: Rotation Z" or "Bloom Strength"
+   */
+  function getTimelineTrackLabel(track) {
+    if (track.target === 'layer') {
+      const layer = state.layers.find(l => l.id === track.layerId);
+      const property = timelineLayerProperties[track.property];
+      return `${layer ? layer.name : 'Missing layer'}: ${property ? property.label : track.property}`;
+    }
+
+    return getSettingLabel(track.property);
+  }
+
+  /**
+   * Fill the property picker with the numeric and color settings that apply without resampling
+   * (sampling settings rebuild the particles after a pause in edits, so they can't follow playback)
    */
-  function samplePoints(points, strokePoints, fillPoints, targetCount, colors, strokeColors, fillColors) {
-    let sampledPoints = [];
-    
-    if (points.length <= targetCount) {
-      // Use all points if we have fewer than requested
-      points.forEach((point, index) => {
-        sampledPoints.push({
-          point: point,
-          isStroke: strokePoints.includes(point),
-          color: colors ? colors[index] : null
-        });
-      });
-    } else {
-      // Calculate proportions for strokes and fills
-      const strokeRatio = strokePoints.length / points.length;
-      const strokeCount = Math.floor(targetCount * strokeRatio);
-      const fillCount = targetCount - strokeCount;
-      
-      // Sample stroke points (prioritize them)
-      if (strokePoints.length > 0) {
-        const strokeIndices = new Set();
-        while (strokeIndices.size < Math.min(strokeCount, strokePoints.length)) {
-          strokeIndices.add(Math.floor(Math.random() * strokePoints.length));
-        }
-        
-        for (const index of strokeIndices) {
-          sampledPoints.push({
-            point: strokePoints[index],
-            isStroke: true,
-            color: strokeColors ? strokeColors[index] : null
-          });
-        }
-      }
-      
-      // Sample fill points
-      if (fillPoints.length > 0) {
-        const fillIndices = new Set();
-        while (fillIndices.size < Math.min(fillCount, fillPoints.length)) {
-          fillIndices.add(Math.floor(Math.random() * fillPoints.length));
-        }
-        
-        for (const index of fillIndices) {
-          sampledPoints.push({
-            point: fillPoints[index],
-            isStroke: false,
-            color: fillColors ? fillColors[index] : null
-          });
-        }
-      }
-      
-      // Fallback if categorization failed
-      if (sampledPoints.length === 0) {
-        const indices = new Set();
-        while (indices.size < targetCount) {
-          indices.add(Math.floor(Math.random() * points.length));
-        }
-        
-        for (const index of indices) {
-          sampledPoints.push({
-            point: points[index],
-            isStroke: false,
-            color: colors ? colors[index] : null
-          });
-        }
-      }
+  function populateTimelineSettingOptions() {
+    if (!dom.timelineSettingOptions) return;
+
+    dom.timelineSettingOptions.innerHTML = '';
+    document.querySelectorAll('[data-live="true"]').forEach(input => {
+      if (!['range', 'number', 'color'].includes(input.type) || !isTimelineSetting(input.id)) return;
+
+      const label = document.querySelector(`label[for="${input.id}"]`);
+      const option = document.createElement('option');
+      option.value = `setting:${input.id}`;
+      option.textContent = label ? label.textContent.trim() : input.id;
+      dom.timelineSettingOptions.appendChild(option);
+    });
+  }
+
+  /**
+   * Rebuild the timeline track list
+   */
+  function renderTimelineTracks() {
+    if (!dom.timelineTracksList || !dom.timelineTrackTemplate) return;
+
+    dom.timelineTracksList.innerHTML = '';
+    state.timeline.tracks.forEach(track => createTimelineTrackUI(track));
+
+    if (dom.emptyTimelineMessage) {
+      dom.emptyTimelineMessage.style.display = state.timeline.tracks.length === 0 ? 'block' : 'none';
     }
-    
-    return sampledPoints;
+    updateTimelinePlayhead();
   }
 
   /**
-   * Create particles using instanced mesh for performance
+   * Create the row for one track: keyframe strip, keying and easing controls
    */
-  function createInstancedParticles(layer, sampledPoints, settings) {
-    // Create materials map for efficient material access
-    const materialsMap = new Map();
-    
-    // Get default colors for fills and strokes
-    const preserveColors = settings.preserveColors;
-    const useGradient = settings.useGradient && !preserveColors;
-    const defaultFillColor = settings.color;
-    const defaultStrokeColor = tintColor(settings.color, 1.2);
-    const gradientColor1 = settings.gradientColor1;
-    const gradientColor2 = settings.gradientColor2;
-    
-    // Create shared geometries
-    const sphereGeometry = resourceCache.particleGeometry;
-    
-    // Count of particles by color (for instanced meshes)
-    const colorParticleCounts = new Map();
-    
-    // First, count how many particles of each color we'll need
-    sampledPoints.forEach(pointData => {
-      const point = pointData.point || pointData;
-      const isStroke = pointData.isStroke || false;
-      const userColor = pointData.color;
-      
-      let color;
-      
-      if (preserveColors && userColor) {
-        // Use SVG's original color
-        color = userColor;
-      } else if (useGradient) {
-        // Calculate position along the gradient (use y-position normalized to 0-1)
-        const normalizedY = (point.y + 100) / 200; // Assuming y ranges roughly from -100 to 100
-        color = interpolateColors(gradientColor1, gradientColor2, normalizedY);
-      } else {
-        // Use solid color
-        color = isStroke ? defaultStrokeColor : defaultFillColor;
-      }
-      
-      // Get or create count for this color
-      const colorKey = `${color}_${isStroke ? 'stroke' : 'fill'}`;
-      const count = colorParticleCounts.get(colorKey) || 0;
-      colorParticleCounts.set(colorKey, count + 1);
+  function createTimelineTrackUI(track) {
+    const template = dom.timelineTrackTemplate.content.cloneNode(true);
+    const li = template.querySelector('li');
+    const duration = state.timeline.duration;
+    const selected = state.timeline.selectedKey;
+    const selectedIndex = selected && selected.trackId === track.id ? selected.index : -1;
+
+    li.dataset.trackId = track.id;
+    const nameEl = li.querySelector('.timeline-track-name');
+    nameEl.textContent = getTimelineTrackLabel(track);
+    if (!getRuntimeTrackTarget(track)) {
+      const note = document.createElement('span');
+      note.className = 'timeline-track-note';
+      note.textContent = 'Editor only';
+      note.title = track.target === 'setting'
+        ? 'The exported code only animates the motion, scale and bloom settings'
+        : 'The exported code only adds the first SVG layer';
+      nameEl.appendChild(note);
+    }
+
+    li.querySelector('.timeline-add-key').addEventListener('click', () => addTimelineKeyframe(track));
+    li.querySelector('.timeline-track-delete').addEventListener('click', () => deleteTimelineTrack(track.id));
+
+    // Clicking the strip scrubs; clicking a keyframe selects it
+    const strip = li.querySelector('.timeline-keyframes');
+    strip.addEventListener('click', e => {
+      const rect = strip.getBoundingClientRect();
+      seekTimeline(((e.clientX - rect.left) / rect.width) * duration);
     });
-    
-    // Create instanced meshes for each color
-    colorParticleCounts.forEach((count, colorKey) => {
-      const [color, type] = colorKey.split('_');
-      
-      // Create material
-      const material = createOrGetMaterial(color, type);
-      
-      // Create instanced mesh
-      const instancedMesh = new THREE.InstancedMesh(sphereGeometry, material, count);
-      instancedMesh.frustumCulled = false; // Prevent disappearing when out of camera frustum
-      
-      // Store in materials map for later access
-      materialsMap.set(colorKey, {
-        mesh: instancedMesh,
-        nextIndex: 0
+
+    track.keyframes.forEach((keyframe, index) => {
+      const marker = document.createElement('button');
+      marker.className = 'timeline-keyframe';
+      if (index === selectedIndex) marker.classList.add('selected');
+      marker.style.left = `${Math.min(keyframe.time / duration, 1) * 100}%`;
+      marker.title = `${keyframe.time.toFixed(2)}s: ${typeof keyframe.value === 'number' ? +keyframe.value.toFixed(3) : keyframe.value}`;
+      marker.addEventListener('click', e => {
+        e.stopPropagation();
+        state.timeline.selectedKey = { trackId: track.id, index };
+        seekTimeline(keyframe.time);
+        renderTimelineTracks();
       });
-      
-      // Add to layer group
-      layer.group.add(instancedMesh);
-    });
-    
-    // Initialize layer data
-    layer.particles = [];
-    layer.instanceData = [];
-    layer.originalPositions = [];
-    
-    // Now place each particle in its corresponding instanced mesh
-    sampledPoints.forEach(pointData => {
-      const point = pointData.point || pointData;
-      const isStroke = pointData.isStroke || false;
-      const userColor = pointData.color;
-      
-      // Random size between min and max (strokes are slightly smaller)
-      const sizeFactor = isStroke ? 0.8 : 1.0;
-      const size = (settings.minSize + Math.random() * (settings.maxSize - settings.minSize)) * sizeFactor;
-      
-      // Determine color
-      let color;
-      
-      if (preserveColors && userColor) {
-        // Use SVG's original color
-        color = userColor;
-      } else if (useGradient) {
-        // Calculate position along the gradient (use y-position normalized to 0-1)
-        const normalizedY = (point.y + 100) / 200; // Assuming y ranges roughly from -100 to 100
-        color = interpolateColors(gradientColor1, gradientColor2, normalizedY);
-      } else {
-        // Use solid color
-        color = isStroke ? defaultStrokeColor : defaultFillColor;
-      }
-      
-      // Get instance data for this color
-      const colorKey = `${color}_${isStroke ? 'stroke' : 'fill'}`;
-      const instanceData = materialsMap.get(colorKey);
-      
-      if (instanceData) {
-        const { mesh, nextIndex } = instanceData;
-        
-        // Create transformation matrix for this instance
-        const matrix = new THREE.Matrix4();
-        matrix.makeTranslation(point.x, point.y, point.z);
-        matrix.scale(new THREE.Vector3(size, size, size));
-        
-        // Set matrix at next available index
-        mesh.setMatrixAt(nextIndex, matrix);
-        
-        // Push to layer particles array
-        layer.particles.push(mesh);
-        
-        // Store original position and metadata
-        const instanceMetadata = {
-          originalPosition: point.clone(),
-          size: size,
-          isStroke: isStroke,
-          mesh: mesh,
-          index: nextIndex,
-          depthFactor: point.z !== 0 ? (point.z / settings.svgDepth + 0.5) / 2 : Math.random(),
-          angle: Math.random() * Math.PI * 2,
-          speed: 0.05 + Math.random() * 0.05,
-          amplitude: Math.random() * 2,
-          offset: new THREE.Vector3(),
-          velocity: new THREE.Vector3(0, 0, 0),
-          noiseOffset: {
-            x: Math.random() * 1000,
-            y: Math.random() * 1000,
-            z: Math.random() * 1000
-          }
-        };
-        
-        layer.instanceData.push(instanceMetadata);
-        layer.originalPositions.push(point.clone());
-        
-        // Increment next index
-        instanceData.nextIndex += 1;
-      }
+      strip.appendChild(marker);
     });
-    
-    // Indicate instance matrices need update
-    materialsMap.forEach(data => {
-      data.mesh.instanceMatrix.needsUpdate = true;
+
+    // Easing of the selected keyframe, toward the next one
+    const easingEl = li.querySelector('.timeline-key-easing');
+    const deleteKeyEl = li.querySelector('.timeline-key-delete');
+    const selectedKeyframe = track.keyframes[selectedIndex];
+    easingEl.disabled = !selectedKeyframe || typeof selectedKeyframe.value === 'boolean';
+    deleteKeyEl.disabled = !selectedKeyframe;
+    if (selectedKeyframe) easingEl.value = selectedKeyframe.easing;
+    easingEl.addEventListener('change', () => {
+      if (!selectedKeyframe) return;
+      selectedKeyframe.easing = easingEl.value;
+      generateCode();
     });
+    deleteKeyEl.addEventListener('click', () => deleteSelectedTimelineKeyframe(track));
+
+    dom.timelineTracksList.appendChild(li);
   }
 
   /**
-   * Create particles using traditional mesh approach
+   * Sync the scrubber, time readout and per-track playheads with the timeline time
    */
-  function createTraditionalParticles(layer, sampledPoints, settings) {
-    try {
-      // Get settings
-      const preserveColors = settings.preserveColors;
-      const useGradient = settings.useGradient && !preserveColors;
-      const defaultFillColor = settings.color;
-      const defaultStrokeColor = tintColor(settings.color, 1.2);
-      const gradientColor1 = settings.gradientColor1;
-      const gradientColor2 = settings.gradientColor2;
-      
-      // Initialize arrays
-      layer.particles = [];
-      layer.originalPositions = [];
-      
-      // Create particles
-      sampledPoints.forEach(pointData => {
-        const point = pointData.point || pointData;
-        const isStroke = pointData.isStroke || false;
-        const userColor = pointData.color;
-        
-        // Random size between min and max (strokes are slightly smaller)
-        const sizeFactor = isStroke ? 0.8 : 1.0;
-        const size = (settings.minSize + Math.random() * (settings.maxSize - settings.minSize)) * sizeFactor;
-        
-        // Choose material based on settings
-        let material;
-        
-        if (preserveColors && userColor) {
-          // Use SVG's original color
-          material = createOrGetMaterial(userColor, isStroke ? 'stroke' : 'fill');
-        } else if (useGradient) {
-          // Calculate position along the gradient (use y-position normalized to 0-1)
-          const normalizedY = (point.y + 100) / 200; // Assuming y ranges roughly from -100 to 100
-          const color = interpolateColors(gradientColor1, gradientColor2, normalizedY);
-          material = createOrGetMaterial(color, isStroke ? 'stroke' : 'fill');
-        } else {
-          // Use solid color
-          const color = isStroke ? defaultStrokeColor : defaultFillColor;
-          material = createOrGetMaterial(color, isStroke ? 'stroke' : 'fill');
-        }
-        
-        // Create mesh with sphere geometry
-        const mesh = new THREE.Mesh(resourceCache.particleGeometry, material);
-        mesh.position.copy(point);
-        mesh.scale.set(size, size, size);
-        
-        // Store original position and parameters for animation
-        mesh.userData.originalPosition = point.clone();
-        layer.originalPositions.push(point.clone()); // Store separately for sand effect
-        mesh.userData.size = size;
-        mesh.userData.isStroke = isStroke;
-        mesh.userData.depthFactor = point.z !== 0 ? (point.z / settings.svgDepth + 0.5) / 2 : Math.random(); // Store normalized depth factor
-        
-        // For sand effect
-        mesh.userData.velocity = new THREE.Vector3(0, 0, 0);
-        
-        // For animation
-        mesh.userData.angle = Math.random() * Math.PI * 2;
-        mesh.userData.speed = 0.05 + Math.random() * 0.05;
-        mesh.userData.amplitude = Math.random() * 2;
-        mesh.userData.offset = new THREE.Vector3();
-        
-        // For noise
-        mesh.userData.noiseOffset = {
-          x: Math.random() * 1000,
-          y: Math.random() * 1000,
-          z: Math.random() * 1000
-        };
-        
-        layer.group.add(mesh);
-        layer.particles.push(mesh);
+  function updateTimelinePlayhead() {
+    const { time, duration } = state.timeline;
+
+    if (dom.timelineScrub) dom.timelineScrub.value = time;
+    if (dom.timelineTimeDisplay) dom.timelineTimeDisplay.textContent = `${time.toFixed(2)}s`;
+
+    if (dom.timelineTracksList) {
+      dom.timelineTracksList.querySelectorAll('.timeline-playhead').forEach(playhead => {
+        playhead.style.left = `${(time / duration) * 100}%`;
       });
-    } catch (e) {
-      console.error("Error in createTraditionalParticles:", e);
     }
   }
 
+  /**
+   * Show play or pause on the transport button
+   */
+  function updateTimelineTransport() {
+    if (!dom.timelinePlayBtn) return;
+
+    const playing = state.timeline.playing;
+    dom.timelinePlayBtn.title = playing ? 'Pause' : 'Play';
+    dom.timelinePlayBtn.querySelector('.timeline-play-icon').style.display = playing ? 'none' : 'block';
+    dom.timelinePlayBtn.querySelector('.timeline-pause-icon').style.display = playing ? 'block' : 'none';
+  }
+
+  /**
+   * Where a track plays in the exported runtime: { setting } by settings key, { layer, property } by runtime layer id,
+   * or null for settings the runtime doesn't read every frame and layers the exported example doesn't add
+   */
+  function getRuntimeTrackTarget(track) {
+    if (track.target === 'setting') {
+      const setting = runtimeTimelineSettings[track.property];
+      return setting ? { setting } : null;
+    }
+
+    // The runtime numbers layers from 1 in the order the example adds them
+    const layerIndex = getExportedLayers().findIndex(layer => layer.id === track.layerId);
+    return layerIndex !== -1 ? { layer: layerIndex + 1, property: track.property } : null;
+  }
+
+  /**
+   * Timeline in the shape the exported runtime plays, without the tracks it can't
+   */
+  function getRuntimeTimeline() {
+    const tracks = [];
+
+    state.timeline.tracks.forEach(track => {
+      const target = getRuntimeTrackTarget(track);
+      if (track.keyframes.length === 0 || !target) return;
+
+      const keyframes = track.keyframes.map(({ time, value, easing }) => ({ time, value, easing }));
+      tracks.push({ ...target, keyframes });
+    });
+
+    return { duration: state.timeline.duration, loop: state.timeline.loop, tracks };
+  }
+
+  /**
+   * Labels of the keyed tracks the exported code leaves out
+   */
+  function getEditorOnlyTimelineTracks() {
+    return state.timeline.tracks
+      .filter(track => track.keyframes.length > 0 && !getRuntimeTrackTarget(track))
+      .map(getTimelineTrackLabel);
+  }
+
   /**
    * Update all particles animation
    */
@@ -1912,30 +7040,55 @@ const ParticleApp = (function() {
     if (state.layers.length === 0) return;
     
     try {
-      const settings = getSettings();
+      const settings = getGlobalSettings();
       const time = performance.now() * 0.001 * settings.animationSpeed * 0.5;
+      state.animationFrame++;
       
-      // Get sand effect parameters if enabled
-      const sandEffect = settings.sandEffect;
-      const sandStrength = settings.sandStrength;
-      const sandReturn = settings.sandReturn;
+      // Layers with their own settings move and collide with them
+      const layerSettings = new Map(state.layers.map(layer => [layer, getLayerSettings(layer, settings)]));
+      const anySandEffect = Array.from(layerSettings.values()).some(values => values.sandEffect);
       
-      // Mouse interaction parameters
-      const mouseInteraction = settings.mouseInteraction && state.mouseMoved;
-      const repelEffect = settings.repelEffect;
-      const interactionRadius = settings.interactionRadius;
-      const interactionStrength = settings.interactionStrength;
+      // Drop finished click effects
+      prunePointerEffects(settings, performance.now() / 1000);
       
-      // Update each visible layer
+      // Instanced layers move in the vertex shader unless sand physics, force fields, click effects,
+      // layer transitions, morphs, layers with their own motion settings or pointers over locked layers need the CPU step
+      const pointersOverLockedLayers = state.pointers.size > 0 && state.layers.some(layer => layer.locked);
+      const useGpuAnimation = settings.gpuAnimation && !anySandEffect && !hasActiveForceFields() &&
+                              !hasActivePointerEffects() && !hasActiveTransitions() && !hasActiveMorphs() &&
+                              !hasLayerMotionOverrides() && !pointersOverLockedLayers;
+      updateMotionUniforms(settings, time, useGpuAnimation, settings.mouseInteraction && state.pointers.size > 0);
+      
+      // Finish entrance and exit animations that are done, and advance morphs
+      updateLayerTransitions(performance.now() / 1000);
+      updateLayerMorphs(performance.now() / 1000);
+      
+      // Update each visible layer (hidden ones still play their exit)
       state.layers.forEach(layer => {
-        if (!layer.visible) return;
+        if ((!layer.visible && !layer.transition) || isLayerSoloedOut(layer)) return;
+        
+        const values = layerSettings.get(layer);
+        const layerTime = performance.now() * 0.001 * values.animationSpeed * 0.5;
+        
+        // Get sand effect parameters if enabled
+        const sandEffect = values.sandEffect;
+        const sandStrength = values.sandStrength;
+        const sandReturn = values.sandReturn;
+        
+        // Mouse interaction parameters; locked layers ignore the pointer
+        const mouseInteraction = values.mouseInteraction && state.pointers.size > 0 && !layer.locked;
+        const repelEffect = values.repelEffect;
+        const interactionRadius = values.interactionRadius;
+        const interactionStrength = values.interactionStrength;
         
         // Choose the appropriate update method based on rendering type
-        if (layer.useInstanced) {
+        if (layer.instanceData && layer.instanceData.length > 0) {
+          if (useGpuAnimation) return;
+          
           updateInstancedParticles(
             layer, 
-            time, 
-            settings, 
+            layerTime, 
+            values, 
             mouseInteraction, 
             repelEffect, 
             interactionRadius, 
@@ -1947,8 +7100,8 @@ const ParticleApp = (function() {
         } else {
           updateTraditionalParticles(
             layer, 
-            time, 
-            settings, 
+            layerTime, 
+            values, 
             mouseInteraction, 
             repelEffect, 
             interactionRadius, 
@@ -1982,6 +7135,20 @@ const ParticleApp = (function() {
     // Skip if no instance data
     if (!layer.instanceData || layer.instanceData.length === 0) return;
     
+    // Only particles inside a pointer's interaction radius get its force
+    const nearPointers = mouseInteraction ? getParticlesNearPointers(layer, interactionRadius) : null;
+    
+    // Push from the force fields acting on this layer
+    const fieldDisplacements = getForceFieldDisplacements(layer, time);
+    
+    // Running bursts, ripples and gathers
+    const pointerEffects = getLayerPointerEffects(layer, settings);
+    
+    // Transitions and morphs place particles exactly; sand physics resumes once they finish
+    const transition = getLayerTransitionFrame(layer);
+    const morph = layer.morph;
+    if (transition || morph) sandEffect = false;
+    
     // Group instanced meshes for efficient updates
     const meshUpdates = new Map();
     
@@ -1992,18 +7159,29 @@ const ParticleApp = (function() {
       // Skip if mesh doesn't exist or isn't visible
       if (!mesh || !mesh.visible) return;
       
-      // Initialize position for this frame
-      const currentMatrix = new THREE.Matrix4();
-      mesh.getMatrixAt(instanceIndex, currentMatrix);
+      // Skip instances auto quality isn't drawing
+      const activeCount = mesh.isPoints ? mesh.geometry.drawRange.count : mesh.count;
+      if (instanceIndex >= activeCount) return;
       
-      // Extract current position from matrix
+      // Initialize position for this frame
       const position = new THREE.Vector3();
-      const scale = new THREE.Vector3();
-      const quaternion = new THREE.Quaternion();
-      currentMatrix.decompose(position, quaternion, scale);
       
-      // Calculate new position
+      if (mesh.isPoints) {
+        // Sprites keep their current position in the position attribute
+        position.fromBufferAttribute(mesh.geometry.attributes.position, instanceIndex);
+      } else {
+        const currentMatrix = new THREE.Matrix4();
+        mesh.getMatrixAt(instanceIndex, currentMatrix);
+        
+        // Extract current position from matrix
+        const scale = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        currentMatrix.decompose(position, quaternion, scale);
+      }
+      
+      // Calculate new position, partway to the morph target if one is running
       const newPosition = originalPosition.clone();
+      if (morph) newPosition.lerp(morph.targets[index].position, morph.progress);
       
       // Apply noise or sine wave animation
       if (settings.noiseMovement) {
@@ -2061,43 +7239,66 @@ const ParticleApp = (function() {
         data.offset.multiplyScalar(1.2);
       }
       
-      // Apply mouse interaction
-      let mouseDisplacement = new THREE.Vector3();
+      // Apply the entrance or exit animation
+      const transitionPose = transition ? getTransitionPose(transition, originalPosition) : null;
+      if (transitionPose) {
+        newPosition.add(transitionPose.offset);
+      }
+      
+      // Apply click and hold effects around the particle's rest position
+      if (pointerEffects) {
+        const effectDisplacement = getPointerEffectDisplacement(pointerEffects, originalPosition);
+        newPosition.add(effectDisplacement);
+        
+        if (sandEffect) {
+          data.velocity.add(effectDisplacement.multiplyScalar(0.05 * sandReturn));
+        }
+      }
       
-      if (mouseInteraction && state.mousePosition.length() > 0) {
-        // Calculate distance from mouse to particle
-        const distanceToMouse = position.distanceTo(state.mousePosition);
+      // Apply force fields
+      const fieldDisplacement = fieldDisplacements && fieldDisplacements.get(index);
+      if (fieldDisplacement) {
+        newPosition.add(fieldDisplacement);
         
-        if (distanceToMouse < interactionRadius * layer.group.scale.x) {
-          // Calculate force based on distance
-          const forceFactor = (interactionRadius * layer.group.scale.x - distanceToMouse) / (interactionRadius * layer.group.scale.x);
-          const force = interactionStrength * forceFactor;
+        // Sand physics rebuilds the position from velocity, so fields push through it too
+        if (sandEffect) {
+          data.velocity.add(fieldDisplacement.clone().multiplyScalar(0.05 * sandReturn));
+        }
+      }
+      
+      // Apply pointer interaction, one push per pointer in range
+      const pointerHits = nearPointers && nearPointers.get(index);
+      if (pointerHits) {
+        pointerHits.forEach(({ position: pointerPosition, distance: distanceToPointer, radius, localScale }) => {
+          // Calculate force based on distance (strength is in world units)
+          const forceFactor = (radius - distanceToPointer) / radius;
+          const force = interactionStrength * localScale * forceFactor;
           
           // Calculate force direction
           const forceDirection = new THREE.Vector3()
-            .subVectors(position, state.mousePosition)
+            .subVectors(position, pointerPosition)
             .normalize();
           
           // Calculate displacement
-          mouseDisplacement = forceDirection.multiplyScalar(force);
+          const pointerDisplacement = forceDirection.multiplyScalar(force);
           
           if (repelEffect) {
-            // Push away from mouse
-            newPosition.add(mouseDisplacement);
+            // Push away from pointer
+            newPosition.add(pointerDisplacement);
           } else {
-            // Pull toward mouse
-            newPosition.sub(mouseDisplacement);
+            // Pull toward pointer
+            newPosition.sub(pointerDisplacement);
           }
           
           // For sand effect, also update velocity
           if (sandEffect) {
             if (repelEffect) {
-              data.velocity.add(mouseDisplacement.multiplyScalar(sandStrength * 0.1));
+              data.velocity.add(pointerDisplacement.multiplyScalar(sandStrength * 0.1));
             } else {
-              data.velocity.sub(mouseDisplacement.multiplyScalar(sandStrength * 0.1));
+              data.velocity.sub(pointerDisplacement.multiplyScalar(sandStrength * 0.1));
             }
           }
-        }
+        });
       }
       
       // If sand effect is enabled, apply physics
@@ -2121,6 +7322,25 @@ const ParticleApp = (function() {
         newPosition.copy(position.clone().add(data.velocity));
       }
       
+      // Size, partway to the target's during a morph
+      const baseSize = morph ? morph.sizes[index] : size;
+      
+      // Fade transitions ramp the per-instance opacity
+      if (transitionPose && transition.style === 'fade') {
+        mesh.geometry.attributes.instanceOpacity.setX(instanceIndex, (isStroke ? 0.9 : 0.8) * layer.opacity * transitionPose.opacity);
+        mesh.geometry.attributes.instanceOpacity.needsUpdate = true;
+      }
+      
+      if (mesh.isPoints) {
+        mesh.geometry.attributes.position.setXYZ(instanceIndex, newPosition.x, newPosition.y, newPosition.z);
+        mesh.geometry.attributes.position.needsUpdate = true;
+        if (transitionPose || morph) {
+          mesh.geometry.attributes.instanceSize.setX(instanceIndex, baseSize * (transitionPose ? transitionPose.scale : 1));
+          mesh.geometry.attributes.instanceSize.needsUpdate = true;
+        }
+        return;
+      }
+      
       // Prepare matrix update
       const newMatrix = new THREE.Matrix4();
       newMatrix.makeTranslation(newPosition.x, newPosition.y, newPosition.z);
@@ -2131,7 +7351,8 @@ const ParticleApp = (function() {
       newMatrix.multiply(rotationX).multiply(rotationY);
       
       // Apply scaling
-      newMatrix.scale(new THREE.Vector3(size, size, size));
+      const scale = transitionPose ? baseSize * transitionPose.scale : baseSize;
+      newMatrix.scale(new THREE.Vector3(scale, scale, scale));
       
       // Add to update batch for this mesh
       if (!meshUpdates.has(mesh)) {
@@ -2168,6 +7389,28 @@ const ParticleApp = (function() {
   ) {
     if (!layer.particles || layer.particles.length === 0) return;
     
+    // Only particles inside a pointer's interaction radius get its force
+    const nearPointers = mouseInteraction ? getParticlesNearPointers(layer, interactionRadius) : null;
+    
+    // Push from the force fields acting on this layer
+    const fieldDisplacements = getForceFieldDisplacements(layer, time);
+    
+    // Running bursts, ripples and gathers
+    const pointerEffects = getLayerPointerEffects(layer, settings);
+    
+    // Transitions and morphs place particles exactly; sand physics resumes once they finish
+    const transition = getLayerTransitionFrame(layer);
+    const morph = layer.morph;
+    if (transition || morph) sandEffect = false;
+    
+    // Separate meshes fade as a whole (without stagger), through the layer's own copies of its materials
+    if (transition && transition.style === 'fade') {
+      const { opacity } = getTransitionPose({ ...transition, stagger: 'none' }, transition.bounds.center);
+      getLayerFadeMaterials(layer).forEach((copy, shared) => {
+        copy.opacity = shared.opacity * opacity;
+      });
+    }
+    
     // Update particles
     layer.particles.forEach((particle, index) => {
       // Skip if not visible
@@ -2178,6 +7421,7 @@ const ParticleApp = (function() {
       let newPosition = particle.userData.originalPosition ? 
                        particle.userData.originalPosition.clone() : 
                        new THREE.Vector3();
+      if (morph) newPosition.lerp(morph.targets[index].position, morph.progress);
       
       // Apply noise if enabled
       if (settings.noiseMovement) {
@@ -2242,43 +7486,74 @@ const ParticleApp = (function() {
         particle.userData.offset.multiplyScalar(1.2);
       }
       
-      // Apply mouse interaction
-      let mouseDisplacement = new THREE.Vector3();
+      // Apply the entrance or exit animation
+      const transitionPose = transition && particle.userData.originalPosition ?
+                             getTransitionPose(transition, particle.userData.originalPosition) : null;
+      if (transitionPose) {
+        newPosition.add(transitionPose.offset);
+      }
+      
+      // Grow or shrink during a morph or scale transition
+      if (transitionPose || morph) {
+        const baseSize = morph ? morph.sizes[index] : particle.userData.size;
+        particle.scale.setScalar(baseSize * (transitionPose ? transitionPose.scale : 1));
+      }
+      
       
-      if (mouseInteraction && state.mousePosition.length() > 0) {
-        // Calculate distance from mouse to particle
-        const distanceToMouse = particle.position.distanceTo(state.mousePosition);
+      // Apply click and hold effects around the particle's rest position
+      if (pointerEffects) {
+        const effectDisplacement = getPointerEffectDisplacement(pointerEffects, particle.userData.originalPosition || newPosition);
+        newPosition.add(effectDisplacement);
         
-        if (distanceToMouse < interactionRadius * layer.group.scale.x) {
-          // Calculate force based on distance
-          const forceFactor = (interactionRadius * layer.group.scale.x - distanceToMouse) / (interactionRadius * layer.group.scale.x);
-          const force = interactionStrength * forceFactor;
+        if (sandEffect) {
+          particle.userData.velocity.add(effectDisplacement.multiplyScalar(0.05 * sandReturn));
+        }
+      }
+      
+      // Apply force fields
+      const fieldDisplacement = fieldDisplacements && fieldDisplacements.get(index);
+      if (fieldDisplacement) {
+        newPosition.add(fieldDisplacement);
+        
+        // Sand physics rebuilds the position from velocity, so fields push through it too
+        if (sandEffect) {
+          particle.userData.velocity.add(fieldDisplacement.clone().multiplyScalar(0.05 * sandReturn));
+        }
+      }
+      
+      // Apply pointer interaction, one push per pointer in range
+      const pointerHits = nearPointers && nearPointers.get(index);
+      if (pointerHits) {
+        pointerHits.forEach(({ position: pointerPosition, distance: distanceToPointer, radius, localScale }) => {
+          // Calculate force based on distance (strength is in world units)
+          const forceFactor = (radius - distanceToPointer) / radius;
+          const force = interactionStrength * localScale * forceFactor;
           
           // Calculate force direction
           const forceDirection = new THREE.Vector3()
-            .subVectors(particle.position, state.mousePosition)
+            .subVectors(particle.position, pointerPosition)
             .normalize();
           
           // Calculate displacement
-          mouseDisplacement = forceDirection.multiplyScalar(force);
+          const pointerDisplacement = forceDirection.multiplyScalar(force);
           
           if (repelEffect) {
-            // Push away from mouse
-            newPosition.add(mouseDisplacement);
+            // Push away from pointer
+            newPosition.add(pointerDisplacement);
           } else {
-            // Pull toward mouse
-            newPosition.sub(mouseDisplacement);
+            // Pull toward pointer
+            newPosition.sub(pointerDisplacement);
           }
           
           // For sand effect, also update velocity
           if (sandEffect) {
             if (repelEffect) {
-              particle.userData.velocity.add(mouseDisplacement.multiplyScalar(sandStrength * 0.1));
+              particle.userData.velocity.add(pointerDisplacement.multiplyScalar(sandStrength * 0.1));
             } else {
-              particle.userData.velocity.sub(mouseDisplacement.multiplyScalar(sandStrength * 0.1));
+              particle.userData.velocity.sub(pointerDisplacement.multiplyScalar(sandStrength * 0.1));
             }
           }
-        }
+        });
       }
       
       // If sand effect is enabled, apply physics
@@ -2328,12 +7603,16 @@ const ParticleApp = (function() {
       // Update FPS counter
       updateFPSCounter(deltaTime);
       
+      // Play keyframed settings and layer properties
+      updateTimeline(deltaTime);
+      
       // Update particles animation
       updateParticlesAnimation(deltaTime);
       
-      // Render with post-processing if enabled
+      // Render with post-processing if enabled (auto quality may switch bloom off)
       const glowEffectEl = document.getElementById('glow-effect');
-      if (glowEffectEl && glowEffectEl.checked && state.composer) {
+      const bloomAllowed = qualityLevels[state.quality.level].bloom;
+      if (glowEffectEl && glowEffectEl.checked && state.composer && bloomAllowed) {
         state.composer.render();
       } else {
         state.renderer.render(state.scene, state.camera);
@@ -2365,6 +7644,12 @@ const ParticleApp = (function() {
       state.frameCounter = 0;
       state.fpsUpdateTime = 0;
       
+      // Let the auto-quality controller react to this measurement
+      const settings = getSettings();
+      if (settings.autoQuality) {
+        updateAdaptiveQuality(fps, settings.targetFps);
+      }
+      
       // Add color indicator for performance
       if (fps >= 55) {
         dom.fpsCounter.style.color = '#10b981'; // Green for good performance
@@ -2376,6 +7661,162 @@ const ParticleApp = (function() {
     }
   }
 
+  /**
+   * Feed a measured frame rate to the auto-quality controller
+   * Steps down after sustained slow frames and back up after sustained headroom
+   */
+  function updateAdaptiveQuality(fps, targetFps) {
+    const quality = state.quality;
+    quality.windowsSinceChange++;
+    
+    // Let the previous change settle before judging again
+    if (quality.windowsSinceChange <= 4) return;
+    
+    // Browsers cap the frame rate at the display refresh, so headroom can't require more than ~58fps
+    const headroomFps = Math.min(targetFps + 10, 58);
+    
+    if (fps < targetFps) {
+      quality.slowWindows++;
+      quality.fastWindows = 0;
+    } else if (fps >= headroomFps) {
+      quality.fastWindows++;
+      quality.slowWindows = 0;
+    } else {
+      quality.slowWindows = 0;
+      quality.fastWindows = 0;
+    }
+    
+    if (quality.slowWindows >= 2 && quality.level < qualityLevels.length - 1) {
+      // Stepping back down right after a raise means that level is too heavy; wait longer next time
+      if (quality.lastChange === 'raised' && quality.windowsSinceChange < 20) {
+        quality.raiseAfter = Math.min(quality.raiseAfter * 2, 64);
+      }
+      setQualityLevel(quality.level + 1, true);
+    } else if (quality.fastWindows >= quality.raiseAfter && quality.level > 0) {
+      setQualityLevel(quality.level - 1, true);
+    }
+  }
+
+  /**
+   * Apply a quality level: pixel ratio, bloom, sphere detail and visible particle share
+   */
+  function setQualityLevel(level, report) {
+    const quality = state.quality;
+    const previousLevel = quality.level;
+    const previous = qualityLevels[previousLevel];
+    const next = qualityLevels[level];
+    
+    quality.level = level;
+    quality.lastChange = level > previousLevel ? 'lowered' : 'raised';
+    quality.slowWindows = 0;
+    quality.fastWindows = 0;
+    quality.windowsSinceChange = 0;
+    
+    if (state.renderer) {
+      const pixelRatio = Math.min(window.devicePixelRatio, next.pixelRatioCap);
+      state.renderer.setPixelRatio(pixelRatio);
+      if (state.composer && state.composer.setPixelRatio) {
+        state.composer.setPixelRatio(pixelRatio);
+      }
+      onWindowResize();
+    }
+    
+    if (next.segments !== previous.segments) {
+      setParticleSegments(next.segments);
+    }
+    
+    state.layers.forEach(layer => applyQualityToLayer(layer));
+    updateQualityStatus();
+    
+    if (report && level !== previousLevel) {
+      showNotification(`Auto quality ${quality.lastChange}: ${next.label}`, "info");
+    }
+  }
+
+  /**
+   * Show only the current level's share of a layer's particles (no rebuild needed)
+   * Particles are shuffled at creation, so any prefix is an even sample of the shape
+   */
+  function applyQualityToLayer(layer) {
+    if (!layer.group) return;
+    
+    const fraction = qualityLevels[state.quality.level].particleFraction;
+    
+    layer.group.children.forEach(child => {
+      if (child.isInstancedMesh) {
+        child.count = Math.ceil(child.instanceMatrix.count * fraction);
+      } else if (child.isPoints) {
+        child.geometry.setDrawRange(0, Math.ceil(child.geometry.attributes.position.count * fraction));
+      }
+    });
+    
+    if (!layer.instanceData || layer.instanceData.length === 0) {
+      const visibleCount = Math.ceil(layer.particles.length * fraction);
+      layer.particles.forEach((particle, index) => {
+        particle.visible = index < visibleCount;
+      });
+    }
+  }
+
+  /**
+   * Swap the sphere detail of every particle mesh, keeping instanced attributes intact
+   */
+  function setParticleSegments(segments) {
+    const previous = resourceCache.particleGeometry;
+    const sphere = new THREE.SphereGeometry(1, segments, segments);
+    resourceCache.particleGeometry = sphere;
+    resourceCache.disposables.push(sphere);
+    
+    state.layers.forEach(layer => {
+      if (!layer.group) return;
+      
+      layer.group.children.forEach(child => {
+        if (child.isInstancedMesh) {
+          const geometry = sphere.clone();
+          Object.entries(child.geometry.attributes).forEach(([name, attribute]) => {
+            if (attribute.isInstancedBufferAttribute) geometry.setAttribute(name, attribute);
+          });
+          child.geometry.dispose();
+          child.geometry = geometry;
+        } else if (child.isMesh) {
+          child.geometry = sphere;
+        }
+      });
+    });
+    
+    // Nothing uses the old sphere any more
+    if (previous) {
+      previous.dispose();
+      resourceCache.disposables = resourceCache.disposables.filter(resource => resource !== previous);
+    }
+  }
+
+  /**
+   * Turning auto quality off restores full quality
+   */
+  function updateAutoQuality() {
+    const settings = getSettings();
+    
+    if (!settings.autoQuality && state.quality.level !== 0) {
+      setQualityLevel(0, false);
+    }
+    state.quality.raiseAfter = 8;
+    updateQualityStatus();
+  }
+
+  /**
+   * Show the current auto-quality level next to the FPS counter
+   */
+  function updateQualityStatus() {
+    if (!dom.qualityStatus) return;
+    
+    const enabled = getSettings().autoQuality;
+    dom.qualityStatus.style.display = enabled ? '' : 'none';
+    if (dom.qualityLevel) {
+      dom.qualityLevel.textContent = qualityLevels[state.quality.level].label;
+    }
+  }
+
   /**
    * Get current settings from UI elements
    */
@@ -2386,11 +7827,18 @@ const ParticleApp = (function() {
         particleDensity: parseInt(document.getElementById('particle-density')?.value || 4),
         minSize: parseFloat(document.getElementById('min-size')?.value || 0.5),
         maxSize: parseFloat(document.getElementById('max-size')?.value || 1.5),
+        particleOpacity: parseFloat(document.getElementById('particle-opacity')?.value || 1),
         color: document.getElementById('particle-color')?.value || '#6366f1',
         useGradient: document.getElementById('use-gradient')?.checked || true,
         gradientColor1: document.getElementById('gradient-color1')?.value || '#6366f1',
         gradientColor2: document.getElementById('gradient-color2')?.value || '#ec4899',
         preserveColors: document.getElementById('preserve-colors')?.checked || false,
+        distribution: document.getElementById('distribution')?.value || 'random',
+        layoutMode: document.getElementById('layout-mode')?.value || 'fit',
+        imageWeighting: document.getElementById('image-weighting')?.value || 'luminance',
+        invertImage: document.getElementById('invert-image')?.checked || false,
+        artboardWidth: parseFloat(document.getElementById('artboard-width')?.value || 0),
+        artboardHeight: parseFloat(document.getElementById('artboard-height')?.value || 0),
         animationSpeed: parseFloat(document.getElementById('animation-speed')?.value || 1),
         mouseInteraction: document.getElementById('mouse-interaction')?.checked || true,
         sandEffect: document.getElementById('sand-effect')?.checked || false,
@@ -2415,7 +7863,26 @@ const ParticleApp = (function() {
         panSpeed: parseFloat(document.getElementById('pan-speed')?.value || 1),
         svgScale: parseFloat(document.getElementById('svg-scale')?.value || 1),
         svgDepth: parseInt(document.getElementById('svg-depth')?.value || 20),
-        useInstanced: document.getElementById('use-instanced-rendering')?.checked || true
+        useInstanced: document.getElementById('use-instanced-rendering')?.checked || true,
+        gpuAnimation: document.getElementById('gpu-animation')?.checked !== false,
+        renderMode: document.getElementById('render-mode')?.value || 'spheres',
+        spriteShape: document.getElementById('sprite-shape')?.value || 'soft',
+        autoQuality: document.getElementById('auto-quality')?.checked || false,
+        targetFps: parseInt(document.getElementById('target-fps')?.value || 45),
+        clickEffect: document.getElementById('click-effect')?.value || 'none',
+        burstStrength: parseFloat(document.getElementById('burst-strength')?.value || 40),
+        burstDuration: parseFloat(document.getElementById('burst-duration')?.value || 1.5),
+        rippleStrength: parseFloat(document.getElementById('ripple-strength')?.value || 10),
+        rippleDuration: parseFloat(document.getElementById('ripple-duration')?.value || 2),
+        holdGather: document.getElementById('hold-gather')?.checked || false,
+        gatherStrength: parseFloat(document.getElementById('gather-strength')?.value || 0.8),
+        gatherDuration: parseFloat(document.getElementById('gather-duration')?.value || 0.6),
+        transitionStyle: document.getElementById('transition-style')?.value || 'none',
+        transitionStagger: document.getElementById('transition-stagger')?.value || 'none',
+        transitionDuration: parseFloat(document.getElementById('transition-duration')?.value || 1.5),
+        morphAssignment: document.getElementById('morph-assignment')?.value || 'nearest',
+        morphEasing: document.getElementById('morph-easing')?.value || 'ease-in-out',
+        morphDuration: parseFloat(document.getElementById('morph-duration')?.value || 2)
       };
     } catch (e) {
       console.error("Error getting settings:", e);
@@ -2425,11 +7892,18 @@ const ParticleApp = (function() {
         particleDensity: 4,
         minSize: 0.5,
         maxSize: 1.5,
+        particleOpacity: 1,
         color: '#6366f1',
         useGradient: true,
         gradientColor1: '#6366f1',
         gradientColor2: '#ec4899',
         preserveColors: false,
+        distribution: 'random',
+        layoutMode: 'fit',
+        imageWeighting: 'luminance',
+        invertImage: false,
+        artboardWidth: 0,
+        artboardHeight: 0,
         animationSpeed: 1,
         mouseInteraction: true,
         sandEffect: false,
@@ -2454,11 +7928,125 @@ const ParticleApp = (function() {
         panSpeed: 1,
         svgScale: 1,
         svgDepth: 20,
-        useInstanced: true
+        useInstanced: true,
+        gpuAnimation: true,
+        renderMode: 'spheres',
+        spriteShape: 'soft',
+        autoQuality: false,
+        targetFps: 45,
+        clickEffect: 'none',
+        burstStrength: 40,
+        burstDuration: 1.5,
+        rippleStrength: 10,
+        rippleDuration: 2,
+        holdGather: false,
+        gatherStrength: 0.8,
+        gatherDuration: 0.6,
+        transitionStyle: 'none',
+        transitionStagger: 'none',
+        transitionDuration: 1.5,
+        morphAssignment: 'nearest',
+        morphEasing: 'ease-in-out',
+        morphDuration: 2
       };
     }
   }
 
+  /**
+   * Settings with the per-layer values taken from the global defaults rather than the active layer
+   */
+  function getGlobalSettings() {
+    return Object.assign(getSettings(), state.layerSettingDefaults);
+  }
+
+  /**
+   * Settings a layer samples and animates with: the global defaults under the values it sets itself
+   * (or, while it is locked, the values it had when it was locked)
+   * Pass globalSettings to avoid reading the panel again when looping over layers
+   */
+  function getLayerSettings(layer, globalSettings) {
+    return Object.assign({}, globalSettings || getGlobalSettings(), layer ? layer.lockedSettings || layer.settings : null);
+  }
+
+  /**
+   * Label text of a setting input, e.g. "Bloom Strength"
+   */
+  function getSettingLabel(id) {
+    const label = document.querySelector(`label[for="${id}"]`);
+    return label ? label.textContent.trim() : id;
+  }
+
+  /**
+   * Current value of a per-layer setting input
+   */
+  function readSettingInput(id) {
+    const input = document.getElementById(id);
+    if (!input) return undefined;
+    
+    if (input.type === 'checkbox') return input.checked;
+    if (input.type === 'range' || input.type === 'number') return parseFloat(input.value);
+    return input.value;
+  }
+
+  /**
+   * Show a per-layer setting value in its input without firing change events
+   */
+  function writeSettingInput(id, value) {
+    const input = document.getElementById(id);
+    if (!input || value === undefined) return;
+    
+    if (input.type === 'checkbox') {
+      input.checked = value;
+    } else {
+      input.value = value;
+    }
+    
+    const valueEl = document.getElementById(`${id}-value`);
+    if (valueEl) {
+      valueEl.textContent = formatValue(input.value, parseFloat(input.step) || 1);
+    }
+    
+    if (id === 'use-gradient') updateColorModeControls();
+  }
+
+  /**
+   * Keep an edited per-layer input: on the active layer if it sets its own value, otherwise as the global default
+   * A locked active layer is left alone, so edits go to the defaults the other layers use
+   */
+  function storeLayerSetting(id) {
+    const key = layerSettingKeys[id];
+    if (!key) return;
+    
+    // Timeline tracks animate the global default whichever layer is selected, as in the exported code
+    const layer = state.layers.find(l => l.id === state.activeLayerId);
+    if (layer && !layer.locked && key in layer.settings && !state.timeline.applying) {
+      layer.settings[key] = readSettingInput(id);
+    } else {
+      state.layerSettingDefaults[key] = readSettingInput(id);
+    }
+  }
+
+  /**
+   * Take the global per-layer defaults from the panel
+   */
+  function captureLayerSettingDefaults() {
+    state.layerSettingDefaults = {};
+    Object.entries(layerSettingKeys).forEach(([id, key]) => {
+      const value = readSettingInput(id);
+      if (value !== undefined) state.layerSettingDefaults[key] = value;
+    });
+  }
+
+  /**
+   * Whether any layer moves differently from the shared motion uniforms
+   */
+  function hasLayerMotionOverrides() {
+    return state.layers.some(layer => {
+      const own = layer.lockedSettings || layer.settings;
+      return layerMotionSettings.some(key => key in own && own[key] !== state.layerSettingDefaults[key]);
+    });
+  }
+
   /**
    * Apply settings values to all UI inputs
    */
@@ -2470,9 +8058,16 @@ const ParticleApp = (function() {
         'particle-density': { value: settings.particleDensity, display: settings.particleDensity.toString() },
         'min-size': { value: settings.minSize, display: settings.minSize.toFixed(1) },
         'max-size': { value: settings.maxSize, display: settings.maxSize.toFixed(1) },
+        'particle-opacity': { value: settings.particleOpacity || 1, display: (settings.particleOpacity || 1).toFixed(2) },
         'particle-color': { value: settings.color },
         'use-gradient': { checked: settings.useGradient },
         'preserve-colors': { checked: settings.preserveColors },
+        'distribution': { value: settings.distribution || 'random' },
+        'layout-mode': { value: settings.layoutMode || 'fit' },
+        'image-weighting': { value: settings.imageWeighting || 'luminance' },
+        'invert-image': { checked: !!settings.invertImage },
+        'artboard-width': { value: settings.artboardWidth || 0 },
+        'artboard-height': { value: settings.artboardHeight || 0 },
         'gradient-color1': { value: settings.gradientColor1 },
         'gradient-color2': { value: settings.gradientColor2 },
         'animation-speed': { value: settings.animationSpeed, display: settings.animationSpeed.toFixed(1) },
@@ -2499,7 +8094,26 @@ const ParticleApp = (function() {
         'pan-speed': { value: settings.panSpeed, display: settings.panSpeed.toFixed(1) },
         'svg-scale': { value: settings.svgScale, display: settings.svgScale.toFixed(1) },
         'svg-depth': { value: settings.svgDepth, display: settings.svgDepth.toString() },
-        'use-instanced-rendering': { checked: settings.useInstanced }
+        'use-instanced-rendering': { checked: settings.useInstanced },
+        'gpu-animation': { checked: settings.gpuAnimation !== false },
+        'render-mode': { value: settings.renderMode || 'spheres' },
+        'sprite-shape': { value: settings.spriteShape || 'soft' },
+        'auto-quality': { checked: !!settings.autoQuality },
+        'target-fps': { value: settings.targetFps || 45, display: (settings.targetFps || 45).toString() },
+        'click-effect': { value: settings.clickEffect || 'none' },
+        'burst-strength': { value: settings.burstStrength || 40, display: (settings.burstStrength || 40).toString() },
+        'burst-duration': { value: settings.burstDuration || 1.5, display: (settings.burstDuration || 1.5).toFixed(1) },
+        'ripple-strength': { value: settings.rippleStrength || 10, display: (settings.rippleStrength || 10).toString() },
+        'ripple-duration': { value: settings.rippleDuration || 2, display: (settings.rippleDuration || 2).toFixed(1) },
+        'hold-gather': { checked: !!settings.holdGather },
+        'gather-strength': { value: settings.gatherStrength || 0.8, display: (settings.gatherStrength || 0.8).toFixed(2) },
+        'gather-duration': { value: settings.gatherDuration || 0.6, display: (settings.gatherDuration || 0.6).toFixed(1) },
+        'transition-style': { value: settings.transitionStyle || 'none' },
+        'transition-stagger': { value: settings.transitionStagger || 'none' },
+        'transition-duration': { value: settings.transitionDuration || 1.5, display: (settings.transitionDuration || 1.5).toFixed(1) },
+        'morph-assignment': { value: settings.morphAssignment || 'nearest' },
+        'morph-easing': { value: settings.morphEasing || 'ease-in-out' },
+        'morph-duration': { value: settings.morphDuration || 2, display: (settings.morphDuration || 2).toFixed(1) }
       };
       
       // Update each element if it exists
@@ -2528,6 +8142,24 @@ const ParticleApp = (function() {
         dom.solidColorControl.style.display = settings.useGradient ? 'none' : 'block';
         dom.gradientControls.style.display = settings.useGradient ? 'block' : 'none';
       }
+      updateLayoutControlsVisibility();
+      updateSpriteControlsVisibility();
+      updateAutoQuality();
+      
+      // The loaded values become the global defaults; layers keep the settings they set themselves
+      captureLayerSettingDefaults();
+      updateLayerSettingsPanel();
+      
+      // Presets saved with force fields, a timeline or layer transforms bring them back
+      if (Array.isArray(settings.forceFields)) {
+        setForceFields(settings.forceFields);
+      }
+      if (settings.timeline && Array.isArray(settings.timeline.tracks)) {
+        setTimeline(settings.timeline);
+      }
+      if (Array.isArray(settings.layerTransforms)) {
+        setLayerTransforms(settings.layerTransforms);
+      }
       
       // Update systems that depend on settings
       updateBloomSettings();
@@ -2552,11 +8184,18 @@ const ParticleApp = (function() {
         particleDensity: 4,
         minSize: 0.5,
         maxSize: 1.5,
+        particleOpacity: 1,
         color: '#6366f1',
         useGradient: true,
         gradientColor1: '#6366f1',
         gradientColor2: '#ec4899',
         preserveColors: false,
+        distribution: 'random',
+        layoutMode: 'fit',
+        imageWeighting: 'luminance',
+        invertImage: false,
+        artboardWidth: 0,
+        artboardHeight: 0,
         animationSpeed: 1,
         mouseInteraction: true,
         sandEffect: false,
@@ -2581,34 +8220,464 @@ const ParticleApp = (function() {
         panSpeed: 1,
         svgScale: 1,
         svgDepth: 20,
-        useInstanced: true
+        useInstanced: true,
+        gpuAnimation: true,
+        renderMode: 'spheres',
+        spriteShape: 'soft',
+        autoQuality: false,
+        targetFps: 45,
+        clickEffect: 'none',
+        burstStrength: 40,
+        burstDuration: 1.5,
+        rippleStrength: 10,
+        rippleDuration: 2,
+        holdGather: false,
+        gatherStrength: 0.8,
+        gatherDuration: 0.6,
+        transitionStyle: 'none',
+        transitionStagger: 'none',
+        transitionDuration: 1.5,
+        morphAssignment: 'nearest',
+        morphEasing: 'ease-in-out',
+        morphDuration: 2,
+        forceFields: [],
+        timeline: { duration: 10, loop: true, tracks: [] },
+        layerTransforms: []
       };
       
       // Apply default settings
       applySettings(defaultSettings);
       
-      // Reset camera view
-      resetCamera();
+      // Reset camera view
+      resetCamera();
+      
+      // Clear all layers
+      while (state.layers.length > 0) {
+        removeLayer(state.layers[0].id);
+      }
+      
+      // Show the drop area again
+      if (dom.dropArea) {
+        dom.dropArea.classList.remove('hidden');
+      }
+      
+      // Clear preset selector
+      if (dom.presetSelector) {
+        dom.presetSelector.value = '';
+      }
+      
+      recordHistory('Reset');
+      showNotification("Settings reset to defaults (Ctrl+Z to undo)", "success");
+    } catch (e) {
+      console.error("Error in resetSettings:", e);
+      showNotification("Error resetting settings", "error");
+    }
+  }
+
+  /**
+   * A layer's state without its particles, enough to build it again
+   */
+  function serializeLayer(layer) {
+    return {
+      id: layer.id,
+      name: layer.name,
+      customName: layer.customName,
+      sourceType: layer.sourceType,
+      svgString: layer.svgString,
+      imageSrc: layer.imageSrc,
+      imageSize: layer.imageSize ? { ...layer.imageSize } : null,
+      text: layer.text ? { ...layer.text } : null,
+      visible: layer.visible,
+      solo: layer.solo,
+      locked: layer.locked,
+      lockedSettings: layer.lockedSettings ? { ...layer.lockedSettings } : null,
+      opacity: layer.opacity,
+      blendMode: layer.blendMode,
+      samplingMode: layer.samplingMode,
+      offset: { ...layer.offset },
+      settings: { ...layer.settings },
+      transform: createLayerTransform(layer.transform)
+    };
+  }
+
+  /**
+   * The global settings, force fields, timeline, every layer (minus ones already on their way out) and the view, as an undo step stores them
+   * The view is the one the last opened project set, so orbiting the camera is never undone
+   */
+  function captureSceneSnapshot() {
+    if (!state.history.view) state.history.view = serializeView();
+    
+    return {
+      settings: {
+        ...getGlobalSettings(),
+        forceFields: serializeForceFields(),
+        timeline: serializeTimeline()
+      },
+      layers: state.layers.filter(layer => !layer.removing).map(serializeLayer),
+      activeLayerId: state.activeLayerId,
+      view: state.history.view
+    };
+  }
+
+  /**
+   * Put the layers and settings back the way a snapshot recorded them
+   * Layers that still exist are updated in place; deleted ones are rebuilt from their sources under their old ids
+   */
+  function restoreSceneSnapshot(snapshot) {
+    state.history.restoring = true;
+    
+    try {
+      const ids = snapshot.layers.map(saved => saved.id);
+      
+      // Layers added since, and ones still playing their exit, go at once
+      state.layers.slice().forEach(layer => {
+        if (layer.removing || !ids.includes(layer.id)) removeLayer(layer.id);
+      });
+      
+      const createdLocked = [];
+      snapshot.layers.forEach(saved => {
+        const layer = state.layers.find(l => l.id === saved.id);
+        if (layer) {
+          restoreLayerState(layer, saved);
+        } else {
+          const created = createLayer(saved.svgString, saved.name, {
+            ...saved,
+            text: saved.text ? { ...saved.text } : null
+          });
+          restoreLayerState(created, saved);
+          if (created.locked) createdLocked.push(created);
+        }
+      });
+      
+      // Stack order, then solo (which depends on every layer)
+      state.layers.sort((a, b) => ids.indexOf(a.id) - ids.indexOf(b.id));
+      updateLayerUIOrder();
+      updateSceneLayerOrder();
+      state.layers.forEach(layer => {
+        updateLayerGroupVisibility(layer);
+        updateLayerStateUI(layer);
+      });
+      
+      if (dom.dropArea) {
+        dom.dropArea.classList.toggle('hidden', state.layers.length > 0);
+      }
+      
+      // Force fields and the timeline are only replaced when they differ, so undoing a setting keeps playback running
+      const { forceFields, timeline, ...settings } = snapshot.settings;
+      if (forceFields && !isSameSceneData(forceFields, serializeForceFields())) {
+        setForceFields(forceFields);
+      }
+      if (timeline && !isSameSceneData(timeline, serializeTimeline())) {
+        setTimeline(timeline);
+      }
+      
+      // Likewise the camera only moves when the step changed the view, as opening a project does
+      if (snapshot.view && !isSameSceneData(snapshot.view, state.history.view)) {
+        restoreView(snapshot.view);
+      }
+      
+      // Restores the panel and rebuilds the unlocked layers
+      applySettings(settings);
+      
+      // Rebuilt locked layers started sampling with the panel as it was, and applySettings leaves them alone
+      createdLocked.forEach(layer => processLayerSVG(layer));
+      
+      if (state.layers.some(l => l.id === snapshot.activeLayerId)) {
+        setActiveLayer(snapshot.activeLayerId);
+      }
+    } finally {
+      state.history.restoring = false;
+    }
+  }
+
+  /**
+   * Compare force field or timeline data, ignoring the ids they are given afresh on every restore
+   */
+  function isSameSceneData(a, b) {
+    const withoutIds = (key, value) => key === 'id' ? undefined : value;
+    return JSON.stringify(a, withoutIds) === JSON.stringify(b, withoutIds);
+  }
+
+  /**
+   * The camera position, orbit target and zoom, and the background color
+   */
+  function serializeView() {
+    return {
+      camera: {
+        position: state.camera.position.toArray(),
+        target: state.controls ? state.controls.target.toArray() : [0, 0, 0],
+        zoom: state.camera.zoom
+      },
+      background: `#${state.scene.background.getHexString()}`
+    };
+  }
+
+  /**
+   * Move the camera and set the background as a saved view describes; missing parts are left as they are
+   */
+  function restoreView(view) {
+    const { camera, background } = view;
+    
+    if (camera) {
+      if (Array.isArray(camera.position)) state.camera.position.fromArray(camera.position);
+      if (camera.zoom) state.camera.zoom = camera.zoom;
+      state.camera.updateProjectionMatrix();
+      if (state.controls && Array.isArray(camera.target)) {
+        state.controls.target.fromArray(camera.target);
+        state.controls.update();
+      }
+    }
+    
+    if (background) {
+      state.scene.background = new THREE.Color(background);
+    }
+    
+    state.history.view = serializeView();
+  }
+
+  /**
+   * Copy a snapshot's values onto an existing layer
+   */
+  function restoreLayerState(layer, saved) {
+    // Locked layers sit out the rebuild applySettings does, so they are rebuilt here when they differ
+    const rebuildLocked = saved.locked && (
+      layer.svgString !== saved.svgString ||
+      layer.samplingMode !== saved.samplingMode ||
+      layer.opacity !== saved.opacity ||
+      layer.blendMode !== saved.blendMode ||
+      JSON.stringify(layer.lockedSettings) !== JSON.stringify(saved.lockedSettings)
+    );
+    
+    if (layer.name !== saved.name) {
+      layer.name = saved.name;
+      updateLayerNameUI(layer);
+    }
+    layer.customName = saved.customName;
+    layer.svgString = saved.svgString;
+    layer.text = saved.text ? { ...saved.text } : null;
+    layer.solo = saved.solo;
+    layer.locked = saved.locked;
+    layer.lockedSettings = saved.lockedSettings ? { ...saved.lockedSettings } : null;
+    layer.opacity = saved.opacity;
+    layer.blendMode = saved.blendMode;
+    layer.samplingMode = saved.samplingMode;
+    layer.offset = { ...saved.offset };
+    layer.settings = { ...saved.settings };
+    layer.transform = createLayerTransform(saved.transform);
+    applyLayerTransform(layer);
+    
+    if (layer.visible !== saved.visible) {
+      layer.transition = null;
+      setLayerVisible(layer, saved.visible);
+    }
+    
+    if (rebuildLocked) processLayerSVG(layer);
+  }
+
+  /**
+   * Add an undo step once the current action has finished
+   * Calls made during one action (a bulk delete, a duplicate and its reorder) become a single step under the last label
+   */
+  function recordHistory(label) {
+    const history = state.history;
+    // Restores and timeline playback change settings too, but aren't edits
+    if (history.restoring || state.timeline.applying) return;
+    
+    const scheduled = history.pendingLabel !== null;
+    history.pendingLabel = label;
+    if (scheduled) return;
+    
+    Promise.resolve().then(() => {
+      const entry = { label: history.pendingLabel, snapshot: captureSceneSnapshot() };
+      history.pendingLabel = null;
+      
+      // A new step replaces the steps that were undone
+      history.entries.splice(history.index + 1);
+      history.entries.push(entry);
+      if (history.entries.length > maxHistoryEntries) {
+        history.entries.shift();
+      }
+      history.index = history.entries.length - 1;
+      
+      renderHistoryList();
+    });
+  }
+
+  /**
+   * Bring the scene back to an undo step
+   */
+  function goToHistoryEntry(index) {
+    const history = state.history;
+    if (index < 0 || index >= history.entries.length || index === history.index) return;
+    
+    try {
+      history.index = index;
+      restoreSceneSnapshot(history.entries[index].snapshot);
+    } catch (e) {
+      console.error("Error restoring history:", e);
+      showNotification("Error restoring this step", "error");
+    }
+    
+    renderHistoryList();
+  }
+
+  /**
+   * Step back one undo step
+   */
+  function undo() {
+    const history = state.history;
+    if (history.index <= 0) return;
+    
+    const label = history.entries[history.index].label;
+    goToHistoryEntry(history.index - 1);
+    showNotification(`Undo: ${label}`, "info");
+  }
+
+  /**
+   * Step forward again after an undo
+   */
+  function redo() {
+    const history = state.history;
+    if (history.index >= history.entries.length - 1) return;
+    
+    goToHistoryEntry(history.index + 1);
+    showNotification(`Redo: ${history.entries[history.index].label}`, "info");
+  }
+
+  /**
+   * Rebuild the history list, marking the current step and the undone ones after it
+   */
+  function renderHistoryList() {
+    const history = state.history;
+    if (dom.undoBtn) dom.undoBtn.disabled = history.index <= 0;
+    if (dom.redoBtn) dom.redoBtn.disabled = history.index >= history.entries.length - 1;
+    if (!dom.historyList) return;
+    
+    dom.historyList.innerHTML = '';
+    history.entries.forEach((entry, index) => {
+      const item = document.createElement('li');
+      item.className = 'history-item';
+      item.textContent = entry.label;
+      item.classList.toggle('current', index === history.index);
+      item.classList.toggle('undone', index > history.index);
+      item.addEventListener('click', () => goToHistoryEntry(index));
+      dom.historyList.appendChild(item);
+    });
+    
+    // Keep the latest steps in view
+    dom.historyList.scrollTop = dom.historyList.scrollHeight;
+  }
+
+  /**
+   * The whole scene as a project file: settings, layers with their sources embedded, camera and background
+   */
+  function serializeProject() {
+    return {
+      format: projectFileFormat,
+      version: projectFileVersion,
+      savedAt: new Date().toISOString(),
+      settings: {
+        ...getGlobalSettings(),
+        forceFields: serializeForceFields(),
+        timeline: serializeTimeline()
+      },
+      layers: state.layers.filter(layer => !layer.removing).map(serializeLayer),
+      activeLayerId: state.activeLayerId,
+      ...serializeView()
+    };
+  }
+
+  /**
+   * Download the scene as a .partycle.json project file
+   */
+  function saveProject() {
+    try {
+      const json = JSON.stringify(serializeProject(), null, 2);
+      const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+      
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'partycle-project.partycle.json';
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
       
-      // Clear all layers
-      while (state.layers.length > 0) {
-        deleteLayer(state.layers[0].id);
+      showNotification("Project saved", "success");
+    } catch (e) {
+      console.error("Error saving project:", e);
+      showNotification("Error saving project", "error");
+    }
+  }
+
+  /**
+   * Read a project file and replace the scene with it
+   */
+  function openProjectFile(file) {
+    const reader = new FileReader();
+    
+    reader.onload = function(event) {
+      let project;
+      try {
+        project = JSON.parse(event.target.result);
+      } catch (e) {
+        showNotification("This file is not valid JSON", "error");
+        return;
       }
       
-      // Show the drop area again
-      if (dom.dropArea) {
-        dom.dropArea.classList.remove('hidden');
+      if (loadProject(project)) {
+        recordHistory(`Open ${file.name}`);
+        showNotification(`Opened project: ${file.name}`, "success");
       }
-      
-      // Clear preset selector
-      if (dom.presetSelector) {
-        dom.presetSelector.value = '';
+    };
+    
+    reader.onerror = function() {
+      showNotification("Error reading file", "error");
+    };
+    
+    reader.readAsText(file);
+  }
+
+  /**
+   * Replace the layers, settings, camera and background with a parsed project; returns whether it loaded
+   */
+  function loadProject(project) {
+    if (!project || project.format !== projectFileFormat || !Array.isArray(project.layers)) {
+      showNotification("This file is not a Partycle project", "error");
+      return false;
+    }
+    if (!(project.version <= projectFileVersion)) {
+      showNotification("This project was saved by a newer version and can't be opened", "error");
+      return false;
+    }
+    
+    try {
+      // Start from an empty scene so every layer is rebuilt from the file's sources
+      state.history.restoring = true;
+      try {
+        state.layers.slice().forEach(layer => removeLayer(layer.id));
+      } finally {
+        state.history.restoring = false;
       }
       
-      showNotification("Settings reset to defaults", "success");
+      restoreSceneSnapshot({
+        settings: project.settings || {},
+        layers: project.layers,
+        activeLayerId: project.activeLayerId,
+        view: { camera: project.camera, background: project.background }
+      });
+      
+      // New layers must not reuse the ids the file brought in
+      state.layers.forEach(layer => {
+        const number = parseInt(layer.id.replace(/^layer-/, ''), 10);
+        if (number >= state.nextLayerId) state.nextLayerId = number + 1;
+      });
+      
+      return true;
     } catch (e) {
-      console.error("Error in resetSettings:", e);
-      showNotification("Error resetting settings", "error");
+      console.error("Error opening project:", e);
+      showNotification("Error opening project. The file may be damaged.", "error");
+      return false;
     }
   }
 
@@ -2627,14 +8696,29 @@ const ParticleApp = (function() {
     }
   }
 
+  /**
+   * Layers the exported usage example adds, in the order the runtime numbers them
+   */
+  function getExportedLayers() {
+    const exampleLayer = state.layers.find(l => l.svgString);
+    return exampleLayer ? [exampleLayer] : [];
+  }
+
   /**
    * Generate code based on current settings and layers
    */
   function generateCode() {
     try {
-      const settings = getSettings();
+      const settings = getGlobalSettings();
       const currentDate = new Date().toLocaleString();
       
+      // The usage example loads the first SVG layer, with any settings it sets for itself and its opacity and blend mode
+      const exampleLayer = getExportedLayers()[0];
+      const editorOnlyTracks = getEditorOnlyTimelineTracks();
+      const exampleSettings = exampleLayer ? Object.assign({}, exampleLayer.lockedSettings || exampleLayer.settings) : {};
+      if (exampleLayer && exampleLayer.opacity !== 1) exampleSettings.layerOpacity = exampleLayer.opacity;
+      if (exampleLayer && exampleLayer.blendMode !== 'normal') exampleSettings.blendMode = exampleLayer.blendMode;
+      
       // Create the code header
       let code = `// SVG Partycle Generator (Version 2.0)
 // Created by Enrico Deiana - https://www.enricodeiana.design/
@@ -2658,8 +8742,10 @@ const ParticleSystem = (function() {
   let composer, bloomPass;
   let simplex = new SimplexNoise();
   let layers = [];
-  let mousePosition = new THREE.Vector3();
-  let mouseMoved = false;
+  let pointers = new Map(); // pointerId -> { position, radiusScale }
+  let pointerGestures = new Map(); // Presses being watched for a click or hold
+  let pointerEffects = []; // Running bursts and ripples
+  let gather = null; // Press-and-hold gather
   
   // Initialize the application
   function init(containerId) {
@@ -2705,96 +8791,779 @@ const ParticleSystem = (function() {
     
     // Setup mouse interaction
     setupMouseInteraction();
+    setupPointerGestures();
+    
+    // Handle window resize
+    window.addEventListener('resize', () => {
+      const width = container.clientWidth;
+      const height = container.clientHeight;
+      
+      camera.aspect = width / height;
+      camera.updateProjectionMatrix();
+      
+      renderer.setSize(width, height);
+      composer.setSize(width, height);
+    });
+    
+    // Start animation loop
+    animate();
+    
+    return true;
+  }
+  
+  // Setup post-processing
+  function setupPostProcessing() {
+    composer = new THREE.EffectComposer(renderer);
+    
+    const renderPass = new THREE.RenderPass(scene, camera);
+    composer.addPass(renderPass);
+    
+    bloomPass = new THREE.UnrealBloomPass(
+      new THREE.Vector2(renderer.domElement.width, renderer.domElement.height),
+      ${settings.bloomStrength}, // Strength
+      ${settings.bloomRadius}, // Radius
+      ${settings.bloomThreshold} // Threshold
+    );
+    bloomPass.enabled = ${settings.glowEffect};
+    composer.addPass(bloomPass);
+  }
+  
+  // Setup pointer interaction: the mouse, a pen and every finger each push particles
+  function setupMouseInteraction() {
+    const canvas = renderer.domElement;
+    canvas.style.touchAction = 'none';
+    
+    function updatePointer(event) {
+      if (!${settings.mouseInteraction}) return;
+      
+      // Don't update if orbit controls are being used with mouse button down
+      if (event.pointerType === 'mouse' && controls.enabled && event.buttons > 0) return;
+      
+      const rect = canvas.getBoundingClientRect();
+      const x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+      const y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+      
+      const raycaster = new THREE.Raycaster();
+      raycaster.setFromCamera(new THREE.Vector2(x, y), camera);
+      
+      const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+      const intersection = new THREE.Vector3();
+      
+      if (raycaster.ray.intersectPlane(plane, intersection)) {
+        // Larger touch contacts disturb a wider area
+        const contact = Math.max(event.width || 0, event.height || 0);
+        const radiusScale = event.pointerType === 'mouse' || contact <= 1 ?
+                            1 :
+                            THREE.MathUtils.clamp(contact / 40, 0.5, 2);
+        
+        pointers.set(event.pointerId, { position: intersection, radiusScale: radiusScale });
+      }
+    }
+    
+    function removePointer(event) {
+      // The mouse keeps interacting after a click; only leaving the canvas ends it
+      if (event.type === 'pointerup' && event.pointerType === 'mouse') return;
+      pointers.delete(event.pointerId);
+    }
+    
+    canvas.addEventListener('pointerdown', updatePointer);
+    canvas.addEventListener('pointermove', updatePointer);
+    canvas.addEventListener('pointerup', removePointer);
+    canvas.addEventListener('pointercancel', removePointer);
+    canvas.addEventListener('pointerleave', removePointer);
+  }
+
+  // Project a screen position onto the z=0 plane
+  function getPointerScenePosition(clientX, clientY) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    const x = ((clientX - rect.left) / rect.width) * 2 - 1;
+    const y = -((clientY - rect.top) / rect.height) * 2 + 1;
+    
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(new THREE.Vector2(x, y), camera);
+    
+    const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+    const intersection = new THREE.Vector3();
+    
+    return raycaster.ray.intersectPlane(plane, intersection) ? intersection : null;
+  }
+  
+  // Setup click and press-and-hold effects
+  function setupPointerGestures() {
+    const canvas = renderer.domElement;
+    
+    canvas.addEventListener('pointerdown', (event) => {
+      const gesture = {
+        startX: event.clientX,
+        startY: event.clientY,
+        clientX: event.clientX,
+        clientY: event.clientY,
+        moved: false,
+        holdTimer: null
+      };
+      
+      // Hold still to gather particles into the pointer
+      if (${settings.holdGather} && !gather) {
+        gesture.holdTimer = setTimeout(() => {
+          gesture.holdTimer = null;
+          
+          const position = getPointerScenePosition(gesture.clientX, gesture.clientY);
+          if (!position) return;
+          
+          gather = {
+            pointerId: event.pointerId,
+            position: position,
+            startTime: performance.now() / 1000,
+            releaseTime: null,
+            controlsEnabled: controls.enabled
+          };
+          controls.enabled = false;
+        }, ${pointerGestureLimits.holdDelay});
+      }
+      
+      pointerGestures.set(event.pointerId, gesture);
+    });
+    
+    canvas.addEventListener('pointermove', (event) => {
+      const gesture = pointerGestures.get(event.pointerId);
+      if (!gesture) return;
+      
+      gesture.clientX = event.clientX;
+      gesture.clientY = event.clientY;
+      
+      if (gather && gather.pointerId === event.pointerId) {
+        const position = getPointerScenePosition(event.clientX, event.clientY);
+        if (position) gather.position.copy(position);
+        return;
+      }
+      
+      // Dragging orbits the camera instead
+      if (Math.hypot(event.clientX - gesture.startX, event.clientY - gesture.startY) > ${pointerGestureLimits.clickTolerance}) {
+        gesture.moved = true;
+        clearTimeout(gesture.holdTimer);
+      }
+    });
+    
+    function endGesture(event) {
+      const gesture = pointerGestures.get(event.pointerId);
+      if (!gesture) return;
+      
+      pointerGestures.delete(event.pointerId);
+      clearTimeout(gesture.holdTimer);
+      
+      // Let gathered particles flow back into the shape
+      if (gather && gather.pointerId === event.pointerId) {
+        if (gather.releaseTime === null) {
+          gather.releaseTime = performance.now() / 1000;
+          controls.enabled = gather.controlsEnabled;
+        }
+        return;
+      }
+      
+      const clickEffect = '${settings.clickEffect}';
+      if (event.type !== 'pointerup' || gesture.moved) return;
+      if (clickEffect !== 'burst' && clickEffect !== 'ripple') return;
+      
+      const position = getPointerScenePosition(event.clientX, event.clientY);
+      if (position) {
+        pointerEffects.push({ type: clickEffect, origin: position, startTime: performance.now() / 1000 });
+      }
+    }
+    
+    canvas.addEventListener('pointerup', endGesture);
+    canvas.addEventListener('pointercancel', endGesture);
+    canvas.addEventListener('pointerleave', endGesture);
+  }
+  
+  // Gather progress (0-1), easing in while held and out after release
+  function getGatherLevel(now) {
+    const smoothstep = t => t * t * (3 - 2 * t);
+    const duration = ${settings.gatherDuration};
+    const heldTime = (gather.releaseTime === null ? now : gather.releaseTime) - gather.startTime;
+    const level = Math.min(heldTime / duration, 1);
+    
+    if (gather.releaseTime === null) return smoothstep(level);
+    
+    return smoothstep(level * Math.max(1 - (now - gather.releaseTime) / duration, 0));
+  }
+  
+  // Lifetime in seconds of a burst or ripple
+  function getPointerEffectDuration(type) {
+    return type === 'burst' ? ${settings.burstDuration} : ${settings.rippleDuration};
+  }
+  
+  // Active click and hold effects in a layer's local space
+  function getLayerPointerEffects(layer, now) {
+    if (pointerEffects.length === 0 && !gather) return null;
+    
+    layer.group.updateMatrixWorld();
+    const inverseMatrix = new THREE.Matrix4().copy(layer.group.matrixWorld).invert();
+    const localScale = 1 / (layer.group.scale.x || 1);
+    const effects = [];
+    
+    pointerEffects.forEach(effect => {
+      effects.push({
+        type: effect.type,
+        origin: effect.origin.clone().applyMatrix4(inverseMatrix),
+        progress: Math.min((now - effect.startTime) / getPointerEffectDuration(effect.type), 1),
+        strength: effect.type === 'burst' ? ${settings.burstStrength} : ${settings.rippleStrength},
+        localScale: localScale
+      });
+    });
+    
+    if (gather) {
+      effects.push({
+        type: 'gather',
+        origin: gather.position.clone().applyMatrix4(inverseMatrix),
+        strength: ${settings.gatherStrength} * getGatherLevel(now),
+        localScale: localScale
+      });
+    }
+    
+    return effects;
+  }
+  
+  // Combined displacement of a particle's rest position by the click and hold effects
+  function getPointerEffectDisplacement(effects, restPosition) {
+    const displacement = new THREE.Vector3();
+    
+    effects.forEach(effect => {
+      const offset = new THREE.Vector3().subVectors(restPosition, effect.origin);
+      const distance = offset.length();
+      const worldDistance = distance / effect.localScale;
+      const direction = distance > 0 ? offset.clone().divideScalar(distance) : new THREE.Vector3(0, 0, 1);
+      
+      if (effect.type === 'burst') {
+        // Shockwave out in the first fifth, then ease back into the shape
+        const p = effect.progress;
+        const envelope = p < 0.2 ?
+                         Math.sin(p / 0.2 * Math.PI / 2) :
+                         0.5 * (1 + Math.cos(Math.PI * (p - 0.2) / 0.8));
+        const falloff = ${pointerEffectShape.burstFalloff} / (${pointerEffectShape.burstFalloff} + worldDistance);
+        const seed = Math.sin(restPosition.x * 12.9898 + restPosition.y * 78.233 + restPosition.z * 37.719) * 43758.5453;
+        const jitter = 0.6 + 0.8 * (seed - Math.floor(seed));
+        
+        displacement.add(direction.multiplyScalar(effect.strength * envelope * falloff * jitter * effect.localScale));
+      } else if (effect.type === 'ripple') {
+        // A ring travels outward, lifting particles as it passes
+        const x = (worldDistance - effect.progress * ${pointerEffectShape.rippleReach}) / ${pointerEffectShape.rippleWidth};
+        const wave = Math.exp(-x * x) * Math.sin(x * Math.PI);
+        const amplitude = effect.strength * wave * (1 - effect.progress) * effect.localScale;
+        
+        displacement.add(direction.multiplyScalar(amplitude * 0.5));
+        displacement.z += amplitude;
+      } else if (effect.type === 'gather') {
+        // Pull a share of the way toward the held pointer
+        displacement.addScaledVector(offset, -effect.strength);
+      }
+    });
+    
+    return displacement;
+  }
+
+  // Entrance and exit animations
+  // Start a layer's intro or outro; resolves once the last particle has arrived or left
+  function startLayerTransition(layer, type) {
+    return new Promise(resolve => {
+      // An earlier transition that gets replaced still settles its promise
+      if (layer.transition) layer.transition.resolve();
+      
+      if (type === 'intro') layer.group.visible = true;
+      
+      if ('${settings.transitionStyle}' === 'none' || !layer.particles || layer.particles.length === 0) {
+        layer.transition = null;
+        if (type === 'outro') layer.group.visible = false;
+        resolve();
+        return;
+      }
+      
+      // Box and center of the rest positions, used to order staggered particles
+      const box = new THREE.Box3();
+      layer.particles.forEach(particle => box.expandByPoint(particle.originalPosition));
+      const center = box.getCenter(new THREE.Vector3());
+      
+      layer.transition = {
+        type: type,
+        startTime: performance.now() / 1000,
+        duration: ${settings.transitionDuration},
+        box: box,
+        size: box.getSize(new THREE.Vector3()),
+        center: center,
+        maxDistance: Math.max(box.max.distanceTo(center), 1e-6),
+        resolve: resolve
+      };
+    });
+  }
+  
+  // Finish transitions whose time is up
+  function updateLayerTransitions(now) {
+    layers.forEach(layer => {
+      const transition = layer.transition;
+      if (!transition || now - transition.startTime < transition.duration) return;
+      
+      layer.transition = null;
+      if (transition.type === 'outro') layer.group.visible = false;
+      if ('${settings.transitionStyle}' === 'fade') resetTransitionOpacity(layer);
+      if ('${settings.transitionStyle}' === 'scale') resetTransitionScale(layer);
+      transition.resolve();
+    });
+  }
+  
+  // Full opacity again after a fade
+  function resetTransitionOpacity(layer) {
+    layer.particles.forEach(particle => {
+      if (particle.mesh instanceof THREE.InstancedMesh) {
+        particle.mesh.geometry.attributes.instanceOpacity.setX(particle.index, particle.opacity);
+        particle.mesh.geometry.attributes.instanceOpacity.needsUpdate = true;
+      } else if (particle.mesh) {
+        particle.mesh.material = particle.material;
+      }
+    });
+  }
+  
+  // Full size again after a scale transition, keeping each particle where it is
+  function resetTransitionScale(layer) {
+    const matrix = new THREE.Matrix4();
+    const position = new THREE.Vector3();
+    const rotation = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    
+    layer.particles.forEach(particle => {
+      if (particle.mesh instanceof THREE.InstancedMesh) {
+        particle.mesh.getMatrixAt(particle.index, matrix);
+        matrix.decompose(position, rotation, scale);
+        matrix.compose(position, rotation, scale.setScalar(particle.size));
+        particle.mesh.setMatrixAt(particle.index, matrix);
+        particle.mesh.instanceMatrix.needsUpdate = true;
+      } else if (particle.mesh) {
+        particle.mesh.scale.setScalar(particle.size);
+      }
+    });
+  }
+  
+  // Faded copies of the per-color materials in 0.05 steps, for fades on separate meshes
+  const fadedMaterials = new Map();
+  function getFadedMaterial(material, opacity) {
+    const level = Math.round(opacity * 20) / 20;
+    if (level >= 1) return material;
+    
+    const key = material.uuid + '_' + level;
+    if (!fadedMaterials.has(key)) {
+      const faded = material.clone();
+      faded.opacity = material.opacity * level;
+      fadedMaterials.set(key, faded);
+    }
+    return fadedMaterials.get(key);
+  }
+  
+  // Play the intro (or outro) of one layer, or of every layer when no id is given
+  function playLayerTransitions(type, layerId) {
+    const targets = layerId === undefined ? layers : layers.filter(layer => layer.id === layerId);
+    return Promise.all(targets.map(layer => startLayerTransition(layer, type)));
+  }
+  
+  function playIntro(layerId) {
+    return playLayerTransitions('intro', layerId);
+  }
+  
+  function playOutro(layerId) {
+    return playLayerTransitions('outro', layerId);
+  }
+  
+  // Offset from rest, size multiplier and opacity multiplier of one particle mid-transition
+  function getTransitionPose(transition, originalPosition, localScale) {
+    const { box, size, center, maxDistance } = transition;
+    const duration = transition.duration;
+    const elapsed = performance.now() / 1000 - transition.startTime;
+    const stagger = '${settings.transitionStagger}';
+    
+    // Stable per-particle random numbers
+    const random = salt => {
+      const seed = Math.sin(originalPosition.x * 12.9898 + originalPosition.y * 78.233 + originalPosition.z * 37.719 + salt) * 43758.5453;
+      return seed - Math.floor(seed);
+    };
+    
+    // 0 starts first, 1 starts last
+    let order = 0;
+    if (stagger === 'x') order = size.x > 0 ? (originalPosition.x - box.min.x) / size.x : 0;
+    if (stagger === 'y') order = size.y > 0 ? (box.max.y - originalPosition.y) / size.y : 0;
+    if (stagger === 'center') order = originalPosition.distanceTo(center) / maxDistance;
+    if (stagger === 'random') order = random(0);
+    
+    const span = stagger === 'none' ? duration : duration * 0.6;
+    const delay = stagger === 'none' ? 0 : order * duration * 0.4;
+    const t = Math.min(Math.max((elapsed - delay) / span, 0), 1);
+    const amount = transition.type === 'intro' ? Math.pow(1 - t, 3) : t * t * t;
+    
+    const offset = new THREE.Vector3();
+    let scale = 1;
+    let opacity = 1;
+    const style = '${settings.transitionStyle}';
+    
+    if (style === 'assemble') {
+      const theta = random(1) * Math.PI * 2;
+      const phi = Math.acos(2 * random(2) - 1);
+      const radius = (150 + random(3) * 250) * localScale;
+      const cloud = new THREE.Vector3().setFromSphericalCoords(radius, phi, theta).add(center);
+      offset.subVectors(cloud, originalPosition).multiplyScalar(amount);
+    } else if (style.indexOf('fly-') === 0) {
+      const edges = {
+        'fly-left': new THREE.Vector3(-1, 0, 0),
+        'fly-right': new THREE.Vector3(1, 0, 0),
+        'fly-top': new THREE.Vector3(0, 1, 0),
+        'fly-bottom': new THREE.Vector3(0, -1, 0)
+      };
+      offset.copy(edges[style]).multiplyScalar((500 + random(1) * 150) * localScale * amount);
+    } else if (style === 'scale') {
+      scale = 1 - amount;
+    } else if (style === 'fade') {
+      opacity = 1 - amount;
+    }
+    
+    return { offset: offset, scale: scale, opacity: opacity };
+  }
+  
+  // Easing curves for morphs and timeline keyframes
+  const easingCurves = {
+    'linear': t => t,
+    'ease-in': t => t * t * t,
+    'ease-out': t => 1 - Math.pow(1 - t, 3),
+    'ease-in-out': t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2
+  };
+  
+  // Layer morphs
+  // Morph one layer's particles onto another layer's shape; resolves once the target layer has taken over
+  // options: { duration, easing: 'linear' | 'ease-in' | 'ease-out' | 'ease-in-out', assignment: 'nearest' | 'sorted' }
+  function morph(fromLayerId, toLayerId, options) {
+    options = Object.assign({
+      duration: ${settings.morphDuration},
+      easing: '${settings.morphEasing}',
+      assignment: '${settings.morphAssignment}'
+    }, options);
+    
+    const source = layers.find(layer => layer.id === fromLayerId);
+    const target = layers.find(layer => layer.id === toLayerId);
+    if (!source || !target || source === target ||
+        !source.particles || !target.particles || source.particles.length === 0 || target.particles.length === 0) {
+      console.error('Morph needs two different layers that have finished loading');
+      return Promise.resolve();
+    }
+    
+    return new Promise(resolve => {
+      // A morph already running on either layer stops where it is
+      [source, target].forEach(layer => {
+        if (layer.morph) finishMorph(layer, false);
+      });
+      
+      // Bring the target shape into the source layer's local space
+      source.group.updateMatrixWorld(true);
+      target.group.updateMatrixWorld(true);
+      const toSourceSpace = new THREE.Matrix4()
+        .copy(source.group.matrixWorld)
+        .invert()
+        .multiply(target.group.matrixWorld);
+      
+      // Match the counts: spread the source particles evenly over the target's points, repeating them if needed
+      const targets = source.particles.map((particle, index) => {
+        const targetParticle = target.particles[Math.floor(index * target.particles.length / source.particles.length)];
+        return {
+          particle: targetParticle,
+          position: targetParticle.originalPosition.clone().applyMatrix4(toSourceSpace)
+        };
+      });
+      
+      const pairs = assignMorphTargets(
+        source.particles.map(particle => particle.originalPosition),
+        targets.map(entry => entry.position),
+        options.assignment
+      );
+      const sizeRatio = target.group.scale.x / (source.group.scale.x || 1);
+      
+      source.particles.forEach((particle, index) => {
+        const entry = targets[pairs[index]];
+        particle.morphTarget = entry.position;
+        particle.morphSize = entry.particle.size * sizeRatio;
+        particle.morphFromColor = getParticleColor(particle);
+        particle.morphToColor = getParticleColor(entry.particle);
+        particle.morphFromMaterial = particle.material || particle.mesh.material;
+        particle.morphToMaterial = entry.particle.material || entry.particle.mesh.material;
+      });
+      
+      [source, target].forEach(layer => {
+        if (layer.transition) {
+          layer.transition.resolve();
+          layer.transition = null;
+        }
+      });
+      
+      source.morph = {
+        target: target,
+        startTime: performance.now() / 1000,
+        duration: options.duration,
+        easing: easingCurves[options.easing] || easingCurves['linear'],
+        progress: 0,
+        resolve: resolve
+      };
+      
+      // The source carries the shape; the target appears once the particles land
+      source.visible = true;
+      source.group.visible = true;
+      target.visible = false;
+      target.group.visible = false;
+    });
+  }
+  
+  // Current color of a particle
+  function getParticleColor(particle) {
+    const color = new THREE.Color();
+    if (particle.mesh instanceof THREE.InstancedMesh) {
+      particle.mesh.getColorAt(particle.index, color);
+    } else {
+      color.copy(particle.mesh.material.color);
+    }
+    return color;
+  }
+  
+  // Pair every source point with a distinct target point (both lists the same length)
+  function assignMorphTargets(sources, targets, assignment) {
+    if (assignment === 'sorted') {
+      // Left to right
+      const order = points => points
+        .map((point, index) => index)
+        .sort((a, b) => (points[a].x - points[b].x) || (points[a].y - points[b].y) || (points[a].z - points[b].z));
+      const sourceOrder = order(sources);
+      const targetOrder = order(targets);
+      const result = new Array(sources.length);
+      sourceOrder.forEach((sourceIndex, rank) => {
+        result[sourceIndex] = targetOrder[rank];
+      });
+      return result;
+    }
+    
+    // Nearest neighbour: each source greedily claims the closest free target, searched on a grid
+    const box = new THREE.Box3().setFromPoints(targets);
+    const extent = box.getSize(new THREE.Vector3());
+    const cellSize = Math.max(extent.x, extent.y, extent.z, 1e-3) / Math.max(Math.sqrt(targets.length) / 2, 1);
+    const toCell = value => Math.floor(value / cellSize);
+    const cellKey = (cx, cy, cz) => cx + ',' + cy + ',' + cz;
+    
+    const cells = new Map();
+    targets.forEach((point, index) => {
+      const key = cellKey(toCell(point.x), toCell(point.y), toCell(point.z));
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(index);
+    });
     
-    // Handle window resize
-    window.addEventListener('resize', () => {
-      const width = container.clientWidth;
-      const height = container.clientHeight;
+    const min = { x: toCell(box.min.x), y: toCell(box.min.y), z: toCell(box.min.z) };
+    const max = { x: toCell(box.max.x), y: toCell(box.max.y), z: toCell(box.max.z) };
+    
+    return sources.map(source => {
+      const sx = toCell(source.x);
+      const sy = toCell(source.y);
+      const sz = toCell(source.z);
+      let best = null;
+      
+      const visit = (cx, cy, cz) => {
+        const key = cellKey(cx, cy, cz);
+        const cell = cells.get(key);
+        if (!cell) return;
+        cell.forEach((targetIndex, slot) => {
+          const distance = targets[targetIndex].distanceToSquared(source);
+          if (!best || distance < best.distance) {
+            best = { key: key, cell: cell, slot: slot, distance: distance };
+          }
+        });
+      };
       
-      camera.aspect = width / height;
-      camera.updateProjectionMatrix();
+      // Grow a shell of cells until nothing unvisited can be closer than the best so far
+      const maxRing = Math.max(
+        Math.abs(sx - min.x), Math.abs(sx - max.x),
+        Math.abs(sy - min.y), Math.abs(sy - max.y),
+        Math.abs(sz - min.z), Math.abs(sz - max.z)
+      );
+      for (let ring = 0; ring <= maxRing; ring++) {
+        for (let cz = Math.max(sz - ring, min.z); cz <= Math.min(sz + ring, max.z); cz++) {
+          for (let cx = Math.max(sx - ring, min.x); cx <= Math.min(sx + ring, max.x); cx++) {
+            if (Math.abs(cx - sx) === ring || Math.abs(cz - sz) === ring) {
+              for (let cy = Math.max(sy - ring, min.y); cy <= Math.min(sy + ring, max.y); cy++) visit(cx, cy, cz);
+            } else {
+              if (sy - ring >= min.y) visit(cx, sy - ring, cz);
+              if (sy + ring <= max.y) visit(cx, sy + ring, cz);
+            }
+          }
+        }
+        
+        if (best && Math.sqrt(best.distance) <= ring * cellSize) break;
+      }
       
-      renderer.setSize(width, height);
-      composer.setSize(width, height);
+      // Claim the target
+      const targetIndex = best.cell[best.slot];
+      best.cell[best.slot] = best.cell[best.cell.length - 1];
+      best.cell.pop();
+      if (best.cell.length === 0) cells.delete(best.key);
+      
+      return targetIndex;
+    });
+  }
+  
+  // Advance running morphs; colors blend here, positions and sizes in the particle updates
+  function updateLayerMorphs(now) {
+    layers.forEach(layer => {
+      const running = layer.morph;
+      if (!running) return;
+      
+      const t = Math.min(Math.max((now - running.startTime) / running.duration, 0), 1);
+      running.progress = running.easing(t);
+      
+      const color = new THREE.Color();
+      layer.particles.forEach(particle => {
+        if (particle.mesh instanceof THREE.InstancedMesh) {
+          color.lerpColors(particle.morphFromColor, particle.morphToColor, running.progress);
+          particle.mesh.setColorAt(particle.index, color);
+          particle.mesh.instanceColor.needsUpdate = true;
+        } else {
+          // Separate meshes share per-color materials, so they switch color halfway
+          particle.mesh.material = running.progress < 0.5 ? particle.morphFromMaterial : particle.morphToMaterial;
+        }
+      });
+      
+      if (t >= 1) finishMorph(layer, true);
+    });
+  }
+  
+  // Put the source particles back as they were and, if the morph completed, show the target in their place
+  function finishMorph(layer, completed) {
+    const running = layer.morph;
+    layer.morph = null;
+    
+    layer.particles.forEach(particle => {
+      if (particle.mesh instanceof THREE.InstancedMesh) {
+        particle.mesh.setColorAt(particle.index, particle.morphFromColor);
+        particle.mesh.instanceColor.needsUpdate = true;
+        
+        const matrix = new THREE.Matrix4().makeTranslation(
+          particle.originalPosition.x, particle.originalPosition.y, particle.originalPosition.z
+        );
+        matrix.scale(new THREE.Vector3().setScalar(particle.size));
+        particle.mesh.setMatrixAt(particle.index, matrix);
+        particle.mesh.instanceMatrix.needsUpdate = true;
+      } else {
+        particle.mesh.material = particle.morphFromMaterial;
+        particle.mesh.position.copy(particle.originalPosition);
+        particle.mesh.scale.setScalar(particle.size);
+      }
     });
     
-    // Start animation loop
-    animate();
+    if (completed) {
+      layer.visible = false;
+      layer.group.visible = false;
+      running.target.visible = true;
+      running.target.group.visible = true;
+    }
     
-    return true;
+    running.resolve();
   }
+
+  // Keyframe timeline
+  const timeline = ${JSON.stringify(getRuntimeTimeline())};
+  let timelineTime = 0;
+  let timelinePlaying = timeline.tracks.length > 0;
+  let timelineLastUpdate = null;
+  let timelineSettings = {}; // Animated settings, merged into the particle settings every frame
   
-  // Setup post-processing
-  function setupPostProcessing() {
-    composer = new THREE.EffectComposer(renderer);
+  // Value of a track at a time in seconds; holds the first and last keyframes outside their range
+  function sampleTimelineTrack(track, time) {
+    const keyframes = track.keyframes;
+    if (time <= keyframes[0].time) return keyframes[0].value;
     
-    const renderPass = new THREE.RenderPass(scene, camera);
-    composer.addPass(renderPass);
+    const last = keyframes[keyframes.length - 1];
+    if (time >= last.time) return last.value;
     
-    bloomPass = new THREE.UnrealBloomPass(
-      new THREE.Vector2(renderer.domElement.width, renderer.domElement.height),
-      ${settings.bloomStrength}, // Strength
-      ${settings.bloomRadius}, // Radius
-      ${settings.bloomThreshold} // Threshold
-    );
-    bloomPass.enabled = ${settings.glowEffect};
-    composer.addPass(bloomPass);
+    let index = 0;
+    while (keyframes[index + 1].time <= time) index++;
+    
+    const from = keyframes[index];
+    const to = keyframes[index + 1];
+    if (from.easing === 'hold' || typeof from.value === 'boolean') return from.value;
+    
+    const progress = (easingCurves[from.easing] || easingCurves['linear'])((time - from.time) / (to.time - from.time));
+    if (typeof from.value === 'string') {
+      return '#' + new THREE.Color(from.value).lerp(new THREE.Color(to.value), progress).getHexString();
+    }
+    return from.value + (to.value - from.value) * progress;
   }
   
-  // Setup mouse interaction
-  function setupMouseInteraction() {
-    renderer.domElement.addEventListener('mousemove', (event) => {
-      if (!${settings.mouseInteraction}) return;
-      
-      // Don't update if orbit controls are being used with mouse button down
-      if (controls.enabled && event.buttons > 0) return;
-      
-      const rect = renderer.domElement.getBoundingClientRect();
-      const x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-      const y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
-      
-      const raycaster = new THREE.Raycaster();
-      raycaster.setFromCamera(new THREE.Vector2(x, y), camera);
-      
-      const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
-      const intersection = new THREE.Vector3();
-      
-      if (raycaster.ray.intersectPlane(plane, intersection)) {
-        mousePosition.copy(intersection);
-        mouseMoved = true;
+  // Advance the playhead and apply the tracks
+  function updateTimeline(now) {
+    if (timeline.tracks.length === 0) return;
+    
+    if (timelinePlaying && timelineLastUpdate !== null) {
+      timelineTime += now - timelineLastUpdate;
+      if (timelineTime >= timeline.duration) {
+        if (timeline.loop) {
+          timelineTime %= timeline.duration;
+        } else {
+          timelineTime = timeline.duration;
+          timelinePlaying = false;
+        }
       }
-    });
+    }
+    timelineLastUpdate = now;
     
-    renderer.domElement.addEventListener('mouseleave', () => {
-      mousePosition.set(0, 0, 0);
-      mouseMoved = false;
+    applyTimeline();
+  }
+  
+  // Apply every track's value at the playhead
+  function applyTimeline() {
+    timeline.tracks.forEach(track => {
+      if (track.setting) {
+        timelineSettings[track.setting] = sampleTimelineTrack(track, timelineTime);
+      }
     });
     
-    // Touch support
-    renderer.domElement.addEventListener('touchmove', (event) => {
-      if (!${settings.mouseInteraction}) return;
-      
-      event.preventDefault();
+    if (bloomPass) {
+      if ('bloomStrength' in timelineSettings) bloomPass.strength = timelineSettings.bloomStrength;
+      if ('bloomRadius' in timelineSettings) bloomPass.radius = timelineSettings.bloomRadius;
+      if ('bloomThreshold' in timelineSettings) bloomPass.threshold = timelineSettings.bloomThreshold;
+    }
+    
+    layers.forEach(layer => {
+      const { position, rotation, scale } = layer.transform;
       
-      if (event.touches.length > 0) {
-        const touch = event.touches[0];
-        
-        const rect = renderer.domElement.getBoundingClientRect();
-        const x = ((touch.clientX - rect.left) / rect.width) * 2 - 1;
-        const y = -((touch.clientY - rect.top) / rect.height) * 2 + 1;
-        
-        const raycaster = new THREE.Raycaster();
-        raycaster.setFromCamera(new THREE.Vector2(x, y), camera);
+      timeline.tracks.forEach(track => {
+        if (track.layer !== layer.id) return;
+        const value = sampleTimelineTrack(track, timelineTime);
         
-        const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
-        const intersection = new THREE.Vector3();
-        
-        if (raycaster.ray.intersectPlane(plane, intersection)) {
-          mousePosition.copy(intersection);
-          mouseMoved = true;
+        if (track.property === 'position-x') position.x = value;
+        if (track.property === 'position-y') position.y = value;
+        if (track.property === 'position-z') position.z = value;
+        if (track.property === 'rotation-x') rotation.x = value;
+        if (track.property === 'rotation-y') rotation.y = value;
+        if (track.property === 'rotation-z') rotation.z = value;
+        if (track.property === 'scale') scale.x = scale.y = scale.z = value;
+        if (track.property === 'visible' && !layer.morph && !layer.transition) {
+          layer.visible = value;
+          layer.group.visible = value;
         }
-      }
-    }, { passive: false });
+      });
+      
+      applyLayerTransform(layer);
+    });
+  }
+  
+  function playTimeline() {
+    if (timelineTime >= timeline.duration) timelineTime = 0;
+    timelinePlaying = true;
+  }
+  
+  function pauseTimeline() {
+    timelinePlaying = false;
+  }
+  
+  // Jump to a time in seconds
+  function seekTimeline(time) {
+    timelineTime = Math.min(Math.max(time, 0), timeline.duration);
+    applyTimeline();
   }
 
   // Animation loop
@@ -2804,6 +9573,9 @@ const ParticleSystem = (function() {
     // Update controls
     if (controls) controls.update();
     
+    // Play the keyframe timeline
+    updateTimeline(performance.now() / 1000);
+    
     // Update particles animation
     updateParticlesAnimation();
     
@@ -2818,8 +9590,8 @@ const ParticleSystem = (function() {
   // SVG layer management
   let nextLayerId = 1;
   
-  // Create a new layer from SVG
-  function addSVGLayer(svgString, name) {
+  // Create a new layer from SVG; layerSettings overrides the particle and motion settings for this layer only
+  function addSVGLayer(svgString, name, layerSettings) {
     const layerId = nextLayerId++;
     const layerName = name || \`Layer \${layerId}\`;
     
@@ -2829,7 +9601,13 @@ const ParticleSystem = (function() {
       name: layerName,
       visible: true,
       group: new THREE.Group(),
-      useInstanced: ${settings.useInstanced}
+      useInstanced: ${settings.useInstanced},
+      settings: Object.assign({}, layerSettings),
+      transform: {
+        position: { x: 0, y: 0, z: 0 },
+        rotation: { x: 0, y: 0, z: 0 }, // Degrees
+        scale: { x: 1, y: 1, z: 1 } // On top of the global SVG scale
+      }
     };
     
     // Add to scene
@@ -2844,6 +9622,31 @@ const ParticleSystem = (function() {
     return layerId;
   }
   
+  // Move, rotate or scale a layer; transform: { position, rotation (degrees), scale }, each { x, y, z } and all optional
+  function setLayerTransform(layerId, transform) {
+    const layer = layers.find(l => l.id === layerId);
+    if (!layer) return;
+    
+    ['position', 'rotation', 'scale'].forEach(property => {
+      if (transform[property]) Object.assign(layer.transform[property], transform[property]);
+    });
+    applyLayerTransform(layer);
+  }
+  
+  // Place a layer's group from its transform and the global SVG scale
+  function applyLayerTransform(layer) {
+    const svgScale = 'svgScale' in timelineSettings ? timelineSettings.svgScale : ${settings.svgScale};
+    const { position, rotation, scale } = layer.transform;
+    
+    layer.group.position.set(position.x, position.y, position.z);
+    layer.group.rotation.set(
+      THREE.MathUtils.degToRad(rotation.x),
+      THREE.MathUtils.degToRad(rotation.y),
+      THREE.MathUtils.degToRad(rotation.z)
+    );
+    layer.group.scale.set(svgScale * scale.x, svgScale * scale.y, svgScale * scale.z);
+  }
+  
   // Process SVG for a layer
   function processSVG(layer, svgString) {
     const settings = {
@@ -2851,11 +9654,13 @@ const ParticleSystem = (function() {
       particleDensity: ${settings.particleDensity},
       minSize: ${settings.minSize},
       maxSize: ${settings.maxSize},
+      particleOpacity: ${settings.particleOpacity},
       color: '${settings.color}',
       useGradient: ${settings.useGradient},
       gradientColor1: '${settings.gradientColor1}',
       gradientColor2: '${settings.gradientColor2}',
       preserveColors: ${settings.preserveColors},
+      distribution: '${settings.distribution}',
       animationSpeed: ${settings.animationSpeed},
       mouseInteraction: ${settings.mouseInteraction},
       sandEffect: ${settings.sandEffect},
@@ -2870,8 +9675,11 @@ const ParticleSystem = (function() {
       strokeWidth: ${settings.strokeWidth},
       strokeDetail: ${settings.strokeDetail},
       svgScale: ${settings.svgScale},
-      svgDepth: ${settings.svgDepth}
+      svgDepth: ${settings.svgDepth},
+      layerOpacity: 1, // Multiplies particleOpacity for this layer
+      blendMode: 'normal' // 'normal', 'additive' or 'multiply'
     };
+    Object.assign(settings, layer.settings);
     
     // Create a DOMParser to parse the SVG
     const parser = new DOMParser();
@@ -3047,7 +9855,7 @@ const ParticleSystem = (function() {
   // Create particles for a layer
   function createParticles(layer, points, strokePoints, fillPoints, settings, colors, strokeColors, fillColors) {
     // Sample points
-    let sampledPoints = samplePoints(points, strokePoints, fillPoints, settings.particleCount, colors, strokeColors, fillColors);
+    let sampledPoints = samplePoints(points, strokePoints, fillPoints, settings.particleCount, colors, strokeColors, fillColors, settings.distribution);
     
     // Create particles
     if (layer.useInstanced && points.length > 500) {
@@ -3056,12 +9864,15 @@ const ParticleSystem = (function() {
       createTraditionalParticles(layer, sampledPoints, settings);
     }
     
-    // Apply scale
-    layer.group.scale.set(settings.svgScale, settings.svgScale, settings.svgScale);
+    // Place the layer
+    applyLayerTransform(layer);
+    
+    // Play the entrance animation
+    startLayerTransition(layer, 'intro');
   }
   
   // Sample points for particle creation
-  function samplePoints(points, strokePoints, fillPoints, targetCount, colors, strokeColors, fillColors) {
+  function samplePoints(points, strokePoints, fillPoints, targetCount, colors, strokeColors, fillColors, distribution) {
     let result = [];
     
     if (points.length <= targetCount) {
@@ -3081,10 +9892,7 @@ const ParticleSystem = (function() {
       
       // Sample stroke points
       if (strokePoints.length > 0) {
-        const strokeIndices = new Set();
-        while (strokeIndices.size < Math.min(strokeCount, strokePoints.length)) {
-          strokeIndices.add(Math.floor(Math.random() * strokePoints.length));
-        }
+        const strokeIndices = selectIndices(strokePoints, strokeCount, distribution);
         
         for (const index of strokeIndices) {
           result.push({
@@ -3097,10 +9905,7 @@ const ParticleSystem = (function() {
       
       // Sample fill points
       if (fillPoints.length > 0) {
-        const fillIndices = new Set();
-        while (fillIndices.size < Math.min(fillCount, fillPoints.length)) {
-          fillIndices.add(Math.floor(Math.random() * fillPoints.length));
-        }
+        const fillIndices = selectIndices(fillPoints, fillCount, distribution);
         
         for (const index of fillIndices) {
           result.push({
@@ -3115,86 +9920,179 @@ const ParticleSystem = (function() {
     return result;
   }
   
-  // Create instanced particles
+  // Pick distinct indices, either uniformly at random or as blue noise (Poisson disk)
+  function selectIndices(points, count, distribution) {
+    const target = Math.min(count, points.length);
+    const selected = new Set();
+    
+    if (distribution !== 'blue-noise') {
+      while (selected.size < target) {
+        selected.add(Math.floor(Math.random() * points.length));
+      }
+      return selected;
+    }
+    
+    // Estimate covered area with a coarse occupancy grid
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    points.forEach(p => {
+      minX = Math.min(minX, p.x); maxX = Math.max(maxX, p.x);
+      minY = Math.min(minY, p.y); maxY = Math.max(maxY, p.y);
+    });
+    const areaCell = Math.max(maxX - minX, maxY - minY, 1e-3) / 64;
+    const occupied = new Set();
+    points.forEach(p => {
+      occupied.add(Math.floor((p.x - minX) / areaCell) + ',' + Math.floor((p.y - minY) / areaCell));
+    });
+    let radius = 0.8 * Math.sqrt(occupied.size * areaCell * areaCell / Math.max(target, 1));
+    
+    // Shuffle candidates
+    const order = points.map((p, i) => i);
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    
+    // Dart throwing, relaxing the spacing until the count is met
+    while (selected.size < target && radius > 1e-4) {
+      const cellSize = radius / Math.SQRT2;
+      const grid = new Map();
+      selected.forEach(i => {
+        grid.set(Math.floor(points[i].x / cellSize) + ',' + Math.floor(points[i].y / cellSize), i);
+      });
+      
+      for (const i of order) {
+        if (selected.size >= target) break;
+        if (selected.has(i)) continue;
+        
+        const p = points[i];
+        const cx = Math.floor(p.x / cellSize);
+        const cy = Math.floor(p.y / cellSize);
+        let accepted = true;
+        
+        for (let dy = -2; dy <= 2 && accepted; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            const n = grid.get((cx + dx) + ',' + (cy + dy));
+            if (n === undefined) continue;
+            
+            // Spacing is measured in the image plane, ignoring depth
+            const ddx = p.x - points[n].x;
+            const ddy = p.y - points[n].y;
+            if (ddx * ddx + ddy * ddy < radius * radius) {
+              accepted = false;
+              break;
+            }
+          }
+        }
+        
+        if (accepted) {
+          selected.add(i);
+          grid.set(cx + ',' + cy, i);
+        }
+      }
+      
+      radius *= 0.85;
+    }
+    
+    // Coincident points never pass; fill any shortfall from the rejected ones
+    for (const i of order) {
+      if (selected.size >= target) break;
+      selected.add(i);
+    }
+    
+    return selected;
+  }
+  
+  // Blending for each layer blendMode setting
+  const blendModes = {
+    normal: THREE.NormalBlending,
+    additive: THREE.AdditiveBlending,
+    multiply: THREE.MultiplyBlending
+  };
+  
+  // Create instanced particles: one mesh per layer, colored and faded per instance
   function createInstancedParticles(layer, sampledPoints, settings) {
-    // Group by color and type
-    const groups = new Map();
+    const count = sampledPoints.length;
+    if (count === 0) return;
     
-    // Process points
-    sampledPoints.forEach(data => {
-      const isStroke = data.isStroke;
-      let color;
+    const geometry = new THREE.SphereGeometry(1, 16, 16);
+    const opacities = new Float32Array(count);
+    geometry.setAttribute('instanceOpacity', new THREE.InstancedBufferAttribute(opacities, 1));
+    
+    const material = new THREE.MeshBasicMaterial({
+      color: 0xffffff,
+      transparent: true,
+      opacity: settings.particleOpacity,
+      blending: blendModes[settings.blendMode] || THREE.NormalBlending
+    });
+    
+    // Multiply the per-instance opacity into the fragment alpha
+    material.onBeforeCompile = function(shader) {
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', '#include <common>\\nattribute float instanceOpacity;\\nvarying float vInstanceOpacity;')
+        .replace('#include <begin_vertex>', '#include <begin_vertex>\\nvInstanceOpacity = instanceOpacity;');
+      shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', '#include <common>\\nvarying float vInstanceOpacity;')
+        .replace('vec4 diffuseColor = vec4( diffuse, opacity );', 'vec4 diffuseColor = vec4( diffuse, opacity * vInstanceOpacity );');
+    };
+    
+    const instancedMesh = new THREE.InstancedMesh(geometry, material, count);
+    instancedMesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(count * 3), 3);
+    instancedMesh.frustumCulled = false;
+    
+    const instanceColor = new THREE.Color();
+    
+    sampledPoints.forEach((data, i) => {
+      const { point, isStroke } = data;
       
+      // Color
+      let color;
       if (settings.preserveColors && data.color) {
         color = data.color;
       } else if (settings.useGradient) {
-        const normalizedY = (data.point.y + 100) / 200;
+        const normalizedY = (point.y + 100) / 200;
         color = interpolateColor(settings.gradientColor1, settings.gradientColor2, normalizedY);
       } else {
         color = isStroke ? tintColor(settings.color, 1.2) : settings.color;
       }
       
-      // Get key for grouping
-      const key = \`\${color}_\${isStroke ? 'stroke' : 'fill'}\`;
-      
-      if (!groups.has(key)) {
-        groups.set(key, []);
-      }
-      groups.get(key).push(data);
-    });
-    
-    // Create instanced meshes for each group
-    const sphereGeometry = new THREE.SphereGeometry(1, 16, 16);
-    
-    groups.forEach((particles, key) => {
-      // Create material
-      const [colorStr, type] = key.split('_');
-      const material = new THREE.MeshBasicMaterial({
-        color: new THREE.Color(colorStr),
-        transparent: true,
-        opacity: type === 'stroke' ? 0.9 : 0.8
-      });
+      instancedMesh.setColorAt(i, instanceColor.set(color));
+      opacities[i] = (isStroke ? 0.9 : 0.8) * settings.layerOpacity;
+      data.opacity = opacities[i];
       
-      // Create instanced mesh
-      const instancedMesh = new THREE.InstancedMesh(sphereGeometry, material, particles.length);
-      instancedMesh.frustumCulled = false;
-      
-      // Set matrices
-      particles.forEach((data, i) => {
-        const { point } = data;
-        const sizeFactor = data.isStroke ? 0.8 : 1.0;
-        const size = (settings.minSize + Math.random() * (settings.maxSize - settings.minSize)) * sizeFactor;
-        
-        const matrix = new THREE.Matrix4();
-        matrix.makeTranslation(point.x, point.y, point.z);
-        matrix.scale(new THREE.Vector3(size, size, size));
-        instancedMesh.setMatrixAt(i, matrix);
-        
-        // Store animation data
-        data.index = i;
-        data.mesh = instancedMesh;
-        data.size = size;
-        data.originalPosition = point.clone();
-        data.angle = Math.random() * Math.PI * 2;
-        data.speed = 0.05 + Math.random() * 0.05;
-        data.amplitude = Math.random() * 2;
-        data.offset = new THREE.Vector3();
-        data.velocity = new THREE.Vector3();
-        data.noiseOffset = {
-          x: Math.random() * 1000,
-          y: Math.random() * 1000,
-          z: Math.random() * 1000
-        };
-      });
+      // Size
+      const sizeFactor = isStroke ? 0.8 : 1.0;
+      const size = (settings.minSize + Math.random() * (settings.maxSize - settings.minSize)) * sizeFactor;
       
-      instancedMesh.instanceMatrix.needsUpdate = true;
+      const matrix = new THREE.Matrix4();
+      matrix.makeTranslation(point.x, point.y, point.z);
+      matrix.scale(new THREE.Vector3(size, size, size));
+      instancedMesh.setMatrixAt(i, matrix);
       
-      // Add to layer
-      layer.group.add(instancedMesh);
+      // Store animation data
+      data.index = i;
+      data.mesh = instancedMesh;
+      data.size = size;
+      data.originalPosition = point.clone();
+      data.angle = Math.random() * Math.PI * 2;
+      data.speed = 0.05 + Math.random() * 0.05;
+      data.amplitude = Math.random() * 2;
+      data.offset = new THREE.Vector3();
+      data.velocity = new THREE.Vector3();
+      data.noiseOffset = {
+        x: Math.random() * 1000,
+        y: Math.random() * 1000,
+        z: Math.random() * 1000
+      };
     });
     
+    instancedMesh.instanceMatrix.needsUpdate = true;
+    instancedMesh.instanceColor.needsUpdate = true;
+    
+    // Add to layer
+    layer.group.add(instancedMesh);
+    
     // Store particles data
-    layer.particles = Array.from(groups.values()).flat();
+    layer.particles = sampledPoints;
   }
   
   // Create traditional particles
@@ -3228,7 +10126,8 @@ const ParticleSystem = (function() {
         materials.set(materialKey, new THREE.MeshBasicMaterial({
           color: new THREE.Color(color),
           transparent: true,
-          opacity: isStroke ? 0.9 : 0.8
+          opacity: (isStroke ? 0.9 : 0.8) * settings.layerOpacity * settings.particleOpacity,
+          blending: blendModes[settings.blendMode] || THREE.NormalBlending
         }));
       }
       
@@ -3239,6 +10138,7 @@ const ParticleSystem = (function() {
       
       // Store data for animation
       data.mesh = mesh;
+      data.material = mesh.material;
       data.size = size;
       data.originalPosition = point.clone();
       data.angle = Math.random() * Math.PI * 2;
@@ -3261,8 +10161,6 @@ const ParticleSystem = (function() {
   
   // Animation update
   function updateParticlesAnimation() {
-    const time = performance.now() * 0.001 * ${settings.animationSpeed} * 0.5;
-    
     // Animation settings
     const settings = {
       noiseMovement: ${settings.noiseMovement},
@@ -3277,20 +10175,56 @@ const ParticleSystem = (function() {
       svgDepth: ${settings.svgDepth},
       animationSpeed: ${settings.animationSpeed}
     };
+    Object.assign(settings, timelineSettings);
+    
+    // Drop finished click effects and released gathers
+    const now = performance.now() / 1000;
+    pointerEffects = pointerEffects.filter(effect => now - effect.startTime < getPointerEffectDuration(effect.type));
+    if (gather && gather.releaseTime !== null && getGatherLevel(now) === 0) {
+      gather = null;
+    }
+    updateLayerTransitions(now);
+    updateLayerMorphs(now);
     
     // Update all visible layers
     layers.forEach(layer => {
       if (!layer.visible) return;
       
+      // Running bursts, ripples and gathers for this layer
+      const effects = getLayerPointerEffects(layer, now);
+      
+      // Transitions and morphs place particles exactly; sand physics resumes once they finish
+      const transition = layer.transition;
+      const layerMorph = layer.morph;
+      const layerSettings = Object.assign({}, settings, layer.settings);
+      if (transition || layerMorph) layerSettings.sandEffect = false;
+      const time = performance.now() * 0.001 * layerSettings.animationSpeed * 0.5;
+      const layerPointers = getLayerPointers(layer, layerSettings);
+      
       // Update particles in this layer
       layer.particles.forEach(particle => {
-        updateParticle(particle, time, settings);
+        updateParticle(particle, time, layerSettings, effects, transition, layerMorph, layerPointers);
       });
     });
   }
   
+  // Pointers in a layer's local space, with the interaction radius and strength (world units) scaled to match
+  function getLayerPointers(layer, settings) {
+    if (!settings.mouseInteraction || pointers.size === 0) return null;
+    
+    layer.group.updateMatrixWorld();
+    const inverseMatrix = new THREE.Matrix4().copy(layer.group.matrixWorld).invert();
+    const localScale = 1 / (layer.group.scale.x || 1);
+    
+    return Array.from(pointers.values(), pointer => ({
+      position: pointer.position.clone().applyMatrix4(inverseMatrix),
+      radius: settings.interactionRadius * pointer.radiusScale * localScale,
+      strength: settings.interactionStrength * localScale
+    }));
+  }
+  
   // Update a single particle
-  function updateParticle(particle, time, settings) {
+  function updateParticle(particle, time, settings, effects, transition, layerMorph, layerPointers) {
     const { mesh, originalPosition, isStroke, noiseOffset } = particle;
     
     // Skip if mesh doesn't exist
@@ -3298,13 +10232,14 @@ const ParticleSystem = (function() {
     
     // For instanced meshes
     if (mesh instanceof THREE.InstancedMesh) {
-      updateInstancedParticle(particle, time, settings);
+      updateInstancedParticle(particle, time, settings, effects, transition, layerMorph, layerPointers);
       return;
     }
     
     // For regular meshes
     const currentPosition = mesh.position.clone();
     let newPosition = originalPosition.clone();
+    if (layerMorph) newPosition.lerp(particle.morphTarget, layerMorph.progress);
     
     // Apply animation
     if (settings.noiseMovement) {
@@ -3359,17 +10294,35 @@ const ParticleSystem = (function() {
       particle.offset.multiplyScalar(1.2);
     }
     
-    // Mouse interaction
-    if (settings.mouseInteraction && mouseMoved && mousePosition.length() > 0) {
-      const distanceToMouse = mesh.position.distanceTo(mousePosition);
-      const scale = mesh.parent ? mesh.parent.scale.x : 1;
+    // Entrance or exit animation
+    const localScale = mesh.parent ? 1 / mesh.parent.scale.x : 1;
+    const transitionPose = transition ? getTransitionPose(transition, originalPosition, localScale) : null;
+    if (transitionPose) {
+      newPosition.add(transitionPose.offset);
+    }
+    
+    // Click and hold effects around the rest position
+    if (effects) {
+      const effectDisplacement = getPointerEffectDisplacement(effects, originalPosition);
+      newPosition.add(effectDisplacement);
       
-      if (distanceToMouse < settings.interactionRadius * scale) {
-        const forceFactor = (settings.interactionRadius * scale - distanceToMouse) / (settings.interactionRadius * scale);
-        const force = settings.interactionStrength * forceFactor;
+      if (settings.sandEffect) {
+        particle.velocity.add(effectDisplacement.multiplyScalar(0.05 * settings.sandReturn));
+      }
+    }
+    
+    // Pointer interaction, one push per active pointer
+    if (layerPointers) {
+      layerPointers.forEach(pointer => {
+        const radius = pointer.radius;
+        const distanceToPointer = mesh.position.distanceTo(pointer.position);
+        if (distanceToPointer >= radius) return;
+        
+        const forceFactor = (radius - distanceToPointer) / radius;
+        const force = pointer.strength * forceFactor;
         
         const forceDirection = new THREE.Vector3()
-          .subVectors(mesh.position, mousePosition)
+          .subVectors(mesh.position, pointer.position)
           .normalize()
           .multiplyScalar(force);
         
@@ -3387,7 +10340,7 @@ const ParticleSystem = (function() {
             particle.velocity.sub(forceDirection.multiplyScalar(settings.sandStrength * 0.1));
           }
         }
-      }
+      });
     }
     
     // Sand physics
@@ -3409,10 +10362,21 @@ const ParticleSystem = (function() {
     // Add rotation
     mesh.rotation.x += 0.01 * settings.animationSpeed;
     mesh.rotation.y += 0.01 * settings.animationSpeed;
+    
+    // Grow or shrink during a morph or scale transition
+    if (transitionPose || layerMorph) {
+      const size = layerMorph ? THREE.MathUtils.lerp(particle.size, particle.morphSize, layerMorph.progress) : particle.size;
+      mesh.scale.setScalar(size * (transitionPose ? transitionPose.scale : 1));
+    }
+    
+    // Fade transitions swap in a faded copy of the particle's material
+    if (transitionPose && '${settings.transitionStyle}' === 'fade') {
+      mesh.material = getFadedMaterial(particle.material, transitionPose.opacity);
+    }
   }
   
   // Update an instanced particle
-  function updateInstancedParticle(particle, time, settings) {
+  function updateInstancedParticle(particle, time, settings, effects, transition, layerMorph, layerPointers) {
     const { mesh, originalPosition, index } = particle;
     
     // Get current matrix
@@ -3425,8 +10389,9 @@ const ParticleSystem = (function() {
     const scale = new THREE.Vector3();
     matrix.decompose(position, rotation, scale);
     
-    // Calculate new position
+    // Calculate new position, partway to the morph target if one is running
     let newPosition = originalPosition.clone();
+    if (layerMorph) newPosition.lerp(particle.morphTarget, layerMorph.progress);
     
     // Apply animation
     if (settings.noiseMovement) {
@@ -3481,17 +10446,35 @@ const ParticleSystem = (function() {
       particle.offset.multiplyScalar(1.2);
     }
     
-    // Mouse interaction
-    if (settings.mouseInteraction && mouseMoved && mousePosition.length() > 0) {
-      const distanceToMouse = position.distanceTo(mousePosition);
-      const parentScale = mesh.parent ? mesh.parent.scale.x : 1;
+    // Entrance or exit animation
+    const localScale = mesh.parent ? 1 / mesh.parent.scale.x : 1;
+    const transitionPose = transition ? getTransitionPose(transition, originalPosition, localScale) : null;
+    if (transitionPose) {
+      newPosition.add(transitionPose.offset);
+    }
+    
+    // Click and hold effects around the rest position
+    if (effects) {
+      const effectDisplacement = getPointerEffectDisplacement(effects, originalPosition);
+      newPosition.add(effectDisplacement);
       
-      if (distanceToMouse < settings.interactionRadius * parentScale) {
-        const forceFactor = (settings.interactionRadius * parentScale - distanceToMouse) / (settings.interactionRadius * parentScale);
-        const force = settings.interactionStrength * forceFactor;
+      if (settings.sandEffect) {
+        particle.velocity.add(effectDisplacement.multiplyScalar(0.05 * settings.sandReturn));
+      }
+    }
+    
+    // Pointer interaction, one push per active pointer
+    if (layerPointers) {
+      layerPointers.forEach(pointer => {
+        const radius = pointer.radius;
+        const distanceToPointer = position.distanceTo(pointer.position);
+        if (distanceToPointer >= radius) return;
+        
+        const forceFactor = (radius - distanceToPointer) / radius;
+        const force = pointer.strength * forceFactor;
         
         const forceDirection = new THREE.Vector3()
-          .subVectors(position, mousePosition)
+          .subVectors(position, pointer.position)
           .normalize()
           .multiplyScalar(force);
         
@@ -3509,7 +10492,7 @@ const ParticleSystem = (function() {
             particle.velocity.sub(forceDirection.multiplyScalar(settings.sandStrength * 0.1));
           }
         }
-      }
+      });
     }
     
     // Sand physics
@@ -3534,8 +10517,19 @@ const ParticleSystem = (function() {
     const rotY = new THREE.Matrix4().makeRotationY(0.01 * settings.animationSpeed);
     newMatrix.multiply(rotX).multiply(rotY);
     
-    // Apply scale
-    newMatrix.scale(scale);
+    // Apply scale, resized during a morph or scale transition
+    if (transitionPose || layerMorph) {
+      const size = layerMorph ? THREE.MathUtils.lerp(particle.size, particle.morphSize, layerMorph.progress) : particle.size;
+      newMatrix.scale(new THREE.Vector3().setScalar(size * (transitionPose ? transitionPose.scale : 1)));
+    } else {
+      newMatrix.scale(scale);
+    }
+    
+    // Fade transitions ramp the per-instance opacity
+    if (transitionPose && '${settings.transitionStyle}' === 'fade') {
+      mesh.geometry.attributes.instanceOpacity.setX(index, particle.opacity * transitionPose.opacity);
+      mesh.geometry.attributes.instanceOpacity.needsUpdate = true;
+    }
     
     // Update instance matrix
     mesh.setMatrixAt(index, newMatrix);
@@ -3558,7 +10552,14 @@ const ParticleSystem = (function() {
   // Return public API
   return {
     init: init,
-    addSVGLayer: addSVGLayer
+    addSVGLayer: addSVGLayer,
+    setLayerTransform: setLayerTransform,
+    playIntro: playIntro,
+    playOutro: playOutro,
+    morph: morph,
+    playTimeline: playTimeline,
+    pauseTimeline: pauseTimeline,
+    seekTimeline: seekTimeline
   };
 })();
 
@@ -3569,12 +10570,30 @@ document.addEventListener('DOMContentLoaded', function() {
   
   // 2. Add SVG layers
   const svgData = \`${
-    state.layers.length > 0 
-    ? state.layers[0].svgString?.replace(/\\/g, '\\\\').replace(/\`/g, '\\`').substring(0, 500) + '...'
+    state.layers.some(l => l.svgString) 
+    ? state.layers.find(l => l.svgString).svgString.replace(/\\/g, '\\\\').replace(/\`/g, '\\`').substring(0, 500) + '...'
     : '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><circle cx="50" cy="50" r="40" fill="none" stroke="white" stroke-width="2"/></svg>'
   }\`;
   
-  ParticleSystem.addSVGLayer(svgData, 'Example Layer');
+  // The optional third argument gives a layer its own settings, e.g. { particleCount: 800, layerOpacity: 0.5, blendMode: 'additive' }
+  const layerId = ParticleSystem.addSVGLayer(svgData, 'Example Layer'${
+    Object.keys(exampleSettings).length > 0 ? ', ' + JSON.stringify(exampleSettings) : ''
+  });
+  
+  // Place the layer: position, rotation in degrees and per-axis scale
+  ${exampleLayer ? '' : '// '}ParticleSystem.setLayerTransform(layerId, ${JSON.stringify(exampleLayer ? exampleLayer.transform : createLayerTransform())});
+  
+  // 3. Replay the entrance or exit animation on demand (pass a layer id to target one layer)
+  // ParticleSystem.playOutro().then(() => ParticleSystem.playIntro());
+  
+  // 4. Morph one layer into another (ids as returned by addSVGLayer)
+  // ParticleSystem.morph(firstLayerId, secondLayerId, { duration: 2, easing: 'ease-in-out' });
+  
+  // 5. The keyframe timeline plays on load when it has tracks; control it with
+  // ParticleSystem.pauseTimeline(), ParticleSystem.seekTimeline(seconds) and ParticleSystem.playTimeline()${
+    editorOnlyTracks.length > 0 ? `
+  // Timeline tracks left out of this export: ${editorOnlyTracks.join(', ')}` : ''
+  }
 });`;
       
       // Set the code in the code element
@@ -3622,6 +10641,8 @@ document.addEventListener('DOMContentLoaded', function() {
       if (footer) footer.style.display = 'none';
       if (canvasControls) canvasControls.style.display = 'none';
       if (stats) stats.style.display = 'none';
+      if (state.forceFieldGizmos) state.forceFieldGizmos.visible = false;
+      if (state.transformControls) state.transformControls.visible = false;
       
       // Render the scene with current settings
       const glowEffectEl = document.getElementById('glow-effect');
@@ -3650,6 +10671,8 @@ document.addEventListener('DOMContentLoaded', function() {
       if (footer) footer.style.display = '';
       if (canvasControls) canvasControls.style.display = '';
       if (stats) stats.style.display = '';
+      updateForceFieldGizmosVisibility();
+      updateTransformControls();
       
       // Show notification
       showNotification("Screenshot saved!", "success");
@@ -3674,6 +10697,8 @@ document.addEventListener('DOMContentLoaded', function() {
       if (footer) footer.style.display = 'none';
       if (canvasControls) canvasControls.style.display = 'none';
       if (stats) stats.style.display = 'none';
+      if (state.forceFieldGizmos) state.forceFieldGizmos.visible = false;
+      if (state.transformControls) state.transformControls.visible = false;
       
       // Setup GIF recorder with GIF.js
       // This assumes you've included GIF.js in your HTML
@@ -3698,9 +10723,18 @@ document.addEventListener('DOMContentLoaded', function() {
         
         // Add frame callback
         let frames = 0;
-        const maxFrames = 60; // 2 seconds at 30fps
+        
+        // With a timeline the GIF plays it from the start (up to 10 seconds); otherwise 2 seconds at 30fps
+        const captureTimeline = hasTimelineTracks();
+        const maxFrames = captureTimeline ? Math.min(Math.ceil(state.timeline.duration * 30), 300) : 60;
+        const timelineWasPlaying = state.timeline.playing;
+        const timelineTime = state.timeline.time;
+        if (captureTimeline) pauseTimeline();
         
         function captureFrame() {
+          // Step the timeline in 30fps frames so the GIF timing matches it
+          if (captureTimeline) seekTimeline(frames / 30);
+          
           // Render frame
           if (document.getElementById('glow-effect').checked) {
             state.composer.render();
@@ -3717,6 +10751,12 @@ document.addEventListener('DOMContentLoaded', function() {
           if (frames < maxFrames) {
             requestAnimationFrame(captureFrame);
           } else {
+            // Put the timeline back the way it was before capture
+            if (captureTimeline) {
+              seekTimeline(timelineTime);
+              if (timelineWasPlaying) playTimeline();
+            }
+            
             // Finish GIF
             showNotification("Rendering GIF...", "info");
             
@@ -3737,6 +10777,8 @@ document.addEventListener('DOMContentLoaded', function() {
               if (footer) footer.style.display = '';
               if (canvasControls) canvasControls.style.display = '';
               if (stats) stats.style.display = '';
+              updateForceFieldGizmosVisibility();
+              updateTransformControls();
               
               showNotification("GIF saved!", "success");
             });
@@ -3760,6 +10802,80 @@ document.addEventListener('DOMContentLoaded', function() {
       if (footer) footer.style.display = '';
       if (canvasControls) canvasControls.style.display = '';
       if (stats) stats.style.display = '';
+      updateForceFieldGizmosVisibility();
+      updateTransformControls();
+    }
+  }
+
+  /**
+   * Record the canvas to a WebM video: the whole timeline when there is one, otherwise 5 seconds
+   */
+  function exportVideo() {
+    const canvas = state.renderer.domElement;
+    if (typeof MediaRecorder === 'undefined' || !canvas.captureStream) {
+      showNotification("Video export isn't supported in this browser", "error");
+      return;
+    }
+    
+    try {
+      const mimeType = ['video/webm;codecs=vp9', 'video/webm'].find(type => MediaRecorder.isTypeSupported(type));
+      const recorder = new MediaRecorder(canvas.captureStream(30), mimeType ? { mimeType } : undefined);
+      const chunks = [];
+      
+      recorder.ondataavailable = e => {
+        if (e.data.size > 0) chunks.push(e.data);
+      };
+      
+      // The recording plays the timeline from the start; afterwards it goes back to where it was
+      const captureTimeline = hasTimelineTracks();
+      const duration = captureTimeline ? state.timeline.duration : 5;
+      const timelineWasPlaying = state.timeline.playing;
+      const timelineTime = state.timeline.time;
+      
+      recorder.onstop = () => {
+        if (captureTimeline) {
+          seekTimeline(timelineTime);
+          if (timelineWasPlaying) {
+            playTimeline();
+          } else {
+            pauseTimeline();
+          }
+        }
+        
+        const url = URL.createObjectURL(new Blob(chunks, { type: 'video/webm' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'partycle-animation.webm';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        
+        if (dom.exportVideoBtn) dom.exportVideoBtn.disabled = false;
+        updateForceFieldGizmosVisibility();
+        updateTransformControls();
+        showNotification("Video saved!", "success");
+      };
+      
+      // Gizmos are editor-only
+      if (state.forceFieldGizmos) state.forceFieldGizmos.visible = false;
+      if (state.transformControls) state.transformControls.visible = false;
+      if (dom.exportVideoBtn) dom.exportVideoBtn.disabled = true;
+      
+      if (captureTimeline) {
+        seekTimeline(0);
+        playTimeline();
+      }
+      
+      recorder.start();
+      showNotification(`Recording ${duration.toFixed(1)}s of video...`, "info");
+      setTimeout(() => recorder.stop(), duration * 1000);
+    } catch (e) {
+      console.error("Error exporting video:", e);
+      showNotification("Error exporting video", "error");
+      if (dom.exportVideoBtn) dom.exportVideoBtn.disabled = false;
+      updateForceFieldGizmosVisibility();
+      updateTransformControls();
     }
   }
 
@@ -3814,9 +10930,11 @@ document.addEventListener('DOMContentLoaded', function() {
       if (useGradientEl) useGradientEl.checked = true;
       if (dom.solidColorControl) dom.solidColorControl.style.display = 'none';
       if (dom.gradientControls) dom.gradientControls.style.display = 'block';
+      ['gradient-color1', 'gradient-color2', 'use-gradient'].forEach(storeLayerSetting);
       
-      // Update particles
-      updateAllLayers();
+      // Only colors changed, so recolor the particles in place
+      applyVisualSettings();
+      recordHistory(`Apply ${theme} theme`);
       
       showNotification(`Applied ${theme} theme`, "success");
     } catch (e) {
@@ -3895,6 +11013,9 @@ document.addEventListener('DOMContentLoaded', function() {
       applySettings(preset.settings);
       showNotification(`Applied preset: ${preset.name}`, "success");
     }
+    
+    const option = dom.presetSelector.options[dom.presetSelector.selectedIndex];
+    recordHistory(`Apply preset ${option ? option.textContent.trim() : presetId}`);
   }
 
   /**
@@ -4107,15 +11228,20 @@ document.addEventListener('DOMContentLoaded', function() {
       // Create preset ID
       const presetId = `user_${Date.now()}`;
       
-      // Get current settings
-      const settings = getSettings();
+      // Get current settings (per-layer values are saved as the global defaults)
+      const settings = getGlobalSettings();
       
       // Create preset object
       const preset = {
         id: presetId,
         name: name,
         description: description,
-        settings: settings,
+        settings: {
+          ...settings,
+          forceFields: serializeForceFields(),
+          timeline: serializeTimeline(),
+          layerTransforms: serializeLayerTransforms()
+        },
         created: new Date().toISOString()
       };
       
@@ -4234,6 +11360,7 @@ document.addEventListener('DOMContentLoaded', function() {
     try {
       // Dispose of all layers
       state.layers.forEach(layer => {
+        cancelSamplingJob(layer);
         clearLayerParticles(layer);
         if (layer.group) {
           state.scene.remove(layer.group);
@@ -4243,6 +11370,10 @@ document.addEventListener('DOMContentLoaded', function() {
       // Clear layers array
       state.layers = [];
       
+      // Remove force field gizmos
+      state.forceFields = [];
+      updateForceFieldGizmos();
+      
       // Dispose of cached resources
       resourceCache.disposables.forEach(resource => {
         if (resource && typeof resource.dispose === 'function') {
@@ -4256,6 +11387,12 @@ document.addEventListener('DOMContentLoaded', function() {
       // Clear material cache
       resourceCache.materialCache.clear();
       
+      // Stop the sampling worker
+      if (resourceCache.samplingWorker) {
+        resourceCache.samplingWorker.terminate();
+        resourceCache.samplingWorker = null;
+      }
+      
       // Dispose of renderer and composer
       if (state.renderer) {
         state.renderer.dispose();